@@ -0,0 +1,79 @@
+const { getDB } = require('./db');
+const { mergedPage } = require('./pagination');
+
+// Recent content by one or more users, merged from every content collection
+// into a single newest-first list. Each entry is a short summary pointing at
+// the full item, not the item itself.
+const ACTIVITY_TYPES = ['project', 'discussion', 'reply', 'lesson'];
+
+const EXCERPT_LENGTH = 200;
+
+const excerpt = (text) => {
+  const value = String(text || '').trim();
+  return value.length > EXCERPT_LENGTH ? value.slice(0, EXCERPT_LENGTH).trimEnd() + '…' : value;
+};
+
+const SOURCES = {
+  project: {
+    collection: 'projects',
+    summary: (doc) => ({ title: doc.title, excerpt: excerpt(doc.description) })
+  },
+  discussion: {
+    collection: 'discussions',
+    summary: (doc) => ({ title: doc.title, excerpt: excerpt(doc.content) })
+  },
+  reply: {
+    collection: 'replies',
+    summary: (doc) => ({ title: null, excerpt: excerpt(doc.content), discussionId: doc.discussionId })
+  },
+  lesson: {
+    collection: 'lessons',
+    summary: (doc) => ({ title: doc.title, excerpt: excerpt(doc.description || doc.content) })
+  }
+};
+
+// Paging ignores the type, so item ids must be unique across collections (they are prefixed)
+const ACTIVITY_LIST = {
+  sorts: { newest: { field: 'created', direction: -1 } },
+  defaultSort: 'newest'
+};
+
+const toEntry = (type, doc) => ({
+  type,
+  id: doc.id,
+  ...SOURCES[type].summary(doc),
+  author: doc.author,
+  authorId: doc.authorId,
+  created: doc.created,
+  ...(doc.hidden ? { hidden: true } : {})
+});
+
+// One page of activity entries for content authored by any of the given user
+// ids. The type query parameter picks a single collection; baseFilter is added
+// to every collection's store query (e.g. to leave out hidden content).
+const activityPage = (authorIds, query, { baseFilter = {} } = {}) => {
+  const types = query.type ? ACTIVITY_TYPES.filter(type => type === query.type) : ACTIVITY_TYPES;
+  const sources = authorIds.length === 0 ? [] : types.map(type => ({
+    collection: getDB().collection(SOURCES[type].collection),
+    filter: { authorId: { $in: authorIds }, ...baseFilter },
+    map: (doc) => toEntry(type, doc)
+  }));
+  return mergedPage(sources, query, ACTIVITY_LIST);
+};
+
+// Authored content counts for a profile
+const countContributions = async (authorId) => {
+  const [projects, discussions, lessons] = await Promise.all([
+    getDB().collection('projects').countDocuments({ authorId }),
+    getDB().collection('discussions').countDocuments({ authorId }),
+    getDB().collection('lessons').countDocuments({ authorId })
+  ]);
+  return { projects, discussions, lessons };
+};
+
+module.exports = {
+  ACTIVITY_TYPES,
+  ACTIVITY_LIST,
+  activityPage,
+  countContributions
+};
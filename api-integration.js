@@ -10,25 +10,65 @@ const ApiService = {
     return user.apiKey || null;
   },
 
+  // Session tokens issued by login/register
+  getSession() {
+    return JSON.parse(localStorage.getItem('aiHub_session') || 'null');
+  },
+
+  saveSession(result) {
+    localStorage.setItem('aiHub_session', JSON.stringify({
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken
+    }));
+  },
+
+  // Swap the refresh token for a fresh access token
+  async refreshSession() {
+    const session = this.getSession();
+    if (!session || !session.refreshToken) return false;
+
+    const response = await fetch(`${API_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session.refreshToken })
+    });
+
+    if (!response.ok) {
+      localStorage.removeItem('aiHub_session');
+      return false;
+    }
+
+    this.saveSession(await response.json());
+    return true;
+  },
+
   // Generic fetch wrapper
-  async request(endpoint, options = {}) {
+  async request(endpoint, options = {}, retried = false) {
     try {
       const apiKey = this.getApiKey();
+      const session = this.getSession();
       const headers = {
         'Content-Type': 'application/json',
         ...options.headers
       };
       
-      // Add API key if available
-      if (apiKey) {
+      // Prefer the session token, fall back to an API key
+      if (session && session.accessToken) {
+        headers['Authorization'] = `Bearer ${session.accessToken}`;
+      } else if (apiKey) {
         headers['x-api-key'] = apiKey;
       }
       
       const response = await fetch(`${API_URL}${endpoint}`, {
-        headers,
-        ...options
+        ...options,
+        headers
       });
       
+      // Access token expired - refresh once and retry
+      if (response.status === 401 && !retried && await this.refreshSession()) {
+        return this.request(endpoint, options, true);
+      }
+      
       if (!response.ok) {
         throw new Error(`API Error: ${response.status}`);
       }
@@ -50,6 +90,7 @@ const ApiService = {
     
     if (result && result.success) {
       localStorage.setItem('aiHub_currentUser', JSON.stringify(result.user));
+      this.saveSession(result);
       return result.user;
     }
     return null;
@@ -63,14 +104,50 @@ const ApiService = {
     
     if (result && result.success) {
       localStorage.setItem('aiHub_currentUser', JSON.stringify(result.user));
+      this.saveSession(result);
       return result.user;
     }
     return null;
   },
 
+  async logout() {
+    await this.request('/auth/logout', { method: 'POST' });
+    localStorage.removeItem('aiHub_session');
+    localStorage.removeItem('aiHub_currentUser');
+  },
+
+  // Profiles
+  async getProfile(username) {
+    return await this.request(`/users/${encodeURIComponent(username)}`);
+  },
+
+  async updateProfile(changes) {
+    return await this.request('/users/me', {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+  },
+
+  async getActivity(username, cursor) {
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    return await this.request(`/users/${encodeURIComponent(username)}/activity${query}`);
+  },
+
+  async setFollowing(username, follow) {
+    return await this.request(`/users/${encodeURIComponent(username)}/follow`, {
+      method: follow ? 'PUT' : 'DELETE'
+    });
+  },
+
+  async getFeed(cursor) {
+    const query = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+    return await this.request(`/feed${query}`);
+  },
+
   // Projects
   async getProjects() {
-    const projects = await this.request('/projects');
+    const page = await this.request('/projects?limit=100');
+    const projects = page && page.items;
     if (projects) {
       localStorage.setItem('aiHub_projects', JSON.stringify(projects));
       return projects;
@@ -102,6 +179,17 @@ const ApiService = {
     });
   },
 
+  async setProjectReaction(id, kind, on) {
+    return await this.request(`/projects/${id}/${kind}`, {
+      method: on ? 'PUT' : 'DELETE'
+    });
+  },
+
+  async getStarredProjects() {
+    const page = await this.request('/users/me/starred?limit=100');
+    return page ? page.items : [];
+  },
+
   async deleteProject(id) {
     return await this.request(`/projects/${id}`, {
       method: 'DELETE'
@@ -110,7 +198,8 @@ const ApiService = {
 
   // Discussions
   async getDiscussions() {
-    const discussions = await this.request('/discussions');
+    const page = await this.request('/discussions?limit=100');
+    const discussions = page && page.items;
     if (discussions) {
       localStorage.setItem('aiHub_discussions', JSON.stringify(discussions));
       return discussions;
@@ -142,7 +231,8 @@ const ApiService = {
 
   // Lessons
   async getLessons() {
-    const lessons = await this.request('/lessons');
+    const page = await this.request('/lessons?limit=100');
+    const lessons = page && page.items;
     if (lessons) {
       localStorage.setItem('aiHub_lessons', JSON.stringify(lessons));
       return lessons;
@@ -167,7 +257,8 @@ const ApiService = {
 
   // Rooms
   async getRooms() {
-    const rooms = await this.request('/rooms');
+    const page = await this.request('/rooms?limit=100');
+    const rooms = page && page.items;
     if (rooms) {
       localStorage.setItem('aiHub_rooms', JSON.stringify(rooms));
       return rooms;
@@ -190,11 +281,48 @@ const ApiService = {
     return null;
   },
 
-  async joinRoom(roomId, username) {
+  async joinRoom(roomId, inviteCode) {
     return await this.request(`/rooms/${roomId}/join`, {
       method: 'PUT',
-      body: JSON.stringify({ username })
+      body: JSON.stringify({ inviteCode })
+    });
+  },
+
+  async leaveRoom(roomId) {
+    return await this.request(`/rooms/${roomId}/leave`, {
+      method: 'PUT'
     });
+  },
+
+  // Notifications
+  async getNotifications(unreadOnly = false) {
+    return await this.request(`/notifications${unreadOnly ? '?unread=true' : ''}`);
+  },
+
+  async markNotificationRead(id) {
+    return await this.request(`/notifications/${id}/read`, { method: 'PUT' });
+  },
+
+  async markAllNotificationsRead() {
+    return await this.request('/notifications/read-all', { method: 'PUT' });
+  },
+
+  // Live notifications; onNotification receives { notification, unread }
+  openNotificationStream(onNotification) {
+    const session = this.getSession();
+    if (!session || !session.accessToken || typeof EventSource === 'undefined') return null;
+
+    const source = new EventSource(`${API_URL}/notifications/stream?token=${encodeURIComponent(session.accessToken)}`);
+    source.addEventListener('notification', (event) => onNotification(JSON.parse(event.data)));
+    return source;
+  },
+
+  // Search
+  async search(query, types) {
+    const params = new URLSearchParams({ q: query });
+    if (types && types.length) params.set('type', types.join(','));
+    const response = await this.request(`/search?${params}`);
+    return response ? response.results : [];
   }
 };
 
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { getDB } = require('./db');
+
+// API keys are shown to the user once and stored as a SHA-256 hash.
+// A key is either read-only ("read") or may also modify data ("write").
+const KEY_PREFIX = 'ai_hub_';
+const SCOPES = ['read', 'write'];
+const MAX_ACTIVE_KEYS = 10;
+
+class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+
+// Fields that are safe to return to the key's owner
+const toPublicKey = (record) => ({
+  id: record.id,
+  name: record.name,
+  scope: record.scope,
+  preview: record.preview,
+  created: record.created,
+  rotated: record.rotated || null,
+  lastUsed: record.lastUsed || null
+});
+
+const activeKeysFor = async (userId) => {
+  const keys = await getDB().collection('apiKeys').find({ userId }).toArray();
+  return keys.filter(k => !k.revokedAt);
+};
+
+const listApiKeys = async (userId) => {
+  const keys = await activeKeysFor(userId);
+  return keys
+    .sort((a, b) => (a.created < b.created ? 1 : -1))
+    .map(toPublicKey);
+};
+
+// Create a key and return it with the raw secret (only time it is visible)
+const createApiKey = async (userId, { name, scope = 'write' } = {}) => {
+  const active = await activeKeysFor(userId);
+  if (active.length >= MAX_ACTIVE_KEYS) {
+    throw new ApiKeyError(`You can have at most ${MAX_ACTIVE_KEYS} active API keys`);
+  }
+
+  const key = generateKey();
+  const record = {
+    id: 'key_' + crypto.randomBytes(8).toString('hex'),
+    userId,
+    name: name || 'API key ' + (active.length + 1),
+    scope,
+    keyHash: hashKey(key),
+    preview: key.slice(0, KEY_PREFIX.length + 4) + '…' + key.slice(-4),
+    created: new Date().toISOString(),
+    lastUsed: null,
+    revokedAt: null
+  };
+
+  await getDB().collection('apiKeys').insertOne({ ...record });
+  return { ...toPublicKey(record), key };
+};
+
+const findOwnKey = async (userId, keyId) => {
+  const record = await getDB().collection('apiKeys').findOne({ id: keyId });
+  if (!record || record.userId !== userId || record.revokedAt) return null;
+  return record;
+};
+
+const updateApiKey = async (userId, keyId, { name, scope }) => {
+  const record = await findOwnKey(userId, keyId);
+  if (!record) return null;
+
+  const changes = {};
+  if (name !== undefined) changes.name = name;
+  if (scope !== undefined) changes.scope = scope;
+
+  await getDB().collection('apiKeys').updateOne({ id: keyId }, { $set: changes });
+  return toPublicKey({ ...record, ...changes });
+};
+
+// Replace the secret of an existing key, keeping its id, name and scope
+const rotateApiKey = async (userId, keyId) => {
+  const record = await findOwnKey(userId, keyId);
+  if (!record) return null;
+
+  const key = generateKey();
+  const changes = {
+    keyHash: hashKey(key),
+    preview: key.slice(0, KEY_PREFIX.length + 4) + '…' + key.slice(-4),
+    rotated: new Date().toISOString(),
+    lastUsed: null
+  };
+
+  await getDB().collection('apiKeys').updateOne({ id: keyId }, { $set: changes });
+  return { ...toPublicKey({ ...record, ...changes }), key };
+};
+
+const revokeApiKey = async (userId, keyId) => {
+  const record = await findOwnKey(userId, keyId);
+  if (!record) return false;
+
+  await getDB().collection('apiKeys').updateOne(
+    { id: keyId },
+    { $set: { revokedAt: new Date().toISOString() } }
+  );
+  return true;
+};
+
+// Resolve a raw key to its active record and record when it was used
+const verifyApiKey = async (key) => {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const record = await getDB().collection('apiKeys').findOne({ keyHash: hashKey(key) });
+  if (!record || record.revokedAt) return null;
+
+  await getDB().collection('apiKeys').updateOne(
+    { id: record.id },
+    { $set: { lastUsed: new Date().toISOString() } }
+  );
+  return record;
+};
+
+module.exports = {
+  ApiKeyError,
+  SCOPES,
+  listApiKeys,
+  createApiKey,
+  updateApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  verifyApiKey
+};
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
 require('dotenv').config();
+const { hashPassword, verifyPassword, needsRehash } = require('./password-hash');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -101,8 +102,7 @@ app.post('/api/auth/register', async (req, res) => {
       return res.status(400).json({ error: 'User already exists' });
     }
     
-    // Create user (in production, hash password!)
-    const user = new User({ username, email, password });
+    const user = new User({ username, email, password: await hashPassword(password) });
     await user.save();
     
     res.json({ 
@@ -119,10 +119,16 @@ app.post('/api/auth/login', async (req, res) => {
     const { username, password } = req.body;
     
     const user = await User.findOne({ username });
-    if (!user || user.password !== password) {
+    if (!user || !(await verifyPassword(password, user.password))) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
+    // Upgrade legacy plaintext or outdated hashes
+    if (needsRehash(user.password)) {
+      user.password = await hashPassword(password);
+      await user.save();
+    }
+    
     res.json({ 
       success: true, 
       user: { id: user._id, username: user.username, email: user.email }
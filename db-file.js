@@ -1,14 +1,49 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { matchesQuery, sortComparator, checkUpdate, applyUpdate, upsertBase } = require('./query');
 
-// File-based database for Render deployment
+// Compact a collection's journal into its snapshot after this many entries
+const COMPACT_AFTER = parseInt(process.env.FILE_DB_COMPACT_AFTER, 10) || 500;
+
+// A snapshot or journal on disk could not be read back. The data is left
+// untouched so it can be repaired or restored from a backup.
+class CorruptCollectionError extends Error {
+  constructor(file, reason) {
+    super(`Collection file ${file} is corrupt (${reason}). Repair or restore it, or move it aside to start empty.`);
+    this.name = 'CorruptCollectionError';
+    this.file = file;
+  }
+}
+
+// Deep copy of a stored document. Reads return copies, so changing a returned
+// document never changes - or skips persisting - the stored one.
+const cloneDocument = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(cloneDocument);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneDocument(item)]));
+  }
+  return value;
+};
+
+// File-based database for Render deployment.
+//
+// Each collection is a JSON snapshot (<name>.json) plus an append-only journal
+// (<name>.journal) with one line per write since the last snapshot. Writes only
+// append to the journal; once it grows past COMPACT_AFTER entries the snapshot
+// is rewritten through a temp file and rename, and the journal is emptied.
+// Journal entries are idempotent (keyed by _id), so replaying entries that a
+// snapshot already contains - after a crash between the two steps - is harmless.
 class FileDB {
-  constructor() {
-    this.dataDir = process.env.NODE_ENV === 'production' 
+  // dataDir overrides the default location (the tests use a temp directory)
+  constructor({ dataDir } = {}) {
+    this.dataDir = dataDir || (process.env.NODE_ENV === 'production' 
       ? '/opt/render/project/src/data' 
-      : path.join(__dirname, 'data');
+      : path.join(__dirname, 'data'));
     this.collections = {};
+    this.journalSizes = {};
+    this.writeQueues = {};
     this.initialized = false;
   }
 
@@ -34,27 +69,233 @@ class FileDB {
     }
   }
 
+  snapshotPath(name) {
+    return path.join(this.dataDir, `${name}.json`);
+  }
+
+  journalPath(name) {
+    return path.join(this.dataDir, `${name}.journal`);
+  }
+
   async loadCollections() {
-    const collectionNames = ['users', 'projects', 'discussions', 'lessons', 'rooms'];
+    const defaultCollections = ['users', 'projects', 'discussions', 'lessons', 'rooms'];
+    
+    // Load every collection on disk, not just the defaults, so that
+    // collections created at runtime (sessions, etc.) survive a restart
+    const files = await fs.readdir(this.dataDir);
+    const stored = files
+      .filter(f => f.endsWith('.json') || f.endsWith('.journal'))
+      .map(f => f.slice(0, f.lastIndexOf('.')));
+    const collectionNames = [...new Set([...defaultCollections, ...stored])];
     
     for (const name of collectionNames) {
-      const filePath = path.join(this.dataDir, `${name}.json`);
+      const docs = await this.readSnapshot(name);
+      const replayed = await this.replayJournal(name, docs || []);
+      this.collections[name] = replayed.docs;
+      this.journalSizes[name] = 0;
+
+      // Fold the journal into a fresh snapshot so every start begins clean
+      if (!docs || replayed.entries > 0 || replayed.assignedIds) {
+        await this.compact(name);
+      }
+
+      if (docs) {
+        console.log(`📚 Loaded collection: ${name} (${this.collections[name].length} documents, ${replayed.entries} journal entries)`);
+      } else {
+        console.log(`📝 Created new collection: ${name}`);
+      }
+    }
+  }
+
+  // The snapshot's documents, or null if there is none yet
+  async readSnapshot(name) {
+    const file = this.snapshotPath(name);
+    let data;
+    try {
+      data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let docs;
+    try {
+      docs = JSON.parse(data);
+    } catch (error) {
+      throw new CorruptCollectionError(file, error.message);
+    }
+    if (!Array.isArray(docs)) {
+      throw new CorruptCollectionError(file, 'expected an array of documents');
+    }
+    return docs;
+  }
+
+  async replayJournal(name, docs) {
+    const file = this.journalPath(name);
+    let data;
+    try {
+      data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') data = '';
+      else throw error;
+    }
+
+    // Documents written before the journal existed may lack an _id
+    let assignedIds = false;
+    for (const doc of docs) {
+      if (!doc._id) {
+        doc._id = crypto.randomBytes(12).toString('hex');
+        assignedIds = true;
+      }
+    }
+
+    const byId = new Map(docs.map(doc => [doc._id, doc]));
+    const lines = data.split('\n').filter(line => line.trim());
+    let entries = 0;
+
+    for (const [i, line] of lines.entries()) {
+      let entry;
       try {
-        const data = await fs.readFile(filePath, 'utf8');
-        this.collections[name] = JSON.parse(data);
-        console.log(`📚 Loaded collection: ${name} (${this.collections[name].length} documents)`);
+        entry = JSON.parse(line);
       } catch (error) {
-        // If file doesn't exist, create empty collection
-        this.collections[name] = [];
-        await this.saveCollection(name);
-        console.log(`📝 Created new collection: ${name}`);
+        // A torn last line is a write that never finished, so it was never acknowledged
+        if (i === lines.length - 1 && !data.endsWith('\n')) {
+          console.warn(`⚠️ Ignoring incomplete last entry in ${file}`);
+          break;
+        }
+        throw new CorruptCollectionError(file, `line ${i + 1}: ${error.message}`);
       }
+
+      if (entry.op === 'insert' || entry.op === 'update') {
+        for (const doc of entry.docs || [entry.doc]) byId.set(doc._id, doc);
+      } else if (entry.op === 'delete') {
+        for (const id of entry.ids) byId.delete(id);
+      } else {
+        throw new CorruptCollectionError(file, `line ${i + 1}: unknown operation ${entry.op}`);
+      }
+      entries += 1;
     }
+
+    return { docs: [...byId.values()], entries, assignedIds };
   }
 
+  // Run a disk write after every earlier write to the same collection
+  enqueue(name, task) {
+    const previous = this.writeQueues[name] || Promise.resolve();
+    const run = previous.then(task);
+    // Keep the queue going after a failed write; the caller still sees the error
+    this.writeQueues[name] = run.catch(() => {});
+    return run;
+  }
+
+  // Record one write in the collection's journal. The in-memory change has
+  // already been made, so entries are queued in the same order as the changes.
+  persist(name, entry) {
+    const line = JSON.stringify(entry) + '\n';
+    return this.enqueue(name, async () => {
+      const handle = await fs.open(this.journalPath(name), 'a');
+      try {
+        await handle.appendFile(line);
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+
+      this.journalSizes[name] = (this.journalSizes[name] || 0) + 1;
+      if (this.journalSizes[name] >= COMPACT_AFTER) {
+        await this.saveCollection(name);
+      }
+    });
+  }
+
+  compact(name) {
+    return this.enqueue(name, () => this.saveCollection(name));
+  }
+
+  // Atomically replace the snapshot with the current documents, then empty the
+  // journal. Only call from the write queue (see compact()).
   async saveCollection(name) {
-    const filePath = path.join(this.dataDir, `${name}.json`);
-    await fs.writeFile(filePath, JSON.stringify(this.collections[name], null, 2));
+    const file = this.snapshotPath(name);
+    const temp = `${file}.${process.pid}.tmp`;
+
+    const handle = await fs.open(temp, 'w');
+    try {
+      await handle.writeFile(JSON.stringify(this.collections[name], null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(temp, file);
+    await fs.writeFile(this.journalPath(name), '');
+    this.journalSizes[name] = 0;
+  }
+
+  // Wait for pending writes, then fold every journal into its snapshot
+  async flush() {
+    await Promise.all(Object.keys(this.collections).map(name => this.compact(name)));
+  }
+
+  async insertDocument(name, doc) {
+    const document = {
+      ...cloneDocument(doc),
+      _id: doc._id || crypto.randomBytes(12).toString('hex'),
+      createdAt: doc.createdAt || new Date()
+    };
+    this.collections[name].push(document);
+    await this.persist(name, { op: 'insert', doc: document });
+    return cloneDocument(document);
+  }
+
+  // Update the first (or, with many, every) matching document. With upsert, a
+  // document built from the query is inserted when nothing matches. Updates are
+  // worked out on a copy, so an invalid one leaves the stored document alone;
+  // stored documents are then changed in place, like $set always did.
+  // Returns { matchedCount, modifiedCount, upsertedId, upsertedCount, changes },
+  // where changes lists copies of { before, after } for each matched or inserted
+  // document.
+  async updateDocuments(name, query, update, { upsert = false, many = false } = {}) {
+    checkUpdate(update);
+    const docs = this.collections[name];
+    const first = many ? null : docs.find(doc => this.matchQuery(doc, query));
+    const matches = many ? docs.filter(doc => this.matchQuery(doc, query)) : [first].filter(Boolean);
+
+    if (matches.length === 0) {
+      if (!upsert) {
+        return { matchedCount: 0, modifiedCount: 0, upsertedId: null, upsertedCount: 0, changes: [], acknowledged: true };
+      }
+      const document = await this.insertDocument(name, applyUpdate(upsertBase(query), update, { inserting: true }));
+      return {
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedId: document._id,
+        upsertedCount: 1,
+        changes: [{ before: null, after: document }],
+        acknowledged: true
+      };
+    }
+
+    const changes = matches.map(doc => ({ before: cloneDocument(doc), after: doc, updated: applyUpdate(doc, update) }));
+    const modified = [];
+    for (const { after: doc, updated } of changes) {
+      if (JSON.stringify(doc) === JSON.stringify(updated)) continue;
+      for (const key of Object.keys(doc)) {
+        if (!(key in updated)) delete doc[key];
+      }
+      Object.assign(doc, updated);
+      modified.push(doc);
+    }
+
+    if (modified.length > 0) {
+      await this.persist(name, { op: 'update', docs: modified });
+    }
+    return {
+      matchedCount: matches.length,
+      modifiedCount: modified.length,
+      upsertedId: null,
+      upsertedCount: 0,
+      changes: changes.map(({ before, after }) => ({ before, after: cloneDocument(after) })),
+      acknowledged: true
+    };
   }
 
   collection(name) {
@@ -62,66 +303,59 @@ class FileDB {
       this.collections[name] = [];
     }
 
+    const updateResult = ({ changes, ...result }) => result;
+
     return {
       insertOne: async (doc) => {
-        const document = {
-          ...doc,
-          _id: doc._id || crypto.randomBytes(12).toString('hex'),
-          createdAt: doc.createdAt || new Date()
-        };
-        this.collections[name].push(document);
-        await this.saveCollection(name);
+        const document = await this.insertDocument(name, doc);
         return { insertedId: document._id, acknowledged: true };
       },
 
       findOne: async (query) => {
-        return this.collections[name].find(doc => this.matchQuery(doc, query));
+        const doc = this.collections[name].find(doc => this.matchQuery(doc, query));
+        return doc && cloneDocument(doc);
       },
 
+      // A cursor: sort, skip and limit chain in any order before toArray
       find: (query = {}) => {
-        const results = this.collections[name].filter(doc => this.matchQuery(doc, query));
-        return {
+        const options = { sort: null, skip: 0, limit: null };
+        const cursor = {
           sort: (sortSpec) => {
-            const key = Object.keys(sortSpec)[0];
-            const order = sortSpec[key];
-            results.sort((a, b) => {
-              if (order === 1) return a[key] > b[key] ? 1 : -1;
-              return a[key] < b[key] ? 1 : -1;
-            });
-            return {
-              limit: (n) => ({
-                toArray: async () => results.slice(0, n)
-              }),
-              toArray: async () => results
-            };
+            options.sort = sortSpec;
+            return cursor;
+          },
+          skip: (count) => {
+            options.skip = count;
+            return cursor;
           },
-          limit: (n) => ({
-            toArray: async () => results.slice(0, n)
-          }),
-          toArray: async () => results
+          limit: (count) => {
+            options.limit = count;
+            return cursor;
+          },
+          toArray: async () => {
+            const results = this.collections[name].filter(doc => this.matchQuery(doc, query));
+            if (options.sort) results.sort(sortComparator(options.sort));
+            const end = options.limit > 0 ? options.skip + options.limit : undefined;
+            return results.slice(options.skip, end).map(cloneDocument);
+          }
         };
+        return cursor;
       },
 
-      updateOne: async (query, update) => {
-        const index = this.collections[name].findIndex(doc => this.matchQuery(doc, query));
-        if (index === -1) {
-          return { matchedCount: 0, modifiedCount: 0 };
-        }
+      updateOne: async (query, update, options = {}) => {
+        return updateResult(await this.updateDocuments(name, query, update, { upsert: options.upsert }));
+      },
 
-        if (update.$set) {
-          Object.assign(this.collections[name][index], update.$set);
-        }
-        if (update.$push) {
-          for (const key in update.$push) {
-            if (!Array.isArray(this.collections[name][index][key])) {
-              this.collections[name][index][key] = [];
-            }
-            this.collections[name][index][key].push(update.$push[key]);
-          }
-        }
-        
-        await this.saveCollection(name);
-        return { matchedCount: 1, modifiedCount: 1, acknowledged: true };
+      updateMany: async (query, update, options = {}) => {
+        return updateResult(await this.updateDocuments(name, query, update, { upsert: options.upsert, many: true }));
+      },
+
+      // The matched document after the update (or before it, with
+      // returnDocument: 'before'), or null when nothing matched
+      findOneAndUpdate: async (query, update, options = {}) => {
+        const { changes } = await this.updateDocuments(name, query, update, { upsert: options.upsert });
+        if (changes.length === 0) return null;
+        return options.returnDocument === 'before' ? changes[0].before : changes[0].after;
       },
 
       deleteOne: async (query) => {
@@ -130,17 +364,20 @@ class FileDB {
           return { deletedCount: 0 };
         }
         
-        this.collections[name].splice(index, 1);
-        await this.saveCollection(name);
+        const [removed] = this.collections[name].splice(index, 1);
+        await this.persist(name, { op: 'delete', ids: [removed._id] });
         return { deletedCount: 1, acknowledged: true };
       },
 
       deleteMany: async (query) => {
-        const before = this.collections[name].length;
+        const removed = this.collections[name].filter(doc => this.matchQuery(doc, query));
+        if (removed.length === 0) {
+          return { deletedCount: 0, acknowledged: true };
+        }
+
         this.collections[name] = this.collections[name].filter(doc => !this.matchQuery(doc, query));
-        const deleted = before - this.collections[name].length;
-        await this.saveCollection(name);
-        return { deletedCount: deleted, acknowledged: true };
+        await this.persist(name, { op: 'delete', ids: removed.map(doc => doc._id) });
+        return { deletedCount: removed.length, acknowledged: true };
       },
 
       countDocuments: async (query = {}) => {
@@ -154,24 +391,9 @@ class FileDB {
     };
   }
 
+  // Query language shared with the other backends, see query.js
   matchQuery(doc, query) {
-    for (const key in query) {
-      if (query[key] && typeof query[key] === 'object') {
-        // Handle operators like $in, $regex, etc.
-        if (query[key].$in && !query[key].$in.includes(doc[key])) {
-          return false;
-        }
-        if (query[key].$regex) {
-          const regex = new RegExp(query[key].$regex, query[key].$options || '');
-          if (!regex.test(doc[key])) {
-            return false;
-          }
-        }
-      } else if (doc[key] !== query[key]) {
-        return false;
-      }
-    }
-    return true;
+    return matchesQuery(doc, query);
   }
 
   async createIndexes() {
@@ -198,11 +420,16 @@ const getDB = () => {
 };
 
 const closeDB = async () => {
-  // File-based DB doesn't need explicit closing
+  if (db) {
+    await db.flush();
+    db = null;
+  }
   console.log('📴 File database connection closed');
 };
 
 module.exports = {
+  CorruptCollectionError,
+  FileDB,
   connectDB,
   getDB,
   closeDB
@@ -0,0 +1,49 @@
+const { FileDB } = require('./db-file');
+
+// In-memory database for local development and tests.
+// Reuses FileDB's collection API but never touches the disk.
+class MemoryDB extends FileDB {
+  async init() {
+    if (this.initialized) return;
+    this.initialized = true;
+    console.log('✅ In-memory database initialized');
+  }
+
+  async persist() {
+    // Nothing to persist
+  }
+
+  async flush() {
+    // Nothing to persist
+  }
+}
+
+// Singleton instance
+let db = null;
+
+const connectDB = async () => {
+  if (db) return db;
+
+  db = new MemoryDB();
+  await db.init();
+  return db;
+};
+
+const getDB = () => {
+  if (!db) {
+    throw new Error('Database not initialized. Call connectDB first.');
+  }
+  return db;
+};
+
+const closeDB = async () => {
+  db = null;
+  console.log('📴 In-memory database cleared');
+};
+
+module.exports = {
+  MemoryDB,
+  connectDB,
+  getDB,
+  closeDB
+};
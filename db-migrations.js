@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations for the Postgres backend.
+//
+// Each migration is a pair of files in migrations/:
+//   NNN_description.up.sql    applies the change
+//   NNN_description.down.sql  reverts it, or starts with
+//                             "-- irreversible: <reason>" if it cannot be reverted
+// Applied versions are recorded in schema_migrations. A run applies (or
+// reverts) every migration it needs in one transaction, so a failing
+// statement leaves the schema as it was. The transaction holds an advisory
+// lock: instances starting together wait for each other instead of racing,
+// and a transaction-level lock also works behind a transaction pooler
+// (pgbouncer on Supabase port 6543).
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const IRREVERSIBLE = /^--\s*irreversible:\s*(.*)/;
+
+// Any fixed number works, as long as nothing else locks it
+const MIGRATION_LOCK = 72815001;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// The migrations on disk, oldest first: [{ version, name, up, down }]
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const [, digits, name, direction] = match;
+    const version = parseInt(digits, 10);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new MigrationError(`Migration ${version} has two names: ${migration.name} and ${name}`);
+    }
+    migration[direction] = path.join(dir, file);
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!migration.up || !migration.down) {
+      throw new MigrationError(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+    }
+  }
+  return migrations;
+};
+
+const label = (migration) => String(migration.version).padStart(3, '0') + '_' + migration.name;
+
+const ensureMigrationsTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+const appliedVersions = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Run work on one connection, in a transaction holding the migration lock
+const withMigrationLock = async (pool, work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK]);
+    await ensureMigrationsTable(client);
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const runFile = async (client, migration, direction) => {
+  try {
+    await client.query(fs.readFileSync(migration[direction], 'utf8'));
+  } catch (error) {
+    throw new MigrationError(`${label(migration)} (${direction}) failed: ${error.message}`);
+  }
+};
+
+// Apply pending migrations, up to and including version `to` if given.
+// Returns the labels of the migrations applied.
+const migrate = async (pool, { to = Infinity, dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (client) => {
+    const applied = new Set((await appliedVersions(client)).map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+    for (const migration of pending) {
+      console.log('⬆️  Applying migration', label(migration));
+      await runFile(client, migration, 'up');
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    }
+    return pending.map(label);
+  });
+};
+
+// Why a migration cannot be reverted, or null if its down file can run
+const irreversibleReason = (migration) => {
+  const match = fs.readFileSync(migration.down, 'utf8').match(IRREVERSIBLE);
+  return match ? match[1].trim() : null;
+};
+
+// Revert the last `steps` applied migrations, newest first. Returns their labels.
+// Refuses before reverting anything if one of them is irreversible.
+const rollback = async (pool, { steps = 1, dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(pool, async (client) => {
+    const applied = (await appliedVersions(client)).reverse().slice(0, steps);
+    const selected = applied.map(row => {
+      const migration = migrations.find(candidate => candidate.version === row.version);
+      if (!migration) {
+        throw new MigrationError(`Migration ${row.version}_${row.name} is applied but its files are missing`);
+      }
+      const reason = irreversibleReason(migration);
+      if (reason) {
+        throw new MigrationError(`Migration ${label(migration)} cannot be reverted: ${reason}`);
+      }
+      return migration;
+    });
+    const reverted = [];
+
+    for (const migration of selected) {
+      console.log('⬇️  Reverting migration', label(migration));
+      await runFile(client, migration, 'down');
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      reverted.push(label(migration));
+    }
+    return reverted;
+  });
+};
+
+// Every migration on disk or in the database, with its state:
+// [{ version, name, state: 'applied' | 'pending' | 'missing', appliedAt }]
+const migrationStatus = async (pool, { dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  const applied = await withMigrationLock(pool, appliedVersions);
+
+  const rows = migrations.map(migration => {
+    const row = applied.find(candidate => candidate.version === migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: row ? 'applied' : 'pending',
+      appliedAt: row ? row.applied_at.toISOString() : null
+    };
+  });
+  // Applied in the database but no longer on disk
+  for (const row of applied) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      rows.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at.toISOString() });
+    }
+  }
+  return rows.sort((a, b) => a.version - b.version);
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  migrate,
+  rollback,
+  migrationStatus
+};
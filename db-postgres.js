@@ -1,6 +1,22 @@
 const { Pool } = require('pg');
+const crypto = require('crypto');
 const dns = require('dns');
 const { promisify } = require('util');
+const { migrate } = require('./db-migrations');
+const {
+  QueryError,
+  isPlainObject,
+  isOperatorObject,
+  splitPath,
+  checkComparable,
+  checkList,
+  checkQueries,
+  matchesQuery,
+  checkUpdate,
+  eachValues,
+  applyUpdate,
+  upsertBase
+} = require('./query');
 require('dotenv').config();
 
 // Force DNS to use IPv4
@@ -8,84 +24,89 @@ dns.setDefaultResultOrder('ipv4first');
 
 let pool = null;
 
-// PostgreSQL connection for Supabase
-const connectDB = async () => {
-  try {
-    if (pool) return pool;
-    
-    // Parse DATABASE_URL or use individual params
-    const connectionString = process.env.DATABASE_URL || 
-      `postgresql://${process.env.DB_USER}:${process.env.DB_PASSWORD}@${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`;
-    
-    // Log connection attempt (hide password but show username)
-    const sanitized = connectionString.replace(/:([^@]+)@/, ':****@');
-    console.log('🔄 Connecting to PostgreSQL (Supabase)...');
-    console.log('📍 Connection string:', sanitized);
-    
-    // Extract and log username for debugging
-    const usernameMatch = connectionString.match(/postgresql:\/\/([^:]+):/);
-    if (usernameMatch) {
-      console.log('👤 Username:', usernameMatch[1]);
-    }
-    
-    // Parse connection string manually for better control
-    let config;
+// A pool for DATABASE_URL (or the DB_* settings), tuned for Supabase
+const createPool = () => {
+  // Parse DATABASE_URL or use individual params
+  const connectionString = process.env.DATABASE_URL || 
+    `postgresql://${process.env.DB_USER}:${process.env.DB_PASSWORD}@${process.env.DB_HOST}:${process.env.DB_PORT}/${process.env.DB_NAME}`;
+  
+  // Log connection attempt (hide password but show username)
+  const sanitized = connectionString.replace(/:([^@]+)@/, ':****@');
+  console.log('🔄 Connecting to PostgreSQL (Supabase)...');
+  console.log('📍 Connection string:', sanitized);
+  
+  // Extract and log username for debugging
+  const usernameMatch = connectionString.match(/postgresql:\/\/([^:]+):/);
+  if (usernameMatch) {
+    console.log('👤 Username:', usernameMatch[1]);
+  }
+  
+  // Parse connection string manually for better control
+  let config;
+  
+  // Always parse connection string manually to avoid IPv6 issues
+  const urlParts = connectionString.match(/postgresql:\/\/([^:]+):([^@]+)@([^:\/]+):?(\d+)?\/(.+?)(\?.*)?$/);
+  
+  if (urlParts) {
+    const [, username, password, host, port = '5432', database] = urlParts;
+    console.log('🔧 Parsed connection - User:', username, 'Host:', host, 'Port:', port);
     
-    // Always parse connection string manually to avoid IPv6 issues
-    const urlParts = connectionString.match(/postgresql:\/\/([^:]+):([^@]+)@([^:\/]+):?(\d+)?\/(.+?)(\?.*)?$/);
+    // Force IPv4 by using individual connection parameters
+    config = {
+      user: username,
+      password: password,
+      host: host,
+      port: parseInt(port),
+      database: database.split('?')[0], // Remove query params from database name
+      // Force IPv4
+      keepAlive: true,
+      keepAliveInitialDelayMillis: 0,
+      max: 10,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 15000,
+    };
     
-    if (urlParts) {
-      const [, username, password, host, port = '5432', database] = urlParts;
-      console.log('🔧 Parsed connection - User:', username, 'Host:', host, 'Port:', port);
-      
-      // Force IPv4 by using individual connection parameters
+    // Add specific settings for pooler
+    if (connectionString.includes('.pooler.supabase.com')) {
+      console.log('🔄 Using Supabase pooler connection');
+      // For pooler, try using connection string directly with minimal config
       config = {
-        user: username,
-        password: password,
-        host: host,
-        port: parseInt(port),
-        database: database.split('?')[0], // Remove query params from database name
-        // Force IPv4
-        keepAlive: true,
-        keepAliveInitialDelayMillis: 0,
+        connectionString: connectionString + (connectionString.includes('?') ? '&' : '?') + 'sslmode=require',
+        ssl: true,
         max: 10,
         idleTimeoutMillis: 30000,
         connectionTimeoutMillis: 15000,
       };
-      
-      // Add specific settings for pooler
-      if (connectionString.includes('.pooler.supabase.com')) {
-        console.log('🔄 Using Supabase pooler connection');
-        // For pooler, try using connection string directly with minimal config
-        config = {
-          connectionString: connectionString + (connectionString.includes('?') ? '&' : '?') + 'sslmode=require',
-          ssl: true,
-          max: 10,
-          idleTimeoutMillis: 30000,
-          connectionTimeoutMillis: 15000,
-        };
-      } else {
-        // Direct connection SSL
-        config.ssl = {
-          rejectUnauthorized: false,
-          require: true
-        };
-      }
     } else {
-      // Fallback - this shouldn't happen
-      console.log('⚠️ Could not parse connection string, using as-is');
-      config = {
-        connectionString,
-        ssl: {
-          rejectUnauthorized: false
-        },
-        max: 10,
-        idleTimeoutMillis: 30000,
-        connectionTimeoutMillis: 10000,
+      // Direct connection SSL
+      config.ssl = {
+        rejectUnauthorized: false,
+        require: true
       };
     }
+  } else {
+    // Fallback - this shouldn't happen
+    console.log('⚠️ Could not parse connection string, using as-is');
+    config = {
+      connectionString,
+      ssl: {
+        rejectUnauthorized: false
+      },
+      max: 10,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 10000,
+    };
+  }
+  
+  return new Pool(config);
+};
+
+// PostgreSQL connection for Supabase
+const connectDB = async () => {
+  try {
+    if (pool) return pool;
     
-    pool = new Pool(config);
+    pool = createPool();
     
     // Test the connection
     const client = await pool.connect();
@@ -94,138 +115,44 @@ const connectDB = async () => {
     
     console.log('✅ Connected to PostgreSQL successfully at:', result.rows[0].now);
     
-    // Create tables if they don't exist
-    await createTables();
+    // Bring the schema up to date (see db-migrations.js)
+    const applied = await migrate(pool);
+    console.log(applied.length ? '✅ Applied migrations: ' + applied.join(', ') : '✅ Database schema is up to date');
+    await loadColumnKinds();
     
     return pool;
   } catch (error) {
     console.error('❌ PostgreSQL connection failed:', error.message);
     
-    // Fallback to file-based DB
-    if (process.env.NODE_ENV === 'production') {
-      console.log('🔄 Falling back to file-based database...');
-      const fileDB = require('./db-file');
-      return await fileDB.connectDB();
+    // Startup fails rather than falling back to another store: getDB, search and
+    // the rate limiter all go to Postgres, and a schema that failed to migrate
+    // must not be written to
+    if (pool) {
+      await pool.end().catch(() => {});
+      pool = null;
     }
-    
     throw error;
   }
 };
 
-const createTables = async () => {
+// Run statements on one connection inside a transaction
+const transaction = async (work) => {
+  const client = await pool.connect();
   try {
-    // Users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(255) UNIQUE NOT NULL,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        password VARCHAR(255) NOT NULL,
-        api_key VARCHAR(255) UNIQUE,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Projects table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS projects (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        username VARCHAR(255),
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        category VARCHAR(100),
-        technologies TEXT[],
-        github_url VARCHAR(500),
-        demo_url VARCHAR(500),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        likes INTEGER DEFAULT 0,
-        stars INTEGER DEFAULT 0,
-        views INTEGER DEFAULT 0
-      )
-    `);
-    
-    // Discussions table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS discussions (
-        id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        username VARCHAR(255),
-        title VARCHAR(255) NOT NULL,
-        content TEXT,
-        category VARCHAR(100),
-        tags TEXT[],
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        replies INTEGER DEFAULT 0,
-        views INTEGER DEFAULT 0
-      )
-    `);
-    
-    // Replies table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS replies (
-        id SERIAL PRIMARY KEY,
-        discussion_id INTEGER REFERENCES discussions(id) ON DELETE CASCADE,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        username VARCHAR(255),
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Lessons table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS lessons (
-        id SERIAL PRIMARY KEY,
-        author_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        author_name VARCHAR(255),
-        title VARCHAR(255) NOT NULL,
-        description TEXT,
-        content TEXT,
-        difficulty VARCHAR(50),
-        duration INTEGER,
-        prerequisites TEXT[],
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        views INTEGER DEFAULT 0,
-        completions INTEGER DEFAULT 0
-      )
-    `);
-    
-    // Rooms table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS rooms (
-        id SERIAL PRIMARY KEY,
-        owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        owner_name VARCHAR(255),
-        name VARCHAR(255) NOT NULL,
-        description TEXT,
-        participants TEXT[],
-        max_participants INTEGER DEFAULT 10,
-        status VARCHAR(50) DEFAULT 'active',
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create indexes for better performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
-      CREATE INDEX IF NOT EXISTS idx_projects_created ON projects(created_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_discussions_created ON discussions(created_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_lessons_created ON lessons(created_at DESC);
-      CREATE INDEX IF NOT EXISTS idx_rooms_status ON rooms(status);
-      CREATE INDEX IF NOT EXISTS idx_users_api_key ON users(api_key);
-    `);
-    
-    console.log('✅ PostgreSQL tables and indexes created successfully');
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
   } catch (error) {
-    console.error('Error creating tables:', error);
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
   }
 };
 
+const UNIQUE_VIOLATION = '23505';
+
 // PostgreSQL compatible getDB function
 const getDB = () => {
   if (!pool) {
@@ -234,215 +161,726 @@ const getDB = () => {
   
   // Return MongoDB-like interface for compatibility
   return {
-    collection: (name) => ({
-      findOne: async (query) => {
-        // Map MongoDB fields to PostgreSQL columns
-        const mappedQuery = {};
-        const fieldMap = {
-          '_id': 'id',
-          'apiKey': 'api_key'
-        };
-        
-        for (const [key, value] of Object.entries(query)) {
-          const column = fieldMap[key] || key;
-          mappedQuery[column] = value;
+    collection: (name) => {
+      const table = tableFor(name);
+      const quotedTable = quote(table);
+
+      // UPDATE the first matching row (or every one, with many) and return the rows
+      const updateRows = async (query, update, many, client = pool) => {
+        const compiler = createSqlCompiler(table);
+        const setClause = buildUpdateClause(compiler, update);
+        const whereClause = compiler.where(query);
+        const result = await client.query(
+          many
+            ? `UPDATE ${quotedTable} SET ${setClause} WHERE ${whereClause} RETURNING *`
+            : `UPDATE ${quotedTable} SET ${setClause} WHERE "id" = (SELECT "id" FROM ${quotedTable} WHERE ${whereClause} LIMIT 1) RETURNING *`,
+          compiler.values
+        );
+        return result.rows;
+      };
+
+      // Insert the row an upsert builds from the query. If a concurrent upsert
+      // inserted it first, update that row instead.
+      const upsertRow = async (query, update) => {
+        try {
+          const { insertedId } = await collection.insertOne(applyUpdate(upsertBase(query), update, { inserting: true }));
+          return { inserted: true, row: await collection.findOne({ id: insertedId }) };
+        } catch (error) {
+          if (error.code !== UNIQUE_VIOLATION) throw error;
+          const [row] = await updateRows(query, update, false);
+          return { inserted: false, row: fromRow(table, row) };
+        }
+      };
+
+      const updateResult = async (query, update, { upsert, many }) => {
+        const rows = await updateRows(query, update, many);
+        if (rows.length === 0 && upsert) {
+          const { inserted, row } = await upsertRow(query, update);
+          return inserted
+            ? { matchedCount: 0, modifiedCount: 0, upsertedId: row && row.id, upsertedCount: 1, acknowledged: true }
+            : { matchedCount: 1, modifiedCount: 1, upsertedId: null, upsertedCount: 0, acknowledged: true };
         }
+        return { matchedCount: rows.length, modifiedCount: rows.length, upsertedId: null, upsertedCount: 0, acknowledged: true };
+      };
+
+      const collection = {
+        findOne: async (query = {}) => {
+          const whereClause = buildWhereClause(query, table);
+          const result = await pool.query(
+            `SELECT * FROM ${quotedTable} WHERE ${whereClause.text} LIMIT 1`,
+            whereClause.values
+          );
         
-        const whereClause = buildWhereClause(mappedQuery);
-        const result = await pool.query(
-          `SELECT * FROM ${name} WHERE ${whereClause.text} LIMIT 1`,
-          whereClause.values
-        );
+          return fromRow(table, result.rows[0]);
+        },
+      
+        // A cursor: sort, skip and limit chain in any order before toArray
+        find: (query = {}) => {
+          const options = { sort: null, skip: 0, limit: null };
+          const cursor = {
+            sort: (sortObj) => {
+              options.sort = sortObj;
+              return cursor;
+            },
+            skip: (count) => {
+              options.skip = count;
+              return cursor;
+            },
+            limit: (count) => {
+              options.limit = count;
+              return cursor;
+            },
+            toArray: async () => {
+              const whereClause = buildWhereClause(query, table);
+              const values = [...whereClause.values];
+              let sql = `SELECT * FROM ${quotedTable} WHERE ${whereClause.text} ORDER BY ${buildSortClause(table, options.sort)}`;
+              if (options.skip > 0) {
+                values.push(options.skip);
+                sql += ` OFFSET $${values.length}`;
+              }
+              if (options.limit > 0) {
+                values.push(options.limit);
+                sql += ` LIMIT $${values.length}`;
+              }
+              const result = await pool.query(sql, values);
+              return result.rows.map(row => fromRow(table, row));
+            }
+          };
+          return cursor;
+        },
+      
+        insertOne: async (doc) => {
+          const row = toRow(table, doc);
+          if (row.id === undefined || row.id === null) row.id = crypto.randomBytes(12).toString('hex');
+
+          const columns = Object.keys(row);
+          const placeholders = columns.map((_, i) => `$${i + 1}`);
+        
+          const result = await pool.query(
+            `INSERT INTO ${quotedTable} (${columns.map(quote).join(', ')}) 
+             VALUES (${placeholders.join(', ')}) 
+             RETURNING "id"`,
+            Object.values(row)
+          );
         
-        // Map PostgreSQL columns back to MongoDB field names
-        if (result.rows[0]) {
-          const row = result.rows[0];
           return {
-            _id: row.id,
-            ...row,
-            apiKey: row.api_key,
-            userId: row.user_id,
-            created: row.created_at,
-            lastActive: row.last_active
+            insertedId: result.rows[0].id,
+            acknowledged: true
           };
-        }
-        return null;
-      },
+        },
       
-      find: (query = {}) => {
-        const whereClause = buildWhereClause(query);
-        return {
-          sort: (sortObj) => ({
-            skip: (offset) => ({
-              limit: (limit) => ({
-                toArray: async () => {
-                  const sortClause = buildSortClause(sortObj);
-                  const result = await pool.query(
-                    `SELECT * FROM ${name} 
-                     WHERE ${whereClause.text} 
-                     ORDER BY ${sortClause}
-                     OFFSET $${whereClause.values.length + 1} 
-                     LIMIT $${whereClause.values.length + 2}`,
-                    [...whereClause.values, offset, limit]
-                  );
-                  return result.rows;
-                }
-              })
-            })
-          })
-        };
-      },
+        updateOne: async (query, update, options = {}) => {
+          return updateResult(query, update, { upsert: options.upsert, many: false });
+        },
       
-      insertOne: async (doc) => {
-        // Map MongoDB field names to PostgreSQL columns
-        const fieldMap = {
-          '_id': 'id',
-          'userId': 'user_id',
-          'apiKey': 'api_key',
-          'created': 'created_at',
-          'lastActive': 'last_active',
-          'authorId': 'author_id',
-          'authorName': 'author_name',
-          'updated': 'updated_at',
-          'ownerId': 'owner_id',
-          'ownerName': 'owner_name',
-          'discussionId': 'discussion_id',
-          'githubUrl': 'github_url',
-          'demoUrl': 'demo_url',
-          'maxParticipants': 'max_participants'
-        };
-        
-        const mappedDoc = {};
-        for (const [key, value] of Object.entries(doc)) {
-          const column = fieldMap[key] || key;
-          mappedDoc[column] = value;
-        }
-        
-        const columns = Object.keys(mappedDoc).filter(k => k !== 'id');
-        const values = columns.map(k => mappedDoc[k]);
-        const placeholders = columns.map((_, i) => `$${i + 1}`);
-        
-        const result = await pool.query(
-          `INSERT INTO ${name} (${columns.join(', ')}) 
-           VALUES (${placeholders.join(', ')}) 
-           RETURNING *`,
-          values
-        );
-        
-        return {
-          insertedId: result.rows[0].id,
-          acknowledged: true
-        };
-      },
+        updateMany: async (query, update, options = {}) => {
+          return updateResult(query, update, { upsert: options.upsert, many: true });
+        },
       
-      updateOne: async (query, update) => {
-        const whereClause = buildWhereClause(query);
-        const setClause = buildSetClause(update.$set || update);
+        // The matched row after the update (or before it, with returnDocument:
+        // 'before'), or null when nothing matched
+        findOneAndUpdate: async (query, update, options = {}) => {
+          const change = await transaction(async (client) => {
+            const { text, values } = buildWhereClause(query, table);
+            const selected = await client.query(`SELECT * FROM ${quotedTable} WHERE ${text} LIMIT 1 FOR UPDATE`, values);
+            if (!selected.rows[0]) return null;
+            const [updated] = await updateRows({ id: selected.rows[0].id }, update, false, client);
+            return { before: fromRow(table, selected.rows[0]), after: fromRow(table, updated) };
+          });
         
-        const result = await pool.query(
-          `UPDATE ${name} 
-           SET ${setClause.text} 
-           WHERE ${whereClause.text} 
-           RETURNING *`,
-          [...setClause.values, ...whereClause.values]
-        );
+          if (change) return options.returnDocument === 'before' ? change.before : change.after;
+          if (!options.upsert) return null;
         
-        return {
-          modifiedCount: result.rowCount,
-          acknowledged: true
-        };
-      },
+          const { inserted, row } = await upsertRow(query, update);
+          return inserted && options.returnDocument === 'before' ? null : row;
+        },
       
-      deleteOne: async (query) => {
-        const whereClause = buildWhereClause(query);
+        deleteOne: async (query) => {
+          const whereClause = buildWhereClause(query, table);
         
-        const result = await pool.query(
-          `DELETE FROM ${name} WHERE ${whereClause.text}`,
-          whereClause.values
-        );
+          const result = await pool.query(
+            `DELETE FROM ${quotedTable} WHERE "id" = (SELECT "id" FROM ${quotedTable} WHERE ${whereClause.text} LIMIT 1)`,
+            whereClause.values
+          );
         
-        return {
-          deletedCount: result.rowCount,
-          acknowledged: true
-        };
-      }
-    })
+          return {
+            deletedCount: result.rowCount,
+            acknowledged: true
+          };
+        },
+
+        deleteMany: async (query = {}) => {
+          const whereClause = buildWhereClause(query, table);
+          const result = await pool.query(`DELETE FROM ${quotedTable} WHERE ${whereClause.text}`, whereClause.values);
+          return { deletedCount: result.rowCount, acknowledged: true };
+        },
+
+        countDocuments: async (query = {}) => {
+          const whereClause = buildWhereClause(query, table);
+          const result = await pool.query(`SELECT count(*) AS count FROM ${quotedTable} WHERE ${whereClause.text}`, whereClause.values);
+          return Number(result.rows[0].count);
+        },
+
+        // Indexes on top-level fields, e.g. createIndex({ authorId: 1, created: -1 })
+        createIndex: async (spec, options = {}) => {
+          const keys = Object.entries(spec).map(([field, direction]) => ({ column: columnOf(table, field), direction }));
+          const indexName = ['idx', table, ...keys.map(key => key.column)].join('_').slice(0, 63);
+          await pool.query(
+            `CREATE ${options.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${quote(indexName)} ON ${quotedTable} ` +
+            `(${keys.map(key => `${quote(key.column)} ${key.direction === -1 ? 'DESC' : 'ASC'}`).join(', ')})`
+          );
+          return indexName;
+        }
+      };
+      return collection;
+    }
   };
 };
 
-// Helper functions to convert MongoDB-style queries to PostgreSQL
-const buildWhereClause = (query) => {
-  if (!query || Object.keys(query).length === 0) {
-    return { text: '1=1', values: [] };
+// Helper functions to convert MongoDB-style queries to PostgreSQL.
+// The query language is described in query.js; FileDB evaluates the same
+// queries in memory, so anything added here must be added there too.
+
+// Tables and columns. Collections and fields are camelCase, tables and
+// columns snake_case: apiKeys -> api_keys, authorId -> author_id. Only names
+// found in the database are ever put into SQL, quoted, so the loaded schema
+// doubles as the whitelist.
+const FIELD_COLUMNS = { _id: 'id', created: 'created_at', updated: 'updated_at' };
+const COLUMN_FIELDS = { created_at: 'created', updated_at: 'updated' };
+
+const toSnakeCase = (name) => name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+
+const toColumnName = (field) => FIELD_COLUMNS[field] || toSnakeCase(field);
+
+const toFieldName = (column) => COLUMN_FIELDS[column] || column.replace(/_([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+
+const quote = (identifier) => '"' + identifier.replace(/"/g, '""') + '"';
+
+// How each column is stored, per table: kind is 'array' (Postgres arrays),
+// 'json' (json/jsonb) or 'scalar'. Loaded once the migrations have run.
+let columnKinds = {};
+
+const NUMERIC_TYPES = ['numeric', 'bigint'];
+
+const loadColumnKinds = async () => {
+  const result = await pool.query(`
+    SELECT table_name, column_name, data_type, udt_name
+    FROM information_schema.columns
+    WHERE table_schema = current_schema()
+  `);
+  columnKinds = {};
+  for (const row of result.rows) {
+    const kind = row.data_type === 'ARRAY' ? 'array' : ['json', 'jsonb'].includes(row.data_type) ? 'json' : 'scalar';
+    columnKinds[row.table_name] = columnKinds[row.table_name] || {};
+    columnKinds[row.table_name][row.column_name] = {
+      kind,
+      elementType: row.udt_name.replace(/^_/, ''),
+      numeric: NUMERIC_TYPES.includes(row.data_type)
+    };
   }
-  
-  const conditions = [];
+};
+
+const tableFor = (collection) => {
+  const table = toSnakeCase(collection);
+  if (!columnKinds[table]) throw new Error(`Unknown collection "${collection}": there is no ${table} table`);
+  return table;
+};
+
+// Column info for a top-level field, or null when the table has no such column
+const columnInfo = (table, field) => {
+  const column = toColumnName(field);
+  const info = columnKinds[table][column];
+  return info ? { column, info } : null;
+};
+
+// The column for a field that must exist (inserts, updates, indexes)
+const columnOf = (table, field) => {
+  const found = columnInfo(table, field);
+  if (!found) throw new QueryError(`Unknown field "${field}": ${table} has no ${toColumnName(field)} column`);
+  return found.column;
+};
+
+// A document as column values for INSERT. JSON columns are sent as JSON text,
+// since pg would turn a JS array into a Postgres array.
+const toRow = (table, doc) => {
+  const row = {};
+  for (const [field, value] of Object.entries(doc)) {
+    if (value === undefined) continue;
+    // The app's own id wins over the _id FileDB and Mongo add
+    if (field === '_id' && doc.id !== undefined) continue;
+    const column = columnOf(table, field);
+    const { kind } = columnKinds[table][column];
+    row[column] = kind === 'json' && value !== null ? JSON.stringify(plainValue(value)) : plainValue(value);
+  }
+  return row;
+};
+
+// A row as the document the other backends would return: camelCase fields,
+// dates as ISO strings and numbers as numbers
+const fromRow = (table, row) => {
+  if (!row) return null;
+  const doc = { _id: row.id };
+  for (const [column, value] of Object.entries(row)) {
+    const info = columnKinds[table][column] || {};
+    let converted = value;
+    if (value instanceof Date) converted = value.toISOString();
+    else if (info.numeric && value !== null) converted = Number(value);
+    doc[toFieldName(column)] = converted;
+  }
+  return doc;
+};
+
+const SQL_COMPARISONS = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+const toOperators = (condition) => (isOperatorObject(condition) ? condition : { $eq: condition });
+
+const isWholeValue = (value) => Array.isArray(value) || isPlainObject(value);
+
+const plainValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const jsonString = (text) => '"' + String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+
+const regexSource = (condition) => (condition.$regex instanceof RegExp ? condition.$regex.source : String(condition.$regex));
+
+const regexIgnoresCase = (condition) => (condition.$options || (condition.$regex instanceof RegExp ? condition.$regex.flags : '')).includes('i');
+
+// SQL that is NULL-safe under NOT: a NULL comparison counts as no match
+const negate = (sql) => `NOT coalesce((${sql}), FALSE)`;
+
+const either = (parts) => (parts.length > 1 ? `(${parts.join(' OR ')})` : parts[0] || 'FALSE');
+
+const both = (parts) => (parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0] || 'TRUE');
+
+// SQL builders for one statement on a table. They share one parameter list,
+// numbered from offset + 1, so SET and WHERE clauses can be combined.
+const createSqlCompiler = (table, offset = 0) => {
   const values = [];
-  let paramCount = 1;
-  
-  for (const [key, value] of Object.entries(query)) {
-    if (key === '_id' || key === 'id') {
-      conditions.push(`id = $${paramCount}`);
-      values.push(value);
-      paramCount++;
-    } else if (key === '$or') {
-      const orConditions = value.map(cond => {
-        const subConditions = [];
-        for (const [k, v] of Object.entries(cond)) {
-          subConditions.push(`${k} = $${paramCount}`);
-          values.push(v);
-          paramCount++;
+  const param = (value) => {
+    values.push(plainValue(value));
+    return `$${offset + values.length}`;
+  };
+
+  // Conditions on a plain column (or an element of an array column)
+  const scalarCondition = (expr, operators) => both(Object.entries(operators).map(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        if (operand === null || operand === undefined) return `${expr} IS NULL`;
+        return isWholeValue(operand) ? 'FALSE' : `${expr} = ${param(operand)}`;
+      case '$ne':
+        return negate(scalarCondition(expr, { $eq: operand }));
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        return `${expr} ${SQL_COMPARISONS[operator]} ${param(checkComparable(operator, operand))}`;
+      case '$in': {
+        const list = checkList(operator, operand);
+        const listed = list.filter(item => item !== null && !isWholeValue(item));
+        return either([
+          ...(listed.length ? [`${expr} = ANY(${param(listed)})`] : []),
+          ...(list.includes(null) ? [`${expr} IS NULL`] : [])
+        ]);
+      }
+      case '$nin':
+        return negate(scalarCondition(expr, { $in: operand }));
+      case '$exists':
+        return operand ? `${expr} IS NOT NULL` : `${expr} IS NULL`;
+      case '$regex':
+        return `${expr}::text ${regexIgnoresCase(operators) ? '~*' : '~'} ${param(regexSource(operators))}`;
+      case '$options':
+        return 'TRUE';
+      case '$all': {
+        const list = checkList(operator, operand);
+        return list.length ? both(list.map(item => scalarCondition(expr, { $eq: item }))) : 'FALSE';
+      }
+      case '$elemMatch':
+        return 'FALSE';
+      case '$not':
+        if (!isOperatorObject(operand)) throw new QueryError('$not needs operators, e.g. { $not: { $gt: 1 } }');
+        return negate(scalarCondition(expr, operand));
+      default:
+        throw new QueryError(`Unknown query operator ${operator}`);
+    }
+  }));
+
+  // Conditions on a Postgres array column: most apply to any element
+  const arrayCondition = (column, elementType, operators) => {
+    const anyElement = (elementOperators) =>
+      `EXISTS (SELECT 1 FROM unnest(${column}) AS elem WHERE ${scalarCondition('elem', elementOperators)})`;
+    const isEmpty = `coalesce(cardinality(${column}), 0) = 0`;
+
+    return both(Object.entries(operators).map(([operator, operand]) => {
+      switch (operator) {
+        case '$eq':
+          if (operand === null || operand === undefined) return isEmpty;
+          if (Array.isArray(operand)) return `${column} = ${param(operand)}::${elementType}[]`;
+          return isPlainObject(operand) ? 'FALSE' : `${param(operand)} = ANY(${column})`;
+        case '$ne':
+          return negate(arrayCondition(column, elementType, { $eq: operand }));
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+          checkComparable(operator, operand);
+          return anyElement({ [operator]: operand });
+        case '$in':
+          return either(checkList(operator, operand).map(item => arrayCondition(column, elementType, { $eq: item })));
+        case '$nin':
+          return negate(arrayCondition(column, elementType, { $in: operand }));
+        case '$exists':
+          return operand ? negate(isEmpty) : isEmpty;
+        case '$regex':
+          return anyElement({ $regex: operand, $options: operators.$options });
+        case '$options':
+          return 'TRUE';
+        case '$all': {
+          const list = checkList(operator, operand);
+          return list.length ? both(list.map(item => arrayCondition(column, elementType, { $eq: item }))) : 'FALSE';
         }
-        return `(${subConditions.join(' AND ')})`;
-      });
-      conditions.push(`(${orConditions.join(' OR ')})`);
-    } else {
-      conditions.push(`${key} = $${paramCount}`);
-      values.push(value);
-      paramCount++;
+        case '$elemMatch':
+          if (!isPlainObject(operand)) throw new QueryError('$elemMatch needs an object');
+          return isOperatorObject(operand) ? anyElement(operand) : 'FALSE';
+        case '$not':
+          if (!isOperatorObject(operand)) throw new QueryError('$not needs operators, e.g. { $not: { $gt: 1 } }');
+          return negate(arrayCondition(column, elementType, operand));
+        default:
+          throw new QueryError(`Unknown query operator ${operator}`);
+      }
+    }));
+  };
+
+  // Conditions inside a json/jsonb column compile to one SQL/JSON path
+  // predicate. Lax mode looks through arrays the way query.js does.
+  // With subquery, the column's value itself must match that query instead
+  const jsonCondition = (column, segments, operators, missing, subquery) => {
+    const vars = {};
+    const variable = (value) => {
+      const name = 'v' + Object.keys(vars).length;
+      vars[name] = plainValue(value);
+      return '$' + name;
+    };
+    const not = (predicate) => `(!(${predicate}) || (${predicate}) is unknown)`;
+    const present = (accessor) => `exists(${accessor} ? (@ != null))`;
+    const never = '(1 == 2)';
+
+    const pathOperators = (accessor, ops) => Object.entries(ops).map(([operator, operand]) => {
+      switch (operator) {
+        case '$eq':
+          if (operand === null || operand === undefined) return not(present(accessor));
+          if (isWholeValue(operand)) throw new QueryError('Arrays and objects can only be compared with top-level JSON fields');
+          return `${accessor} == ${variable(operand)}`;
+        case '$ne':
+          return not(pathOperators(accessor, { $eq: operand }));
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte':
+          return `${accessor} ${SQL_COMPARISONS[operator]} ${variable(checkComparable(operator, operand))}`;
+        case '$in': {
+          const list = checkList(operator, operand);
+          return list.length ? `(${list.map(item => pathOperators(accessor, { $eq: item })).join(' || ')})` : never;
+        }
+        case '$nin':
+          return not(pathOperators(accessor, { $in: operand }));
+        case '$exists':
+          return operand ? present(accessor) : not(present(accessor));
+        case '$regex':
+          return `${accessor} like_regex ${jsonString(regexSource(ops))}${regexIgnoresCase(ops) ? ' flag "i"' : ''}`;
+        case '$options':
+          return '(1 == 1)';
+        case '$all': {
+          const list = checkList(operator, operand);
+          return list.length ? `(${list.map(item => pathOperators(accessor, { $eq: item })).join(' && ')})` : never;
+        }
+        case '$elemMatch': {
+          if (!isPlainObject(operand)) throw new QueryError('$elemMatch needs an object');
+          const inner = isOperatorObject(operand) ? pathOperators('@', operand) : pathQuery('@', operand);
+          return `exists(${accessor}[*] ? (${inner}))`;
+        }
+        case '$not':
+          if (!isOperatorObject(operand)) throw new QueryError('$not needs operators, e.g. { $not: { $gt: 1 } }');
+          return not(pathOperators(accessor, operand));
+        default:
+          throw new QueryError(`Unknown query operator ${operator}`);
+      }
+    }).join(' && ');
+
+    const pathQuery = (base, subquery) => Object.entries(subquery).map(([key, condition]) => {
+      if (key === '$and') return `(${checkQueries(key, condition).map(q => pathQuery(base, q)).join(' && ')})`;
+      if (key === '$or') return `(${checkQueries(key, condition).map(q => pathQuery(base, q)).join(' || ')})`;
+      if (key === '$not') return not(pathQuery(base, condition));
+      if (key.startsWith('$')) throw new QueryError(`Unknown query operator ${key}`);
+      return pathOperators(accessorFor(base, splitPath(key)), toOperators(condition));
+    }).join(' && ') || '(1 == 1)';
+
+    const accessorFor = (base, path) => base + path.map(segment => '.' + jsonString(segment)).join('');
+
+    // Whole-value equality on the column itself is plain jsonb equality
+    if (!subquery && segments.length === 0 && Object.keys(operators).length === 1 && isWholeValue(operators.$eq)) {
+      return `${column} = ${param(JSON.stringify(operators.$eq))}::jsonb`;
     }
-  }
-  
-  return {
-    text: conditions.join(' AND '),
-    values
+
+    const predicate = subquery ? pathQuery('$', subquery) : pathOperators(accessorFor('$', segments), operators);
+    return `(CASE WHEN ${column} IS NULL THEN ${missing ? 'TRUE' : 'FALSE'} ` +
+      `ELSE coalesce(jsonb_path_match(${column}, ${param(predicate)}::jsonpath, ${param(JSON.stringify(vars))}::jsonb, TRUE), FALSE) END)`;
   };
-};
 
-const buildSetClause = (update) => {
-  const sets = [];
-  const values = [];
-  let paramCount = 1;
-  
-  for (const [key, value] of Object.entries(update)) {
-    if (key !== '_id' && key !== 'id') {
-      sets.push(`${key} = $${paramCount}`);
-      values.push(value);
-      paramCount++;
+  // The column a field path starts in (quoted for SQL), the rest of the path
+  // and how it is stored; info is null when the table has no such column
+  const columnFor = (field) => {
+    const [first, ...rest] = splitPath(field);
+    const found = columnInfo(table, first);
+    return { name: toColumnName(first), column: quote(toColumnName(first)), rest, info: found && found.info };
+  };
+
+  const fieldCondition = (field, condition) => {
+    const { column, rest, info } = columnFor(field);
+    const operators = toOperators(condition);
+    // What the condition says about a missing field, e.g. { $exists: false } matches
+    const missing = matchesQuery({}, { value: condition });
+
+    // A field without a column is missing from every row
+    if (!info) return missing ? 'TRUE' : 'FALSE';
+    if (info.kind === 'json') return jsonCondition(column, rest, operators, missing);
+    // An array element by position ('participants.9'); Postgres counts from 1
+    if (info.kind === 'array' && rest.length === 1 && /^\d+$/.test(rest[0])) {
+      return scalarCondition(`${column}[${Number(rest[0]) + 1}]`, operators);
     }
-  }
-  
-  return {
-    text: sets.join(', '),
-    values
+    // Scalars and arrays of scalars have no nested fields
+    if (rest.length > 0) return missing ? 'TRUE' : 'FALSE';
+    if (info.kind === 'array') return arrayCondition(column, info.elementType, operators);
+    return scalarCondition(column, operators);
   };
+
+  const compile = (subquery) => both(Object.entries(subquery || {}).map(([key, condition]) => {
+    if (key === '$and') return both(checkQueries(key, condition).map(compile));
+    if (key === '$or') return either(checkQueries(key, condition).map(compile));
+    if (key === '$not') return negate(compile(condition));
+    if (key.startsWith('$')) throw new QueryError(`Unknown query operator ${key}`);
+    return fieldCondition(key, condition);
+  }));
+
+  return { table, values, param, columnFor, scalarCondition, jsonCondition, where: compile };
+};
+
+// Compile a query to a WHERE clause for a table
+const buildWhereClause = (query, table, offset = 0) => {
+  const compiler = createSqlCompiler(table, offset);
+  const text = compiler.where(query);
+  return { text, values: compiler.values };
 };
 
-const buildSortClause = (sortObj) => {
-  if (!sortObj || Object.keys(sortObj).length === 0) {
-    return 'id ASC';
+// Compile update operators (see query.js) to a SET clause. Each column's new
+// value is one expression, so several operators can change parts of the same
+// JSON column. $setOnInsert is left out: upserts build the inserted row in
+// memory. Returns 'id = id' when nothing changes, so the row still counts as matched.
+const buildUpdateClause = (compiler, update) => {
+  checkUpdate(update);
+  const { table, param, columnFor, scalarCondition, jsonCondition } = compiler;
+  const expressions = new Map();
+
+  const jsonValue = (value) => (value === null || value === undefined ? 'NULL' : `${param(JSON.stringify(plainValue(value)))}::jsonb`);
+
+  const dedupe = (list) => list.filter((item, index) => list.findIndex(other => JSON.stringify(other) === JSON.stringify(item)) === index);
+
+  // Appending to a jsonb array, skipping values it (or the list before them) already has
+  const jsonAddToSet = (existing, list) => `coalesce(${existing}, '[]'::jsonb) || (
+    SELECT coalesce(jsonb_agg(added.value ORDER BY added.n), '[]'::jsonb)
+    FROM jsonb_array_elements(${jsonValue(dedupe(list))}) WITH ORDINALITY AS added(value, n)
+    WHERE NOT EXISTS (
+      SELECT 1 FROM jsonb_array_elements(coalesce(${existing}, '[]'::jsonb)) AS present(value)
+      WHERE present.value = added.value
+    )
+  )`;
+
+  const jsonPull = (existing, condition) => {
+    const subquery = isPlainObject(condition) && !isOperatorObject(condition) ? condition : null;
+    const matches = jsonCondition('kept.value', [], toOperators(condition), false, subquery);
+    return `(SELECT coalesce(jsonb_agg(kept.value ORDER BY kept.n), '[]'::jsonb)
+      FROM jsonb_array_elements(${existing}) WITH ORDINALITY AS kept(value, n)
+      WHERE ${negate(matches)})`;
+  };
+
+  // A $pull query for objects never matches plain values, like query.js
+  const pullCondition = (operand) => (isPlainObject(operand) && !isOperatorObject(operand) ? { $in: [] } : operand);
+
+  // New value of a whole column
+  const columnUpdate = (current, info, operator, operand, field) => {
+    const { kind, elementType } = info;
+    const array = (list) => `${param(list.map(plainValue))}::${elementType}[]`;
+
+    switch (operator) {
+      case '$set':
+        if (operand === null || operand === undefined) return 'NULL';
+        if (kind === 'json') return jsonValue(operand);
+        if (kind === 'array') return array(checkList('$set', operand));
+        return param(operand);
+      case '$unset':
+        return 'NULL';
+      case '$inc':
+        if (kind === 'json') return `to_jsonb(coalesce((${current} #>> '{}')::numeric, 0) + ${param(operand)})`;
+        return `coalesce(${current}, 0) + ${param(operand)}`;
+      case '$push':
+        if (kind === 'array') return `coalesce(${current}, '{}') || ${array(eachValues(operand))}`;
+        if (kind === 'json') return `coalesce(${current}, '[]'::jsonb) || ${jsonValue(eachValues(operand))}`;
+        break;
+      case '$addToSet':
+        if (kind === 'array') {
+          return `coalesce(${current}, '{}') || ARRAY(
+            SELECT added.value FROM unnest(${array(dedupe(eachValues(operand)))}) WITH ORDINALITY AS added(value, n)
+            WHERE NOT coalesce(added.value = ANY(${current}), FALSE) ORDER BY added.n
+          )`;
+        }
+        if (kind === 'json') return jsonAddToSet(current, eachValues(operand));
+        break;
+      case '$pull':
+        if (kind === 'array') {
+          return `CASE WHEN ${current} IS NULL THEN NULL ELSE ARRAY(
+            SELECT kept.value FROM unnest(${current}) WITH ORDINALITY AS kept(value, n)
+            WHERE ${negate(scalarCondition('kept.value', toOperators(pullCondition(operand))))} ORDER BY kept.n
+          ) END`;
+        }
+        if (kind === 'json') return `CASE WHEN ${current} IS NULL THEN NULL ELSE ${jsonPull(current, operand)} END`;
+        break;
+    }
+    throw new QueryError(`${operator} needs an array column for "${field}"`);
+  };
+
+  // New value of a column after changing one path inside its JSON
+  const nestedUpdate = (current, rest, operator, operand) => {
+    const path = `${param(rest)}::text[]`;
+    const existing = `${current} #> ${path}`;
+    if (operator === '$unset') return `${current} #- ${path}`;
+    if (operator === '$pull') {
+      return `CASE WHEN ${existing} IS NULL THEN ${current} ELSE jsonb_set(${current}, ${path}, ${jsonPull(existing, operand)}) END`;
+    }
+
+    let value;
+    if (operator === '$set') value = jsonValue(operand);
+    if (operator === '$inc') value = `to_jsonb(coalesce((${current} #>> ${path})::numeric, 0) + ${param(operand)})`;
+    if (operator === '$push') value = `coalesce(${existing}, '[]'::jsonb) || ${jsonValue(eachValues(operand))}`;
+    if (operator === '$addToSet') value = jsonAddToSet(existing, eachValues(operand));
+
+    // jsonb_set only creates the last key, so make the parent objects first
+    let target = `coalesce(${current}, '{}'::jsonb)`;
+    for (let depth = 1; depth < rest.length; depth++) {
+      const parent = `${param(rest.slice(0, depth))}::text[]`;
+      target = `jsonb_set(${target}, ${parent}, coalesce(${target} #> ${parent}, '{}'::jsonb), true)`;
+    }
+    return `jsonb_set(${target}, ${path}, ${value}, true)`;
+  };
+
+  for (const [operator, fields] of Object.entries(update)) {
+    if (operator === '$setOnInsert') continue;
+
+    for (const [field, operand] of Object.entries(fields)) {
+      const { name, column, rest, info } = columnFor(field);
+      if (name === 'id' && operator === '$set') continue;
+      if (!info) {
+        // Nothing to remove from a field no row has
+        if (operator === '$unset' || operator === '$pull') continue;
+        columnOf(table, field);
+      }
+      if (operator === '$inc' && typeof operand !== 'number') throw new QueryError(`$inc needs a number for "${field}"`);
+
+      const current = expressions.get(column) || column;
+      if (rest.length === 0) {
+        expressions.set(column, columnUpdate(current, info, operator, operand, field));
+      } else if (info.kind === 'json') {
+        expressions.set(column, nestedUpdate(current, rest, operator, operand));
+      } else {
+        throw new QueryError(`Cannot update "${field}": ${name} has no nested fields`);
+      }
+    }
   }
-  
+
+  if (expressions.size === 0) return '"id" = "id"';
+  return [...expressions].map(([column, expression]) => `${column} = ${expression}`).join(', ');
+};
+
+// ORDER BY for a sort spec. Fields without a column are the same on every
+// row, so they are left out; id keeps the order stable. NULLs sort first, as
+// in query.js and MongoDB.
+const buildSortClause = (table, sortObj) => {
   const sorts = [];
-  for (const [key, value] of Object.entries(sortObj)) {
-    const column = key === 'created' ? 'created_at' : key;
-    const direction = value === -1 ? 'DESC' : 'ASC';
-    sorts.push(`${column} ${direction}`);
+  for (const [field, direction] of Object.entries(sortObj || {})) {
+    const found = columnInfo(table, field);
+    if (found) sorts.push(`${quote(found.column)} ${direction === -1 ? 'DESC NULLS LAST' : 'ASC NULLS FIRST'}`);
   }
-  
+  sorts.push('"id" ASC');
   return sorts.join(', ');
 };
 
+// Per-type full-text queries. Each returns the same columns so they can be combined
+// with UNION ALL; the tsvector expressions match the GIN indexes in migrations/001.
+const SEARCH_QUERIES = {
+  discussion: `
+    SELECT 'discussion' AS type, id::text AS id, title, author, created_at AS created,
+      NULL AS discussion_id,
+      ts_rank(setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+              setweight(to_tsvector('english', coalesce(content, '')), 'D'), q) AS score,
+      ts_headline('english', coalesce(content, ''), q, $2) AS snippet
+    FROM discussions, websearch_to_tsquery('english', $1) q
+    WHERE to_tsvector('english', coalesce(title, '') || ' ' || coalesce(content, '')) @@ q
+      AND ($4 OR NOT coalesce(hidden, FALSE))`,
+  reply: `
+    SELECT 'reply' AS type, id::text AS id, NULL AS title, author, created_at AS created,
+      discussion_id::text AS discussion_id,
+      ts_rank(to_tsvector('english', coalesce(content, '')), q) AS score,
+      ts_headline('english', coalesce(content, ''), q, $2) AS snippet
+    FROM replies, websearch_to_tsquery('english', $1) q
+    WHERE to_tsvector('english', coalesce(content, '')) @@ q
+      AND ($4 OR NOT coalesce(hidden, FALSE))`,
+  project: `
+    SELECT 'project' AS type, id::text AS id, title, author, created_at AS created,
+      NULL AS discussion_id,
+      ts_rank(setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+              setweight(to_tsvector('english', coalesce(description, '')), 'D'), q) AS score,
+      ts_headline('english', coalesce(description, ''), q, $2) AS snippet
+    FROM projects, websearch_to_tsquery('english', $1) q
+    WHERE to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')) @@ q
+      AND ($4 OR NOT coalesce(hidden, FALSE))`,
+  lesson: `
+    SELECT 'lesson' AS type, id::text AS id, title, author, created_at AS created,
+      NULL AS discussion_id,
+      ts_rank(setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+              setweight(to_tsvector('english', coalesce(description, '') || ' ' || coalesce(content, '')), 'D'), q) AS score,
+      ts_headline('english', coalesce(description, '') || ' ' || coalesce(content, ''), q, $2) AS snippet
+    FROM lessons, websearch_to_tsquery('english', $1) q
+    WHERE to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || coalesce(content, '')) @@ q
+      AND ($4 OR NOT coalesce(hidden, FALSE))`
+};
+
+// Ranked full-text search; markStart/markEnd wrap the matched words in each snippet
+// and hidden rows are skipped unless includeHidden is set.
+// Returns { rows, total } where total counts every match, not just this page.
+const searchContent = async (query, { types, limit, includeHidden = false, markStart, markEnd }) => {
+  if (!pool) {
+    throw new Error('Database not initialized. Call connectDB first.');
+  }
+
+  const selects = types.filter(type => SEARCH_QUERIES[type]).map(type => SEARCH_QUERIES[type]);
+  if (selects.length === 0) return { rows: [], total: 0 };
+
+  const headline = `StartSel=${markStart}, StopSel=${markEnd}, MaxWords=35, MinWords=15`;
+  const result = await pool.query(
+    `SELECT *, count(*) OVER () AS total FROM (${selects.join(' UNION ALL ')}) matches ORDER BY score DESC, created DESC LIMIT $3`,
+    [query, headline, limit, includeHidden]
+  );
+
+  const rows = result.rows.map(row => ({
+    type: row.type,
+    id: row.id,
+    title: row.title,
+    author: row.author,
+    created: row.created,
+    discussionId: row.discussion_id,
+    score: Number(row.score),
+    snippet: row.snippet
+  }));
+  return { rows, total: result.rows.length ? Number(result.rows[0].total) : 0 };
+};
+
 const closeDB = async () => {
   if (pool) {
     await pool.end();
@@ -452,7 +890,9 @@ const closeDB = async () => {
 };
 
 module.exports = {
+  createPool,
   connectDB,
   getDB,
-  closeDB
+  closeDB,
+  searchContent
 };
\ No newline at end of file
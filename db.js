@@ -1,27 +1,67 @@
-const { MongoClient } = require('mongodb');
 require('dotenv').config();
 
 let db = null;
 let client = null;
 
-// Use file-based DB on Render if MongoDB fails
-const useFileDB = process.env.USE_FILE_DB === 'true';
+const STORAGE_TYPES = ['memory', 'file', 'postgres', 'mongo'];
+
+// Pick the storage backend. STORAGE wins when set; otherwise fall back to
+// inferring it from the connection settings that are present.
+const resolveStorage = () => {
+  const explicit = (process.env.STORAGE || '').trim().toLowerCase();
+  if (explicit) {
+    if (!STORAGE_TYPES.includes(explicit)) {
+      throw new Error(`Unknown STORAGE "${explicit}". Use one of: ${STORAGE_TYPES.join(', ')}`);
+    }
+    return explicit;
+  }
+
+  if (process.env.DATABASE_URL || process.env.DB_HOST) return 'postgres';
+  if (process.env.USE_FILE_DB === 'true') return 'file';
+  if (process.env.NODE_ENV === 'production' && !process.env.MONGODB_URI) return 'file';
+  return 'mongo';
+};
+
+const storage = resolveStorage();
+
+// Native MongoDB already understands the shared query and update operators
+// (see query.js). Only findOneAndUpdate is adjusted, to return the document
+// itself - after the update unless returnDocument: 'before' - like the file
+// and Postgres backends do.
+const withDocumentResults = (nativeDb) => Object.assign(Object.create(nativeDb), {
+  collection: (name, options) => {
+    const collection = nativeDb.collection(name, options);
+    return Object.assign(Object.create(collection), {
+      findOneAndUpdate: (query, update, updateOptions = {}) => collection.findOneAndUpdate(query, update, {
+        returnDocument: 'after',
+        includeResultMetadata: false,
+        ...updateOptions
+      })
+    });
+  }
+});
 
 const connectDB = async () => {
-  // Use PostgreSQL if configured
-  if (process.env.DATABASE_URL || process.env.DB_HOST) {
+  if (storage === 'memory') {
+    console.log('🧠 Using in-memory storage (data is lost on restart)');
+    const memoryDB = require('./db-memory');
+    return await memoryDB.connectDB();
+  }
+
+  if (storage === 'postgres') {
     console.log('📘 PostgreSQL configured, using Supabase...');
     const postgresDB = require('./db-postgres');
     return await postgresDB.connectDB();
   }
   
-  // If forced to use file DB or on Render with connection issues
-  if (useFileDB || (process.env.NODE_ENV === 'production' && !process.env.MONGODB_URI)) {
+  if (storage === 'file') {
     const fileDB = require('./db-file');
     return await fileDB.connectDB();
   }
   try {
     if (db) return db;
+
+    const { MongoClient } = require('mongodb');
     
     let uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-learning-hub';
     
@@ -67,7 +107,7 @@ const connectDB = async () => {
     await client.connect();
     console.log('✅ Connected to MongoDB successfully');
     
-    db = client.db();
+    db = withDocumentResults(client.db());
     
     // Create indexes for better performance
     await createIndexes();
@@ -100,20 +140,69 @@ const createIndexes = async () => {
     await db.collection('users').createIndex({ email: 1 }, { unique: true });
     await db.collection('users').createIndex({ apiKey: 1 }, { sparse: true });
     
+    // Session indexes
+    await db.collection('sessions').createIndex({ id: 1 }, { unique: true });
+    await db.collection('sessions').createIndex({ userId: 1 });
+    
+    // API key indexes
+    await db.collection('apiKeys').createIndex({ keyHash: 1 }, { unique: true });
+    await db.collection('apiKeys').createIndex({ userId: 1 });
+    
     // Project indexes
     await db.collection('projects').createIndex({ created: -1 });
     await db.collection('projects').createIndex({ userId: 1 });
+    await db.collection('projects').createIndex({ authorId: 1, created: -1 });
     
     // Discussion indexes
     await db.collection('discussions').createIndex({ created: -1 });
+    await db.collection('discussions').createIndex({ authorId: 1, created: -1 });
+    
+    // Reply indexes
+    await db.collection('replies').createIndex({ discussionId: 1, created: 1 });
+    await db.collection('replies').createIndex({ authorId: 1, created: -1 });
     
     // Lesson indexes
     await db.collection('lessons').createIndex({ created: -1 });
+    await db.collection('lessons').createIndex({ authorId: 1, created: -1 });
+    
+    // Lesson progress indexes (one record per learner per lesson)
+    await db.collection('lessonProgress').createIndex({ userId: 1, lessonId: 1 }, { unique: true });
+    await db.collection('lessonProgress').createIndex({ lessonId: 1, status: 1 });
+    
+    // Quiz indexes
+    await db.collection('quizzes').createIndex({ lessonId: 1 });
+    await db.collection('quizAttempts').createIndex({ quizId: 1, userId: 1, created: -1 });
+    
+    // Learning path indexes
+    await db.collection('learningPaths').createIndex({ created: -1 });
     
     // Room indexes
     await db.collection('rooms').createIndex({ created: -1 });
     await db.collection('rooms').createIndex({ status: 1 });
     
+    // Room chat indexes
+    await db.collection('roomMessages').createIndex({ roomId: 1, created: -1 });
+    
+    // Follows: one record per follower and followed user
+    await db.collection('follows').createIndex({ followerId: 1, followingId: 1 }, { unique: true });
+    await db.collection('follows').createIndex({ followingId: 1, created: -1 });
+    
+    // Notifications, read newest first per user
+    await db.collection('notifications').createIndex({ userId: 1, created: -1 });
+    await db.collection('notifications').createIndex({ userId: 1, read: 1 });
+    
+    // Moderation reports, worked oldest first
+    await db.collection('reports').createIndex({ status: 1, created: 1 });
+    await db.collection('reports').createIndex({ targetType: 1, targetId: 1 });
+    
+    // Reactions: one record per user, target and kind
+    await db.collection('reactions').createIndex({ userId: 1, targetType: 1, targetId: 1, kind: 1 }, { unique: true });
+    await db.collection('reactions').createIndex({ targetType: 1, targetId: 1, kind: 1 });
+    
+    // Rate limit counters, looked up by key and swept once expired
+    await db.collection('rateLimits').createIndex({ id: 1 }, { unique: true });
+    await db.collection('rateLimits').createIndex({ resetAt: 1 });
+    
     console.log('✅ Database indexes created');
   } catch (error) {
     console.error('Index creation error:', error);
@@ -121,13 +210,16 @@ const createIndexes = async () => {
 };
 
 const getDB = () => {
-  // Use PostgreSQL if configured
-  if (process.env.DATABASE_URL || process.env.DB_HOST) {
+  if (storage === 'memory') {
+    return require('./db-memory').getDB();
+  }
+
+  if (storage === 'postgres') {
     const postgresDB = require('./db-postgres');
     return postgresDB.getDB();
   }
   
-  if (useFileDB || (process.env.NODE_ENV === 'production' && !client)) {
+  if (storage === 'file' || (process.env.NODE_ENV === 'production' && !client)) {
     const fileDB = require('./db-file');
     return fileDB.getDB();
   }
@@ -138,6 +230,15 @@ const getDB = () => {
 };
 
 const closeDB = async () => {
+  if (storage === 'memory') {
+    return await require('./db-memory').closeDB();
+  }
+  if (storage === 'postgres') {
+    return await require('./db-postgres').closeDB();
+  }
+  if (storage === 'file') {
+    return await require('./db-file').closeDB();
+  }
   if (client) {
     await client.close();
     db = null;
@@ -146,8 +247,11 @@ const closeDB = async () => {
   }
 };
 
+const getStorageType = () => storage;
+
 module.exports = {
   connectDB,
   getDB,
-  closeDB
+  closeDB,
+  getStorageType
 };
\ No newline at end of file
@@ -1,9 +1,80 @@
 const { getDB } = require('../db');
+const { verifyAccessToken } = require('../session-tokens');
+const { verifyApiKey } = require('../api-keys');
+const { isModerator, isAdmin, isSuspended } = require('../moderation');
 
-// API Key authentication middleware
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+const getApiKey = (req) => req.headers['x-api-key'] || req.query.apiKey;
+
+// lastActive is written at most this often per user
+const LAST_ACTIVE_INTERVAL = 5 * 60 * 1000;
+
+// Load the user and strip credentials before attaching it to the request.
+// Every authenticated request counts as activity.
+const loadUser = async (userId) => {
+  const user = await getDB().collection('users').findOne({ id: userId });
+  if (!user) return null;
+
+  const now = new Date();
+  let { lastActive } = user;
+  if (!lastActive || now - new Date(lastActive) > LAST_ACTIVE_INTERVAL) {
+    lastActive = now.toISOString();
+    await getDB().collection('users').updateOne({ id: user.id }, { $set: { lastActive } });
+  }
+
+  const { password, _id, ...publicUser } = user;
+  return { ...publicUser, lastActive };
+};
+
+// Access token authentication middleware - sets req.user and req.sessionId
+const authenticateToken = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    
+    if (!token) {
+      return res.status(401).json({ 
+        error: 'Authentication required. Please include an Authorization: Bearer <token> header' 
+      });
+    }
+    
+    let session;
+    try {
+      session = await verifyAccessToken(token);
+    } catch (error) {
+      return res.status(401).json({ error: error.message });
+    }
+    
+    const user = await loadUser(session.userId);
+    
+    if (!user) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+    
+    if (isSuspended(user)) {
+      return res.status(403).json({ error: 'This account is suspended', suspended: user.suspended });
+    }
+    
+    // Attach user to request
+    req.user = user;
+    req.sessionId = session.sessionId;
+    next();
+  } catch (error) {
+    console.error('Token auth middleware error:', error);
+    res.status(500).json({ error: 'Authentication error' });
+  }
+};
+
+// API Key authentication middleware - sets req.user and req.apiKey
 const authenticateAPIKey = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+    const apiKey = getApiKey(req);
     
     if (!apiKey) {
       return res.status(401).json({ 
@@ -11,15 +82,25 @@ const authenticateAPIKey = async (req, res, next) => {
       });
     }
     
-    const db = getDB();
-    const user = await db.collection('users').findOne({ apiKey });
+    const key = await verifyApiKey(apiKey);
+    const user = key && await loadUser(key.userId);
     
     if (!user) {
       return res.status(401).json({ error: 'Invalid API key' });
     }
     
+    if (isSuspended(user)) {
+      return res.status(403).json({ error: 'This account is suspended', suspended: user.suspended });
+    }
+    
+    // Read-only keys may not change data
+    if (key.scope !== 'write' && !READ_METHODS.includes(req.method)) {
+      return res.status(403).json({ error: 'This API key is read-only' });
+    }
+    
     // Attach user to request
     req.user = user;
+    req.apiKey = { id: key.id, scope: key.scope };
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -27,16 +108,33 @@ const authenticateAPIKey = async (req, res, next) => {
   }
 };
 
-// Optional authentication - attaches user if API key provided but doesn't require it
+// Accepts either a bearer access token or an API key
+const authenticate = (req, res, next) => {
+  if (getBearerToken(req) || !getApiKey(req)) {
+    return authenticateToken(req, res, next);
+  }
+  return authenticateAPIKey(req, res, next);
+};
+
+// Optional authentication - attaches user if credentials provided but doesn't require them
 const optionalAuth = async (req, res, next) => {
   try {
-    const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+    const token = getBearerToken(req);
+    const apiKey = getApiKey(req);
     
-    if (apiKey) {
-      const db = getDB();
-      const user = await db.collection('users').findOne({ apiKey });
-      if (user) {
+    if (token) {
+      const session = await verifyAccessToken(token).catch(() => null);
+      const user = session && await loadUser(session.userId);
+      if (user && !isSuspended(user)) {
         req.user = user;
+        req.sessionId = session.sessionId;
+      }
+    } else if (apiKey) {
+      const key = await verifyApiKey(apiKey);
+      const user = key && await loadUser(key.userId);
+      if (user && !isSuspended(user)) {
+        req.user = user;
+        req.apiKey = { id: key.id, scope: key.scope };
       }
     }
     
@@ -47,7 +145,26 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Role checks - use after authenticate
+const requireModerator = (req, res, next) => {
+  if (!isModerator(req.user)) {
+    return res.status(403).json({ error: 'Moderator access required' });
+  }
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+};
+
 module.exports = {
+  authenticate,
+  authenticateToken,
   authenticateAPIKey,
-  optionalAuth
-};
\ No newline at end of file
+  optionalAuth,
+  requireModerator,
+  requireAdmin
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { getDB, getStorageType } = require('../db');
+const { peekAccessToken } = require('../session-tokens');
+
+// Fixed-window rate limiting with separate budgets:
+//   auth  - sign-in, registration and token refresh, per client IP
+//   write - POST/PUT/PATCH/DELETE, per user (or IP when anonymous)
+//   read  - everything else, per user (or IP when anonymous)
+// Limits come from the environment; a limit of 0 turns that budget off.
+const MINUTE = 60 * 1000;
+
+const BUDGETS = {
+  auth: { limit: parseInt(process.env.AUTH_RATE_LIMIT, 10), fallback: 10, windowMs: 15 * MINUTE },
+  write: { limit: parseInt(process.env.WRITE_RATE_LIMIT, 10), fallback: 30, windowMs: MINUTE },
+  read: { limit: parseInt(process.env.API_RATE_LIMIT, 10), fallback: 100, windowMs: MINUTE }
+};
+
+const AUTH_PATHS = ['/api/auth/login', '/api/auth/register', '/api/auth/refresh'];
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const EXEMPT_PATHS = ['/', '/api/health'];
+
+const CLEANUP_INTERVAL = 5 * MINUTE;
+
+const limitFor = (budget) => (Number.isInteger(budget.limit) && budget.limit >= 0 ? budget.limit : budget.fallback);
+
+// Counter stores implement increment(key, resetAt) -> count, counting hits on a key
+// until resetAt (ms), and cleanup() to drop expired keys.
+
+// Counters in process memory: fast, but reset on restart and not shared between instances
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(key, resetAt) {
+    const counter = this.counters.get(key) || { count: 0, resetAt };
+    counter.count += 1;
+    this.counters.set(key, counter);
+    return counter.count;
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+// Counters in the rateLimits collection of the configured storage backend, so
+// they survive restarts and are shared by every instance using the same database.
+// Each request is a write to the store, so this is only the default for backends
+// built for it (Postgres and MongoDB)
+class StorageStore {
+  collection() {
+    return getDB().collection('rateLimits');
+  }
+
+  async increment(key, resetAt) {
+    const counter = await this.collection().findOneAndUpdate(
+      { id: key },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(resetAt).toISOString() } },
+      { upsert: true }
+    );
+    return counter.count;
+  }
+
+  async cleanup() {
+    await this.collection().deleteMany({ resetAt: { $lte: new Date().toISOString() } });
+  }
+}
+
+const SHARED_STORAGE = ['postgres', 'mongo'];
+
+// RATE_LIMIT_STORE=memory|storage; by default counters go to the database on
+// Postgres and MongoDB, and stay in process on the file and memory backends,
+// where the file backend would rewrite its journal on every request
+const createStore = () => {
+  const choice = (process.env.RATE_LIMIT_STORE || '').trim().toLowerCase();
+  if (choice === 'storage') return new StorageStore();
+  if (choice === 'memory' || !SHARED_STORAGE.includes(getStorageType())) return new MemoryStore();
+  return new StorageStore();
+};
+
+const budgetFor = (req) => {
+  if (req.method === 'POST' && AUTH_PATHS.includes(req.path)) return 'auth';
+  return READ_METHODS.includes(req.method) ? 'read' : 'write';
+};
+
+// Signed-in callers are limited per user (or per API key), everyone else per IP
+const clientKey = (req, budget) => {
+  if (budget !== 'auth') {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    const userId = scheme && scheme.toLowerCase() === 'bearer' && token ? peekAccessToken(token) : null;
+    if (userId) return 'user:' + userId;
+
+    const apiKey = req.headers['x-api-key'] || req.query.apiKey;
+    if (typeof apiKey === 'string' && apiKey) {
+      return 'key:' + crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32);
+    }
+  }
+  return 'ip:' + req.ip;
+};
+
+const createRateLimiter = ({ store = createStore() } = {}) => {
+  const cleanup = setInterval(() => {
+    store.cleanup().catch(error => console.error('❌ Rate limit cleanup failed:', error));
+  }, CLEANUP_INTERVAL);
+  if (cleanup.unref) cleanup.unref();
+
+  return async (req, res, next) => {
+    if (EXEMPT_PATHS.includes(req.path)) return next();
+
+    const budgetName = budgetFor(req);
+    const budget = BUDGETS[budgetName];
+    const limit = limitFor(budget);
+    if (limit === 0) return next();
+
+    try {
+      // Windows are aligned to the clock, so the window number is part of the key
+      const window = Math.floor(Date.now() / budget.windowMs);
+      const resetAt = (window + 1) * budget.windowMs;
+      const key = budgetName + ':' + clientKey(req, budgetName) + ':' + window;
+      const count = await store.increment(key, resetAt);
+      const resetSeconds = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set({
+        'RateLimit-Limit': String(limit),
+        'RateLimit-Remaining': String(Math.max(0, limit - count)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (count > limit) {
+        console.log('⛔ Rate limit hit:', budgetName, clientKey(req, budgetName));
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: 'Too many requests, please try again later',
+          retryAfter: resetSeconds
+        });
+      }
+    } catch (error) {
+      // A broken counter store should not take the API down with it
+      console.error('❌ Rate limiter error:', error);
+    }
+    next();
+  };
+};
+
+module.exports = {
+  MemoryStore,
+  StorageStore,
+  createRateLimiter
+};
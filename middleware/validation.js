@@ -1,14 +1,38 @@
-const { body, validationResult } = require('express-validator');
+const { body, validationResult, matchedData } = require('express-validator');
+const { REPORT_REASONS, REPORTABLE } = require('../moderation');
+const { QUESTION_TYPES, MAX_QUESTIONS } = require('../quiz-grading');
+const { SCOPES } = require('../api-keys');
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+    // Never echo submitted passwords back to the client
+    const list = errors.array().map(({ value, ...error }) => (
+      error.path === 'password' ? error : { ...error, value }
+    ));
+    return res.status(400).json({ errors: list });
   }
   next();
 };
 
+// Only the fields that have a validation rule - use this instead of req.body
+// so clients cannot set id, created, likes, authorId, etc.
+const validatedBody = (req) => matchedData(req, { locations: ['body'] });
+
+// Optional list of short strings (tags, technologies)
+const stringList = (field, label, maxItems = 10) => [
+  body(field)
+    .optional()
+    .isArray({ max: maxItems })
+    .withMessage(`${label} must be a list of at most ${maxItems} items`),
+  body(`${field}.*`)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage(`Each ${label.toLowerCase()} entry must be between 1 and 50 characters`)
+];
+
 // User validation rules
 const validateRegister = [
   body('username')
@@ -19,7 +43,7 @@ const validateRegister = [
     .withMessage('Username can only contain letters, numbers, and underscores'),
   body('email')
     .isEmail()
-    .normalizeEmail()
+    .normalizeEmail({ gmail_remove_dots: false })
     .withMessage('Invalid email address'),
   body('password')
     .isLength({ min: 8 })
@@ -40,13 +64,40 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+// Profile edits - every field is optional; an empty avatarUrl clears it
+const validateProfileUpdate = [
+  body('bio')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Bio must not exceed 500 characters'),
+  body('avatarUrl')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .custom(value => value === '' || /^https?:\/\/\S+$/i.test(value))
+    .withMessage('Avatar URL must be a valid http(s) URL'),
+  body('links')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Links must be a list of at most 5 URLs'),
+  body('links.*')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Each link must be a valid http(s) URL'),
+  handleValidationErrors
+];
+
 // Project validation
-const validateProject = [
+// On updates (partial) every field is optional, but present fields follow the same rules
+const projectRules = ({ partial = false } = {}) => [
   body('title')
+    .optional(partial)
     .trim()
     .isLength({ min: 1, max: 200 })
     .withMessage('Title must be between 1 and 200 characters'),
   body('description')
+    .optional(partial)
     .trim()
     .isLength({ max: 2000 })
     .withMessage('Description must not exceed 2000 characters'),
@@ -54,6 +105,33 @@ const validateProject = [
     .optional()
     .isIn(['machine-learning', 'nlp', 'computer-vision', 'robotics', 'other'])
     .withMessage('Invalid category'),
+  ...stringList('tech', 'Technologies', 20),
+  body('documentation')
+    .optional()
+    .isString()
+    .isLength({ max: 20000 })
+    .withMessage('Documentation must not exceed 20000 characters'),
+  body('files')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Files must be a list of at most 20 items'),
+  body('githubUrl')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'] })
+    .withMessage('GitHub URL must be a valid URL'),
+  body('demoUrl')
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'] })
+    .withMessage('Demo URL must be a valid URL')
+];
+
+const validateProject = [
+  ...projectRules(),
+  handleValidationErrors
+];
+
+const validateProjectUpdate = [
+  ...projectRules({ partial: true }),
   handleValidationErrors
 ];
 
@@ -71,6 +149,7 @@ const validateDiscussion = [
     .optional()
     .isIn(['general', 'technical', 'help', 'showcase', 'news'])
     .withMessage('Invalid category'),
+  ...stringList('tags', 'Tags'),
   handleValidationErrors
 ];
 
@@ -80,9 +159,15 @@ const validateReply = [
     .trim()
     .isLength({ min: 1, max: 2000 })
     .withMessage('Reply must be between 1 and 2000 characters'),
+  body('parentReplyId')
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Parent reply id must be a string'),
   handleValidationErrors
 ];
 
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
 // Lesson validation
 const validateLesson = [
   body('title')
@@ -95,8 +180,130 @@ const validateLesson = [
     .withMessage('Content must be between 1 and 10000 characters'),
   body('difficulty')
     .optional()
-    .isIn(['beginner', 'intermediate', 'advanced'])
+    .isIn(DIFFICULTY_LEVELS)
+    .withMessage('Invalid difficulty level'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must not exceed 2000 characters'),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category must not exceed 50 characters'),
+  body('duration')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Duration must be between 1 and 1440 minutes')
+    .toInt(),
+  ...stringList('prerequisites', 'Prerequisites', 20),
+  handleValidationErrors
+];
+
+// Learning path validation (partial: every field optional, for updates)
+const learningPathRules = ({ partial = false } = {}) => [
+  body('title')
+    .optional(partial)
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must not exceed 2000 characters'),
+  body('difficulty')
+    .optional()
+    .isIn(DIFFICULTY_LEVELS)
     .withMessage('Invalid difficulty level'),
+  body('lessonIds')
+    .optional(partial)
+    .isArray({ min: 1, max: 100 })
+    .withMessage('A learning path needs between 1 and 100 lessons'),
+  body('lessonIds.*')
+    .isString()
+    .withMessage('Lesson ids must be strings')
+];
+
+const validateLearningPath = [
+  ...learningPathRules(),
+  handleValidationErrors
+];
+
+const validateLearningPathUpdate = [
+  ...learningPathRules({ partial: true }),
+  handleValidationErrors
+];
+
+// Quiz validation - question structure is checked by quiz-grading.js
+const quizRules = ({ partial = false } = {}) => [
+  body('title')
+    .optional(partial)
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Title must be between 1 and 200 characters'),
+  body('passingScore')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Passing score must be a percentage between 1 and 100')
+    .toInt(),
+  body('questions')
+    .optional(partial)
+    .isArray({ min: 1, max: MAX_QUESTIONS })
+    .withMessage(`A quiz needs between 1 and ${MAX_QUESTIONS} questions`),
+  // The shape of each question; quiz-grading.js checks the answer keys
+  body('questions.*')
+    .isObject()
+    .withMessage('Each question must be an object'),
+  body('questions.*.id')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Question ids must be strings of 1 to 50 characters'),
+  body('questions.*.type')
+    .isIn(QUESTION_TYPES)
+    .withMessage('Question type must be one of: ' + QUESTION_TYPES.join(', ')),
+  body('questions.*.prompt')
+    .isString()
+    .withMessage('Question prompt must be between 1 and 1000 characters')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Question prompt must be between 1 and 1000 characters'),
+  body('questions.*.points')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Question points must be a positive number'),
+  body('questions.*.options')
+    .optional()
+    .isArray()
+    .withMessage('Question options must be a list')
+];
+
+const validateQuiz = [
+  ...quizRules(),
+  handleValidationErrors
+];
+
+const validateQuizUpdate = [
+  ...quizRules({ partial: true }),
+  handleValidationErrors
+];
+
+const validateQuizSubmission = [
+  body('answers')
+    .isObject()
+    .withMessage('Answers must be an object keyed by question id'),
+  handleValidationErrors
+];
+
+// Lesson progress validation
+const validateProgress = [
+  body('percent')
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Percent must be a whole number between 0 and 100')
+    .toInt(),
   handleValidationErrors
 ];
 
@@ -114,16 +321,77 @@ const validateRoom = [
   body('maxParticipants')
     .optional()
     .isInt({ min: 2, max: 50 })
-    .withMessage('Max participants must be between 2 and 50'),
+    .withMessage('Max participants must be between 2 and 50')
+    .toInt(),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Category must not exceed 50 characters'),
+  body(['isPrivate', 'enableVoice', 'enableScreen'])
+    .optional()
+    .isBoolean()
+    .withMessage('Must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+// API keys - both fields are optional, a new key defaults to a numbered name and write scope
+const validateApiKey = [
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Key name must be text')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name must be between 1 and 100 characters'),
+  body('scope')
+    .optional()
+    .isIn(SCOPES)
+    .withMessage('Scope must be one of: ' + SCOPES.join(', ')),
+  handleValidationErrors
+];
+
+// Content reports
+const validateReport = [
+  body('targetType')
+    .isIn(Object.keys(REPORTABLE))
+    .withMessage('targetType must be one of: ' + Object.keys(REPORTABLE).join(', ')),
+  body('targetId')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('targetId is required'),
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage('reason must be one of: ' + REPORT_REASONS.join(', ')),
+  body('details')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details must not exceed 1000 characters'),
   handleValidationErrors
 ];
 
 module.exports = {
+  validatedBody,
   validateRegister,
   validateLogin,
+  validateProfileUpdate,
   validateProject,
+  validateProjectUpdate,
   validateDiscussion,
   validateReply,
   validateLesson,
-  validateRoom
+  validateLearningPath,
+  validateLearningPathUpdate,
+  validateProgress,
+  validateQuiz,
+  validateQuizUpdate,
+  validateQuizSubmission,
+  validateRoom,
+  validateApiKey,
+  validateReport
 };
\ No newline at end of file
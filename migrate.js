@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Postgres schema migrations from the command line (uses DATABASE_URL):
+//
+//   node migrate.js up [version]   apply pending migrations, optionally only up to version
+//   node migrate.js down [steps]   revert the last migration, or the last `steps`
+//   node migrate.js status         list migrations and whether they are applied
+//
+// The server also applies pending migrations when it starts.
+require('dotenv').config();
+const { createPool } = require('./db-postgres');
+const { migrate, rollback, migrationStatus } = require('./db-migrations');
+
+const USAGE = 'Usage: node migrate.js up [version] | down [steps] | status';
+
+const COMMANDS = ['up', 'down', 'status'];
+
+const positiveInt = (value, what) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${what} must be a positive whole number, got "${value}"`);
+  }
+  return number;
+};
+
+const run = async (pool, command, number) => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrate(pool, { to: number || Infinity });
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to apply');
+      return;
+    }
+    case 'down': {
+      const reverted = await rollback(pool, { steps: number || 1 });
+      console.log(reverted.length ? `✅ Reverted ${reverted.length} migration(s)` : '✅ Nothing to revert');
+      return;
+    }
+    case 'status': {
+      for (const row of await migrationStatus(pool)) {
+        const version = String(row.version).padStart(3, '0');
+        console.log(`${row.state.padEnd(8)} ${version}_${row.name}${row.appliedAt ? '  ' + row.appliedAt : ''}`);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  const [command, arg] = process.argv.slice(2);
+  if (!COMMANDS.includes(command)) {
+    console.log(USAGE);
+    if (command) process.exitCode = 1;
+    return;
+  }
+  const number = arg === undefined ? undefined : positiveInt(arg, command === 'up' ? 'Version' : 'Steps');
+
+  const pool = createPool();
+  try {
+    await run(pool, command, number);
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch(error => {
+  console.error('❌', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,20 @@
+-- Drops every table, and with them all data
+DROP TABLE IF EXISTS
+  rate_limits,
+  notifications,
+  follows,
+  reactions,
+  api_keys,
+  sessions,
+  room_messages,
+  reports,
+  rooms,
+  lesson_progress,
+  learning_paths,
+  quiz_attempts,
+  quizzes,
+  lessons,
+  replies,
+  discussions,
+  projects,
+  users;
@@ -0,0 +1,288 @@
+-- Baseline: the schema createTables() used to build on every start. Every
+-- statement is idempotent, so databases created that way adopt it as is.
+
+-- Users table
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(255) UNIQUE NOT NULL,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password VARCHAR(255) NOT NULL,
+  api_key VARCHAR(255) UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_active TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Profile columns added after the users table was first created
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'member';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS suspended JSONB;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT DEFAULT '';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url VARCHAR(500);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS links TEXT[];
+ALTER TABLE users ADD COLUMN IF NOT EXISTS muted_notifications TEXT[];
+
+-- Projects table
+CREATE TABLE IF NOT EXISTS projects (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  username VARCHAR(255),
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  category VARCHAR(100),
+  technologies TEXT[],
+  github_url VARCHAR(500),
+  demo_url VARCHAR(500),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  likes INTEGER DEFAULT 0,
+  stars INTEGER DEFAULT 0,
+  views INTEGER DEFAULT 0
+);
+
+-- Discussions table
+CREATE TABLE IF NOT EXISTS discussions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  username VARCHAR(255),
+  title VARCHAR(255) NOT NULL,
+  content TEXT,
+  category VARCHAR(100),
+  tags TEXT[],
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  replies INTEGER DEFAULT 0,
+  views INTEGER DEFAULT 0
+);
+
+-- Replies table
+CREATE TABLE IF NOT EXISTS replies (
+  id SERIAL PRIMARY KEY,
+  discussion_id INTEGER REFERENCES discussions(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  username VARCHAR(255),
+  content TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Threading columns for replies created before they existed
+ALTER TABLE replies ADD COLUMN IF NOT EXISTS parent_reply_id VARCHAR(255);
+ALTER TABLE replies ADD COLUMN IF NOT EXISTS depth INTEGER DEFAULT 0;
+ALTER TABLE replies ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP;
+
+-- Lessons table
+CREATE TABLE IF NOT EXISTS lessons (
+  id SERIAL PRIMARY KEY,
+  author_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  author_name VARCHAR(255),
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  content TEXT,
+  difficulty VARCHAR(50),
+  duration INTEGER,
+  prerequisites TEXT[],
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  views INTEGER DEFAULT 0,
+  completions INTEGER DEFAULT 0
+);
+
+-- Lesson quizzes (questions and answer keys stored as JSON)
+CREATE TABLE IF NOT EXISTS quizzes (
+  id VARCHAR(64) PRIMARY KEY,
+  lesson_id VARCHAR(255) NOT NULL,
+  author_id VARCHAR(255),
+  author VARCHAR(255),
+  title VARCHAR(255) NOT NULL,
+  passing_score INTEGER NOT NULL DEFAULT 70,
+  questions JSONB NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS quiz_attempts (
+  id VARCHAR(64) PRIMARY KEY,
+  quiz_id VARCHAR(64) NOT NULL,
+  lesson_id VARCHAR(255) NOT NULL,
+  user_id VARCHAR(255) NOT NULL,
+  answers JSONB,
+  score NUMERIC,
+  max_score NUMERIC,
+  percent INTEGER,
+  passed BOOLEAN,
+  results JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Learning paths: ordered lesson sequences
+CREATE TABLE IF NOT EXISTS learning_paths (
+  id VARCHAR(64) PRIMARY KEY,
+  author_id VARCHAR(255),
+  author VARCHAR(255),
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  difficulty VARCHAR(50),
+  lesson_ids TEXT[] NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-learner lesson progress
+CREATE TABLE IF NOT EXISTS lesson_progress (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  lesson_id VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in-progress',
+  percent INTEGER NOT NULL DEFAULT 0,
+  started TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  completed TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, lesson_id)
+);
+
+-- Rooms table
+CREATE TABLE IF NOT EXISTS rooms (
+  id SERIAL PRIMARY KEY,
+  owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  owner_name VARCHAR(255),
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  participants TEXT[],
+  max_participants INTEGER DEFAULT 10,
+  status VARCHAR(50) DEFAULT 'active',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Room access columns added after the table was first created
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS is_private BOOLEAN DEFAULT FALSE;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS invite_code VARCHAR(32);
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS closed TIMESTAMP;
+
+-- Moderation: hidden flag and who hid the item, on every reportable table
+ALTER TABLE discussions ADD COLUMN IF NOT EXISTS hidden BOOLEAN DEFAULT FALSE;
+ALTER TABLE discussions ADD COLUMN IF NOT EXISTS moderation JSONB;
+ALTER TABLE replies ADD COLUMN IF NOT EXISTS hidden BOOLEAN DEFAULT FALSE;
+ALTER TABLE replies ADD COLUMN IF NOT EXISTS moderation JSONB;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS hidden BOOLEAN DEFAULT FALSE;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS moderation JSONB;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS hidden BOOLEAN DEFAULT FALSE;
+ALTER TABLE lessons ADD COLUMN IF NOT EXISTS moderation JSONB;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS hidden BOOLEAN DEFAULT FALSE;
+ALTER TABLE rooms ADD COLUMN IF NOT EXISTS moderation JSONB;
+
+-- Content reports and their resolution
+CREATE TABLE IF NOT EXISTS reports (
+  id VARCHAR(64) PRIMARY KEY,
+  target_type VARCHAR(20) NOT NULL,
+  target_id VARCHAR(255) NOT NULL,
+  reporter_id VARCHAR(255) NOT NULL,
+  reason VARCHAR(20) NOT NULL,
+  details TEXT,
+  status VARCHAR(20) DEFAULT 'open',
+  resolution VARCHAR(20),
+  resolved_by VARCHAR(255),
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Room chat history
+CREATE TABLE IF NOT EXISTS room_messages (
+  id VARCHAR(64) PRIMARY KEY,
+  room_id VARCHAR(255) NOT NULL,
+  user_id VARCHAR(255) NOT NULL,
+  username VARCHAR(255),
+  text TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Sessions table (refresh tokens are stored hashed)
+CREATE TABLE IF NOT EXISTS sessions (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  refresh_token_hash VARCHAR(128) NOT NULL,
+  user_agent TEXT,
+  ip VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  last_refreshed TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- API keys table (keys are stored hashed)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  scope VARCHAR(20) NOT NULL DEFAULT 'write',
+  key_hash VARCHAR(128) UNIQUE NOT NULL,
+  preview VARCHAR(32),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  rotated TIMESTAMP,
+  last_used TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+-- Likes, stars and views (one row per user, target and kind)
+CREATE TABLE IF NOT EXISTS reactions (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  target_type VARCHAR(20) NOT NULL,
+  target_id VARCHAR(255) NOT NULL,
+  kind VARCHAR(10) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, target_type, target_id, kind)
+);
+
+-- Who follows whom
+CREATE TABLE IF NOT EXISTS follows (
+  id VARCHAR(64) PRIMARY KEY,
+  follower_id VARCHAR(255) NOT NULL,
+  following_id VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (follower_id, following_id)
+);
+
+-- In-app notifications (actor, target and extra data kept as JSON)
+CREATE TABLE IF NOT EXISTS notifications (
+  id VARCHAR(64) PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  type VARCHAR(20) NOT NULL,
+  actor JSONB,
+  target JSONB,
+  data JSONB,
+  read BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rate limit counters, one row per client, budget and window
+CREATE TABLE IF NOT EXISTS rate_limits (
+  id VARCHAR(255) PRIMARY KEY,
+  count INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMP NOT NULL
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_projects_user_id ON projects(user_id);
+CREATE INDEX IF NOT EXISTS idx_projects_created ON projects(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_discussions_created ON discussions(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_replies_discussion ON replies(discussion_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_lessons_created ON lessons(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rooms_status ON rooms(status);
+CREATE INDEX IF NOT EXISTS idx_room_messages_room ON room_messages(room_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_users_api_key ON users(api_key);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_reactions_target ON reactions(target_type, target_id, kind);
+CREATE INDEX IF NOT EXISTS idx_follows_following ON follows(following_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_rate_limits_reset ON rate_limits(reset_at);
+
+-- Full-text search indexes (expressions must match SEARCH_QUERIES in db-postgres.js)
+CREATE INDEX IF NOT EXISTS idx_discussions_search ON discussions
+  USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(content, '')));
+CREATE INDEX IF NOT EXISTS idx_replies_search ON replies
+  USING GIN (to_tsvector('english', coalesce(content, '')));
+CREATE INDEX IF NOT EXISTS idx_projects_search ON projects
+  USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+CREATE INDEX IF NOT EXISTS idx_lessons_search ON lessons
+  USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '') || ' ' || coalesce(content, '')));
@@ -0,0 +1,6 @@
+-- irreversible: ids such as "user_..." cannot go back to SERIAL integers
+--
+-- 002 moved every id to the application's string ids. Once rows with those
+-- ids exist there is no integer to convert them to, so rollback refuses to
+-- revert this migration (and anything before it). Restore a backup taken
+-- before 002 was applied instead.
@@ -0,0 +1,58 @@
+-- The first tables were modelled on an older client: numeric ids and columns
+-- named differently from the documents the API stores. Give them string ids
+-- and one column per document field, like the tables added since.
+
+-- Ids are now application strings, so the numeric foreign keys go
+ALTER TABLE projects DROP CONSTRAINT IF EXISTS projects_user_id_fkey;
+ALTER TABLE discussions DROP CONSTRAINT IF EXISTS discussions_user_id_fkey;
+ALTER TABLE replies DROP CONSTRAINT IF EXISTS replies_discussion_id_fkey;
+ALTER TABLE replies DROP CONSTRAINT IF EXISTS replies_user_id_fkey;
+ALTER TABLE lessons DROP CONSTRAINT IF EXISTS lessons_author_id_fkey;
+ALTER TABLE rooms DROP CONSTRAINT IF EXISTS rooms_owner_id_fkey;
+
+ALTER TABLE users ALTER COLUMN id DROP DEFAULT, ALTER COLUMN id TYPE VARCHAR(255) USING id::text;
+ALTER TABLE projects ALTER COLUMN id DROP DEFAULT, ALTER COLUMN id TYPE VARCHAR(255) USING id::text;
+ALTER TABLE discussions ALTER COLUMN id DROP DEFAULT, ALTER COLUMN id TYPE VARCHAR(255) USING id::text;
+ALTER TABLE replies ALTER COLUMN id DROP DEFAULT, ALTER COLUMN id TYPE VARCHAR(255) USING id::text;
+ALTER TABLE lessons ALTER COLUMN id DROP DEFAULT, ALTER COLUMN id TYPE VARCHAR(255) USING id::text;
+ALTER TABLE rooms ALTER COLUMN id DROP DEFAULT, ALTER COLUMN id TYPE VARCHAR(255) USING id::text;
+DROP SEQUENCE IF EXISTS users_id_seq, projects_id_seq, discussions_id_seq, replies_id_seq, lessons_id_seq, rooms_id_seq;
+
+-- Projects: author, authorId, tech, documentation, files
+ALTER TABLE projects RENAME COLUMN user_id TO author_id;
+ALTER TABLE projects ALTER COLUMN author_id TYPE VARCHAR(255) USING author_id::text;
+ALTER TABLE projects RENAME COLUMN username TO author;
+ALTER TABLE projects RENAME COLUMN technologies TO tech;
+ALTER TABLE projects ADD COLUMN documentation TEXT;
+ALTER TABLE projects ADD COLUMN files JSONB;
+
+-- Discussions: author, authorId, repliesData
+ALTER TABLE discussions RENAME COLUMN user_id TO author_id;
+ALTER TABLE discussions ALTER COLUMN author_id TYPE VARCHAR(255) USING author_id::text;
+ALTER TABLE discussions RENAME COLUMN username TO author;
+ALTER TABLE discussions ADD COLUMN replies_data JSONB DEFAULT '[]';
+
+-- Replies: author, authorId, string discussionId
+ALTER TABLE replies RENAME COLUMN user_id TO author_id;
+ALTER TABLE replies ALTER COLUMN author_id TYPE VARCHAR(255) USING author_id::text;
+ALTER TABLE replies RENAME COLUMN username TO author;
+ALTER TABLE replies ALTER COLUMN discussion_id TYPE VARCHAR(255) USING discussion_id::text;
+
+-- Lessons: author, string authorId, category
+ALTER TABLE lessons ALTER COLUMN author_id TYPE VARCHAR(255) USING author_id::text;
+ALTER TABLE lessons RENAME COLUMN author_name TO author;
+ALTER TABLE lessons ADD COLUMN category VARCHAR(50);
+
+-- Rooms: owner, string ownerId, category and the voice/screen switches
+ALTER TABLE rooms ALTER COLUMN owner_id TYPE VARCHAR(255) USING owner_id::text;
+ALTER TABLE rooms RENAME COLUMN owner_name TO owner;
+ALTER TABLE rooms ADD COLUMN category VARCHAR(50);
+ALTER TABLE rooms ADD COLUMN enable_voice BOOLEAN DEFAULT FALSE;
+ALTER TABLE rooms ADD COLUMN enable_screen BOOLEAN DEFAULT FALSE;
+
+-- Profile activity lists each author's content newest first
+DROP INDEX IF EXISTS idx_projects_user_id;
+CREATE INDEX idx_projects_author ON projects(author_id, created_at DESC);
+CREATE INDEX idx_discussions_author ON discussions(author_id, created_at DESC);
+CREATE INDEX idx_replies_author ON replies(author_id, created_at DESC);
+CREATE INDEX idx_lessons_author ON lessons(author_id, created_at DESC);
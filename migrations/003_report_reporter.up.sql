@@ -0,0 +1,2 @@
+-- Reports keep the reporter's username next to their id, like authored content
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS reporter VARCHAR(255);
@@ -0,0 +1,67 @@
+const { getDB } = require('./db');
+
+// Roles, reports and hidden content.
+//
+// Every user has a role: "member" (default), "moderator" or "admin". Moderators
+// work the report queue, hide/restore/delete content and suspend members;
+// admins can also change roles. Hidden content keeps its data but is left out
+// of lists for everyone except moderators.
+const ROLES = ['member', 'moderator', 'admin'];
+const REPORT_REASONS = ['spam', 'abuse', 'off-topic', 'inappropriate', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+
+// What can be reported, and where it is stored
+const REPORTABLE = {
+  discussion: 'discussions',
+  reply: 'replies',
+  project: 'projects',
+  lesson: 'lessons',
+  room: 'rooms'
+};
+
+const roleOf = (user) => (user && ROLES.includes(user.role) ? user.role : 'member');
+
+const isModerator = (user) => ['moderator', 'admin'].includes(roleOf(user));
+
+const isAdmin = (user) => roleOf(user) === 'admin';
+
+// Store query for what the current viewer may list: everything for moderators
+const visibleQuery = (user) => (isModerator(user) ? {} : { hidden: { $ne: true } });
+
+// Whether the viewer may see a single item (authors still see their own hidden content)
+const canView = (user, doc) => !doc.hidden || isModerator(user) || Boolean(user && doc.authorId === user.id);
+
+// A suspension with an end date lifts itself once that date has passed
+const isSuspended = (user, now = new Date()) => Boolean(
+  user && user.suspended && (!user.suspended.until || new Date(user.suspended.until) > now)
+);
+
+const findReportTarget = (targetType, targetId) => getDB().collection(REPORTABLE[targetType]).findOne({ id: targetId });
+
+// Close every open report about a target once a moderator has acted on it
+const resolveReports = async (targetType, targetId, moderator, resolution) => {
+  const reports = getDB().collection('reports');
+  const open = await reports.find({ targetType, targetId, status: 'open' }).toArray();
+  const now = new Date().toISOString();
+  for (const report of open) {
+    await reports.updateOne({ id: report.id }, {
+      $set: { status: 'resolved', resolution, resolvedBy: moderator.id, resolvedAt: now }
+    });
+  }
+  return open.length;
+};
+
+module.exports = {
+  ROLES,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORTABLE,
+  roleOf,
+  isModerator,
+  isAdmin,
+  visibleQuery,
+  canView,
+  isSuspended,
+  findReportTarget,
+  resolveReports
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { getDB } = require('./db');
+
+// In-app notifications. Routes call notify() (or notifyMentions()) after the
+// action that triggers them; the recipient reads them from /api/notifications
+// or, while connected, receives them on the server-sent events stream.
+const NOTIFICATION_TYPES = ['reply', 'mention', 'like', 'star', 'room-join', 'room-invite'];
+
+const MENTION_PATTERN = /(^|[^A-Za-z0-9_])@([A-Za-z0-9_]{3,30})/g;
+const MAX_MENTIONS = 10;
+
+// userId -> Set of open SSE responses
+const streams = new Map();
+
+const notifications = () => getDB().collection('notifications');
+
+const toPublicNotification = ({ _id, createdAt, ...notification }) => notification;
+
+const push = (userId, event, data) => {
+  for (const res of streams.get(userId) || []) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+};
+
+const unreadCount = (userId) => notifications().countDocuments({ userId, read: false });
+
+// Store a notification for one user, unless it is about their own action or they muted the type.
+// actor is { id, username }; target describes what it is about, e.g. { type: 'discussion', id, title }.
+// Failures are logged rather than thrown so they never undo the action that triggered them.
+const notify = async (userId, type, options) => {
+  try {
+    return await createNotification(userId, type, options);
+  } catch (error) {
+    console.error('❌ Error creating notification:', error);
+    return null;
+  }
+};
+
+const createNotification = async (userId, type, { actor, target, data = {} }) => {
+  if (!userId || (actor && actor.id === userId)) return null;
+
+  const recipient = await getDB().collection('users').findOne({ id: userId });
+  if (!recipient || (recipient.mutedNotifications || []).includes(type)) return null;
+
+  const notification = {
+    id: 'ntf_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+    userId,
+    type,
+    actor: actor ? { id: actor.id, username: actor.username } : null,
+    target,
+    data,
+    read: false,
+    created: new Date().toISOString()
+  };
+  await notifications().insertOne({ ...notification });
+
+  if (streams.has(userId)) {
+    push(userId, 'notification', { notification, unread: await unreadCount(userId) });
+  }
+  return notification;
+};
+
+// Usernames mentioned as @name in a piece of text
+const extractMentions = (text) => {
+  const names = new Set();
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[2].toLowerCase());
+    if (names.size >= MAX_MENTIONS) break;
+  }
+  return [...names];
+};
+
+// Notify everyone @mentioned in text, except the users listed in skipUserIds
+const notifyMentions = async (text, { actor, target, skipUserIds = [] }) => {
+  const names = extractMentions(text);
+  if (names.length === 0) return;
+
+  // Mentioned names only hold letters, digits and underscores, so they are safe in a pattern
+  let mentioned;
+  try {
+    mentioned = await getDB().collection('users').find({
+      username: { $regex: '^(?:' + names.join('|') + ')$', $options: 'i' },
+      id: { $nin: skipUserIds }
+    }).toArray();
+  } catch (error) {
+    console.error('❌ Error resolving mentions:', error);
+    return;
+  }
+  for (const user of mentioned) {
+    await notify(user.id, 'mention', { actor, target });
+  }
+};
+
+const markRead = async (userId, notificationId) => {
+  const notification = await notifications().findOne({ id: notificationId });
+  if (!notification || notification.userId !== userId) return null;
+
+  if (!notification.read) {
+    await notifications().updateOne({ id: notification.id }, { $set: { read: true } });
+  }
+  return toPublicNotification({ ...notification, read: true });
+};
+
+// Returns how many notifications changed
+const markAllRead = async (userId) => {
+  const unread = await notifications().find({ userId, read: false }).toArray();
+  for (const notification of unread) {
+    await notifications().updateOne({ id: notification.id }, { $set: { read: true } });
+  }
+  return unread.length;
+};
+
+// Keep an SSE response open and deliver this user's new notifications to it
+const subscribe = async (userId, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(`event: ready\ndata: ${JSON.stringify({ unread: await unreadCount(userId) })}\n\n`);
+
+  if (!streams.has(userId)) streams.set(userId, new Set());
+  streams.get(userId).add(res);
+
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+
+  res.on('close', () => {
+    clearInterval(keepAlive);
+    const open = streams.get(userId);
+    if (!open) return;
+    open.delete(res);
+    if (open.size === 0) streams.delete(userId);
+  });
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  toPublicNotification,
+  notify,
+  notifyMentions,
+  unreadCount,
+  markRead,
+  markAllRead,
+  subscribe
+};
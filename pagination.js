@@ -0,0 +1,179 @@
+// Cursor pagination, filtering and sorting for list routes.
+//
+// listPage hands the filters, the cursor position, the sort and the page size
+// to the store, which returns at most one item more than the page (to tell
+// whether there is a next page). Every backend sorts the same way (see
+// query.js), so they return the same pages in the same order. Each list route
+// describes which filters and sorts it accepts:
+//
+//   {
+//     filters: { category: 'category', tags: { field: 'tags', array: true } },
+//     sorts: { newest: { field: 'created', direction: -1 }, ... },
+//     defaultSort: 'newest'
+//   }
+const { sortComparator } = require('./query');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+  }
+}
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data))
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+// Cursors come from clients, so the sort value must be a plain value: an object
+// would reach the store query as operators
+const isCursorValue = (value) => value === undefined || value === null
+  || ['string', 'number', 'boolean'].includes(typeof value);
+
+const decodeCursor = (cursor, sortName) => {
+  let data;
+  try {
+    const base64 = String(cursor).replace(/-/g, '+').replace(/_/g, '/');
+    data = JSON.parse(Buffer.from(base64, 'base64').toString('utf8'));
+  } catch (error) {
+    data = null;
+  }
+  if (!data || typeof data.id !== 'string' || !isCursorValue(data.value)) {
+    throw new ListQueryError('Invalid cursor');
+  }
+  if (data.sort !== sortName) {
+    throw new ListQueryError('Cursor was issued for a different sort order');
+  }
+  return data;
+};
+
+// Dates from Postgres come back as Date objects; cursors hold them as ISO strings
+const sortValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Order by the sort field, then by id so the order is total and cursors are stable
+const sortSpec = ({ field, direction }) => ({ [field]: direction, id: direction });
+
+const splitList = (value) => String(value).split(',').map(v => v.trim()).filter(Boolean);
+
+// Turn query string parameters into a store query, sort and page size
+const parseListQuery = (query, config) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ListQueryError(`limit must be between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sortName = query.sort || config.defaultSort;
+  const sort = config.sorts[sortName];
+  if (!sort) {
+    throw new ListQueryError('sort must be one of: ' + Object.keys(config.sorts).join(', '));
+  }
+
+  // Array filters match items that have every listed value
+  const storeFilter = {};
+  for (const [param, rule] of Object.entries(config.filters || {})) {
+    if (query[param] === undefined || query[param] === '') continue;
+
+    const { field, array } = typeof rule === 'string' ? { field: rule, array: false } : rule;
+    storeFilter[field] = array ? { $all: splitList(query[param]) } : String(query[param]);
+  }
+
+  return {
+    limit,
+    sort,
+    sortName,
+    cursor: query.cursor ? decodeCursor(query.cursor, sortName) : null,
+    storeFilter
+  };
+};
+
+// Combine store queries, leaving out empty ones
+const allOf = (...queries) => {
+  const parts = queries.filter(q => q && Object.keys(q).length > 0);
+  return parts.length > 1 ? { $and: parts } : parts[0] || {};
+};
+
+// Store query for the items after the cursor, in sortSpec order: by the sort
+// field (missing and null values first), then by id
+const afterCursor = ({ field, direction }, { id, value }) => {
+  const sameValue = { [field]: value === undefined ? null : value };
+  const nextId = { id: direction === 1 ? { $gt: id } : { $lt: id } };
+  if (value === undefined || value === null) {
+    return direction === 1
+      ? { $or: [{ ...sameValue, ...nextId }, { [field]: { $ne: null } }] }
+      : { ...sameValue, ...nextId };
+  }
+  const beyond = { [field]: direction === 1 ? { $gt: value } : { $lt: value } };
+  return direction === 1
+    ? { $or: [beyond, { ...sameValue, ...nextId }] }
+    : { $or: [beyond, { ...sameValue, ...nextId }, { [field]: null }] };
+};
+
+const nextCursorFor = (options, last) => encodeCursor({
+  sort: options.sortName,
+  id: last.id,
+  value: sortValue(last[options.sort.field])
+});
+
+// Fetch one page. baseFilter is added to the store query (e.g. { status: 'active' }).
+// Returns { items, nextCursor, total, limit, sort }.
+const listPage = async (collection, query, config, { baseFilter = {} } = {}) => {
+  const options = parseListQuery(query, config);
+  const matching = allOf(options.storeFilter, baseFilter);
+
+  const docs = await collection
+    .find(allOf(matching, options.cursor && afterCursor(options.sort, options.cursor)))
+    .sort(sortSpec(options.sort))
+    .limit(options.limit + 1)
+    .toArray();
+  const items = docs.slice(0, options.limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: docs.length > options.limit && last ? nextCursorFor(options, last) : null,
+    total: await collection.countDocuments(matching),
+    limit: options.limit,
+    sort: options.sortName
+  };
+};
+
+// Same as listPage for one list merged from several collections. Each source is
+// { collection, filter, map }: filter is added to that collection's store query
+// and map turns its documents into list items, which keep the sort field and an
+// id that is unique across the sources. Every store returns at most one page
+// past the cursor, and those are merged in sortSpec order.
+const mergedPage = async (sources, query, config) => {
+  const options = parseListQuery(query, config);
+  const cursorQuery = options.cursor && afterCursor(options.sort, options.cursor);
+
+  const results = await Promise.all(sources.map(async ({ collection, filter, map }) => {
+    const matching = allOf(options.storeFilter, filter);
+    const [docs, total] = await Promise.all([
+      collection.find(allOf(matching, cursorQuery)).sort(sortSpec(options.sort)).limit(options.limit + 1).toArray(),
+      collection.countDocuments(matching)
+    ]);
+    return { items: docs.map(map), total };
+  }));
+
+  const merged = results.flatMap(result => result.items).sort(sortComparator(sortSpec(options.sort)));
+  const items = merged.slice(0, options.limit);
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    nextCursor: merged.length > options.limit && last ? nextCursorFor(options, last) : null,
+    total: results.reduce((sum, result) => sum + result.total, 0),
+    limit: options.limit,
+    sort: options.sortName
+  };
+};
+
+module.exports = {
+  ListQueryError,
+  listPage,
+  mergedPage
+};
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Hash parameters, versioned so stored records can be upgraded when they change.
+// Stored format: scrypt$<version>$<N>,<r>,<p>$<salt base64>$<hash base64>
+const CURRENT_VERSION = 1;
+const HASH_VERSIONS = {
+  1: { N: 16384, r: 8, p: 1, keyLength: 64, saltLength: 16 }
+};
+
+const PREFIX = 'scrypt$';
+
+const parseHash = (stored) => {
+  if (typeof stored !== 'string' || !stored.startsWith(PREFIX)) return null;
+
+  const [, version, params, salt, hash] = stored.split('$');
+  const [N, r, p] = (params || '').split(',').map(Number);
+  if (!version || !salt || !hash || !N || !r || !p) return null;
+
+  return {
+    version: Number(version),
+    N,
+    r,
+    p,
+    salt: Buffer.from(salt, 'base64'),
+    hash: Buffer.from(hash, 'base64')
+  };
+};
+
+const derive = (password, salt, { N, r, p, keyLength }) => {
+  return scrypt(String(password), salt, keyLength, { N, r, p, maxmem: 128 * N * r * 2 });
+};
+
+// Hash a password with the current parameters
+const hashPassword = async (password) => {
+  const params = HASH_VERSIONS[CURRENT_VERSION];
+  const salt = crypto.randomBytes(params.saltLength);
+  const hash = await derive(password, salt, params);
+
+  return [
+    'scrypt',
+    CURRENT_VERSION,
+    [params.N, params.r, params.p].join(','),
+    salt.toString('base64'),
+    hash.toString('base64')
+  ].join('$');
+};
+
+// Check a password against a stored value.
+// Records that are not in the hashed format are treated as legacy plaintext.
+const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || typeof stored !== 'string') return false;
+
+  const parsed = parseHash(stored);
+  if (!parsed) {
+    const a = Buffer.from(password);
+    const b = Buffer.from(stored);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  const hash = await derive(password, parsed.salt, { ...parsed, keyLength: parsed.hash.length });
+  return crypto.timingSafeEqual(hash, parsed.hash);
+};
+
+// True when the stored value is plaintext or uses outdated parameters
+const needsRehash = (stored) => {
+  const parsed = parseHash(stored);
+  if (!parsed) return true;
+
+  const current = HASH_VERSIONS[CURRENT_VERSION];
+  return parsed.version !== CURRENT_VERSION ||
+    parsed.N !== current.N ||
+    parsed.r !== current.r ||
+    parsed.p !== current.p ||
+    parsed.hash.length !== current.keyLength;
+};
+
+const isHashed = (stored) => parseHash(stored) !== null;
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  isHashed
+};
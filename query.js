@@ -0,0 +1,363 @@
+// The query language understood by every storage backend. FileDB (and the
+// in-memory store) evaluate it with matchesQuery below; the Postgres adapter
+// compiles the same queries to SQL in buildWhereClause. Both follow these rules:
+//
+//   { field: value }                 equal; on an array field, contains value.
+//                                    Arrays and objects as values compare whole.
+//   { field: null }                  field is missing, null or an empty array
+//   { field: { $eq: v } }            same as { field: v }
+//   { field: { $ne: v } }            not equal (also matches missing fields)
+//   { field: { $gt|$gte|$lt|$lte: v } }
+//                                    v must be a number or a string; numbers only
+//                                    compare with numbers and strings with strings
+//                                    (ISO dates are strings, so they compare too)
+//   { field: { $in: [..] } }         equal to any listed value
+//   { field: { $nin: [..] } }        equal to none of them
+//   { field: { $exists: bool } }     holds something other than null or []
+//   { field: { $regex, $options } }  pattern match on strings; $options may be 'i'.
+//                                    Keep to syntax POSIX and JS agree on.
+//   { field: { $all: [..] } }        array contains every listed value
+//   { field: { $elemMatch: q } }     some array element matches q: operators for
+//                                    arrays of values, a query for arrays of objects
+//   { field: { $not: { ops } } }     the operators do not match
+//   { $and: [q, ..] }, { $or: [q, ..] }, { $not: q }
+//
+// Fields may be dotted paths ('moderation.by', 'target.id') into nested
+// objects; a path that crosses an array looks at every element. A numeric
+// segment also picks an array element by position, so
+// { 'participants.9': { $exists: false } } means "fewer than 10 participants"
+// (Postgres supports positions on array columns, not inside JSON). A field
+// with several operators must satisfy all of them.
+const COMPARISONS = ['$gt', '$gte', '$lt', '$lte'];
+
+const FIELD_OPERATORS = ['$eq', '$ne', ...COMPARISONS, '$in', '$nin', '$exists', '$regex', '$options', '$all', '$elemMatch', '$not'];
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$not'];
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// { $gt: 1 } is an operator condition, { a: 1 } (or {}) a plain value
+const isOperatorObject = (value) => isPlainObject(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'));
+
+const normalize = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const equal = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+const isPresent = (value) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+
+// Split a field path; paths are validated once here for both backends
+const splitPath = (field) => {
+  const segments = field.split('.');
+  if (segments.some(segment => !segment)) {
+    throw new QueryError(`Invalid field path "${field}"`);
+  }
+  return segments;
+};
+
+// Every value a path reaches, looking through arrays on the way
+const resolvePath = (doc, segments) => {
+  let values = [doc];
+  for (const segment of segments) {
+    const next = [];
+    for (const value of values) {
+      if (Array.isArray(value)) {
+        if (/^\d+$/.test(segment) && value[segment] !== undefined) next.push(value[segment]);
+        for (const item of value) {
+          if (isPlainObject(item) && item[segment] !== undefined) next.push(item[segment]);
+        }
+      } else if (isPlainObject(value) && value[segment] !== undefined) {
+        next.push(value[segment]);
+      }
+    }
+    values = next;
+  }
+  return values;
+};
+
+// The values a condition is tested against: each reached value, and the
+// elements of reached arrays
+const candidates = (values) => values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const checkComparable = (operator, value) => {
+  const plain = normalize(value);
+  if (typeof plain !== 'number' && typeof plain !== 'string') {
+    throw new QueryError(`${operator} needs a number or a string`);
+  }
+  return plain;
+};
+
+const checkList = (operator, value) => {
+  if (!Array.isArray(value)) throw new QueryError(`${operator} needs an array`);
+  return value;
+};
+
+const compare = (operator, a, b) => {
+  a = normalize(a);
+  if (typeof a !== typeof b) return false;
+  if (operator === '$gt') return a > b;
+  if (operator === '$gte') return a >= b;
+  if (operator === '$lt') return a < b;
+  return a <= b;
+};
+
+const matchesEqual = (values, expected) => {
+  if (expected === null || expected === undefined) return !values.some(isPresent);
+  return candidates(values).some(value => equal(value, expected));
+};
+
+// Whether the values at a path satisfy every operator in a condition
+const matchesOperators = (values, condition) => Object.entries(condition).every(([operator, operand]) => {
+  switch (operator) {
+    case '$eq':
+      return matchesEqual(values, operand);
+    case '$ne':
+      return !matchesEqual(values, operand);
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte': {
+      const bound = checkComparable(operator, operand);
+      return candidates(values).some(value => compare(operator, value, bound));
+    }
+    case '$in':
+      return checkList(operator, operand).some(expected => matchesEqual(values, expected));
+    case '$nin':
+      return !checkList(operator, operand).some(expected => matchesEqual(values, expected));
+    case '$exists':
+      return values.some(isPresent) === Boolean(operand);
+    case '$regex': {
+      const regex = new RegExp(operand, condition.$options || '');
+      return candidates(values).some(value => typeof value === 'string' && regex.test(value));
+    }
+    case '$options':
+      return true;
+    case '$all': {
+      const expected = checkList(operator, operand);
+      return expected.length > 0 && expected.every(item => matchesEqual(values, item));
+    }
+    case '$elemMatch':
+      if (!isPlainObject(operand)) throw new QueryError('$elemMatch needs an object');
+      return values.some(value => Array.isArray(value) && value.some(item => (
+        isOperatorObject(operand) ? matchesOperators([item], operand) : isPlainObject(item) && matchesQuery(item, operand)
+      )));
+    case '$not':
+      if (!isOperatorObject(operand)) throw new QueryError('$not needs operators, e.g. { $not: { $gt: 1 } }');
+      return !matchesOperators(values, operand);
+    default:
+      throw new QueryError(`Unknown query operator ${operator}`);
+  }
+});
+
+const checkQueries = (operator, queries) => {
+  if (!Array.isArray(queries) || queries.length === 0) {
+    throw new QueryError(`${operator} needs a non-empty array of queries`);
+  }
+  return queries;
+};
+
+// Whether a document matches a query
+const matchesQuery = (doc, query = {}) => Object.entries(query || {}).every(([key, condition]) => {
+  if (key === '$and') return checkQueries(key, condition).every(q => matchesQuery(doc, q));
+  if (key === '$or') return checkQueries(key, condition).some(q => matchesQuery(doc, q));
+  if (key === '$not') return !matchesQuery(doc, condition);
+  if (key.startsWith('$')) throw new QueryError(`Unknown query operator ${key}`);
+
+  const values = resolvePath(doc, splitPath(key));
+  return isOperatorObject(condition) ? matchesOperators(values, condition) : matchesEqual(values, condition);
+});
+
+// Sort order shared by every backend: { field: 1 | -1, ... } compares field by
+// field, with missing and null values before everything else (so last when
+// descending), as MongoDB does and the Postgres adapter's ORDER BY spells out
+const compareSortValues = (a, b) => {
+  a = normalize(a);
+  b = normalize(b);
+  if (a === b) return 0;
+  if (a === undefined || a === null) return b === undefined || b === null ? 0 : -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+};
+
+const sortComparator = (sortSpec) => (a, b) => {
+  for (const [field, direction] of Object.entries(sortSpec || {})) {
+    const [x] = resolvePath(a, splitPath(field));
+    const [y] = resolvePath(b, splitPath(field));
+    const order = compareSortValues(x, y);
+    if (order) return direction === -1 ? -order : order;
+  }
+  return 0;
+};
+
+// Update operators, applied the same way by every backend:
+//
+//   { $set: { field: value } }
+//   { $unset: { field: '' } }
+//   { $inc: { field: n } }                       missing fields count from 0
+//   { $push: { field: value } }                  or { $each: [..] } to add several
+//   { $addToSet: { field: value } }              same, skipping values already there
+//   { $pull: { field: condition } }              remove elements equal to a value,
+//                                                matching operators or, for arrays of
+//                                                objects, matching a query
+//   { $setOnInsert: { field: value } }           only when an upsert inserts
+//
+// Fields may be dotted paths; missing parent objects are created.
+const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$push', '$addToSet', '$pull', '$setOnInsert'];
+
+const checkUpdate = (update) => {
+  const operators = isPlainObject(update) ? Object.keys(update) : [];
+  if (operators.length === 0 || !operators.every(operator => UPDATE_OPERATORS.includes(operator))) {
+    throw new QueryError(`Updates need operators (${UPDATE_OPERATORS.join(', ')})`);
+  }
+  for (const operator of operators) {
+    if (!isPlainObject(update[operator])) throw new QueryError(`${operator} needs an object of fields`);
+  }
+  return update;
+};
+
+const cloneValue = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneValue(item)]));
+  }
+  return value;
+};
+
+// The values $push and $addToSet add: one, or the list under $each
+const eachValues = (operand) => (
+  isPlainObject(operand) && Object.prototype.hasOwnProperty.call(operand, '$each')
+    ? checkList('$each', operand.$each)
+    : [operand]
+);
+
+// Whether $pull removes an array element
+const pullMatches = (item, condition) => {
+  if (isPlainObject(condition) && !isOperatorObject(condition) && isPlainObject(item)) {
+    return matchesQuery(item, condition);
+  }
+  return matchesQuery({ value: item }, { value: condition });
+};
+
+// The object holding the last segment of a path, created on the way if asked
+const parentOf = (doc, field, create) => {
+  const segments = splitPath(field);
+  const key = segments.pop();
+  let target = doc;
+  for (const segment of segments) {
+    if (target[segment] === undefined || target[segment] === null) {
+      if (!create) return null;
+      target[segment] = {};
+    }
+    if (!isPlainObject(target[segment])) {
+      throw new QueryError(`Cannot update "${field}": "${segment}" is not an object`);
+    }
+    target = target[segment];
+  }
+  return { target, key };
+};
+
+const arrayAt = (target, key, field, operator) => {
+  if (target[key] === undefined || target[key] === null) target[key] = [];
+  if (!Array.isArray(target[key])) throw new QueryError(`${operator} needs an array at "${field}"`);
+  return target[key];
+};
+
+// Apply an update to a copy of a document and return the copy. The original
+// is left alone, so a failing update changes nothing.
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+  checkUpdate(update);
+  const result = cloneValue(doc);
+
+  for (const [operator, fields] of Object.entries(update)) {
+    if (operator === '$setOnInsert' && !inserting) continue;
+
+    for (const [field, operand] of Object.entries(fields)) {
+      if (operator === '$unset' || operator === '$pull') {
+        const parent = parentOf(result, field, false);
+        if (!parent || parent.target[parent.key] === undefined) continue;
+        if (operator === '$unset') {
+          delete parent.target[parent.key];
+        } else {
+          const list = arrayAt(parent.target, parent.key, field, operator);
+          parent.target[parent.key] = list.filter(item => !pullMatches(item, operand));
+        }
+        continue;
+      }
+
+      const { target, key } = parentOf(result, field, true);
+      switch (operator) {
+        case '$set':
+        case '$setOnInsert':
+          target[key] = cloneValue(operand);
+          break;
+        case '$inc':
+          if (typeof operand !== 'number') throw new QueryError(`$inc needs a number for "${field}"`);
+          if (target[key] !== undefined && target[key] !== null && typeof target[key] !== 'number') {
+            throw new QueryError(`$inc needs a number at "${field}"`);
+          }
+          target[key] = (target[key] || 0) + operand;
+          break;
+        case '$push':
+          arrayAt(target, key, field, operator).push(...eachValues(operand).map(cloneValue));
+          break;
+        case '$addToSet': {
+          const list = arrayAt(target, key, field, operator);
+          for (const value of eachValues(operand)) {
+            if (!list.some(item => equal(item, value))) list.push(cloneValue(value));
+          }
+          break;
+        }
+      }
+    }
+  }
+  return result;
+};
+
+// The document an upsert starts from: the query's plain equality fields
+const upsertBase = (query = {}) => {
+  const doc = {};
+  for (const [field, condition] of Object.entries(query)) {
+    if (field.startsWith('$')) continue;
+    const value = isOperatorObject(condition) ? condition.$eq : condition;
+    if (value === undefined) continue;
+    const { target, key } = parentOf(doc, field, true);
+    target[key] = cloneValue(value);
+  }
+  return doc;
+};
+
+module.exports = {
+  COMPARISONS,
+  FIELD_OPERATORS,
+  LOGICAL_OPERATORS,
+  QueryError,
+  isPlainObject,
+  isOperatorObject,
+  splitPath,
+  checkComparable,
+  checkList,
+  checkQueries,
+  matchesQuery,
+  compareSortValues,
+  sortComparator,
+  UPDATE_OPERATORS,
+  checkUpdate,
+  eachValues,
+  applyUpdate,
+  upsertBase
+};
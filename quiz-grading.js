@@ -0,0 +1,235 @@
+const vm = require('vm');
+
+// Quiz question checking and server-side grading.
+//
+// Question types and their answer keys:
+//   multiple-choice  options: [...], answer: <index of the correct option>
+//   multi-select     options: [...], answer: [<indexes of every correct option>]
+//   numeric          answer: { value: <number>, tolerance: <number, default 0> }
+//   short-answer     answer: { mode: 'exact' | 'regex', value: <string>, caseSensitive: <bool> }
+//                    regex patterns may not repeat a group that repeats or alternates
+//                    inside, as in (a+)+, and a match gets MATCH_TIMEOUT_MS at most
+// Answer keys stay on the server: use toPublicQuiz() for anything sent to learners.
+const QUESTION_TYPES = ['multiple-choice', 'multi-select', 'numeric', 'short-answer'];
+const MAX_QUESTIONS = 50;
+const MAX_OPTIONS = 10;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_RESPONSE_LENGTH = 500;
+const MATCH_TIMEOUT_MS = 50;
+
+// Why an author's pattern could backtrack for a long time, or null if it looks
+// safe. Rejects repeated groups that themselves repeat or alternate, as in
+// (a+)+ or (a|aa)*, plus backreferences and lookarounds.
+const unsafePatternReason = (pattern) => {
+  const groups = [{ repeats: false, alternates: false }];
+  let closed = null; // the group just closed, while the next token may quantify it
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const current = groups[groups.length - 1];
+
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return 'backreferences are not allowed';
+      i++;
+      closed = null;
+      continue;
+    }
+    if (inClass) {
+      if (char === ']') inClass = false;
+      continue;
+    }
+
+    if (char === '*' || char === '+' || char === '{') {
+      if (closed && (closed.repeats || closed.alternates)) return 'a repeated group must not repeat or alternate inside';
+      current.repeats = true;
+      closed = null;
+    } else if (char === ')') {
+      closed = groups.length > 1 ? groups.pop() : null;
+      if (closed) groups[groups.length - 1].repeats = groups[groups.length - 1].repeats || closed.repeats;
+    } else {
+      if (char === '(') {
+        if (/^\(\?<?[=!]/.test(pattern.slice(i, i + 4))) return 'lookarounds are not allowed';
+        groups.push({ repeats: false, alternates: false });
+      }
+      if (char === '[') inClass = true;
+      if (char === '|') current.alternates = true;
+      closed = null;
+    }
+  }
+  return null;
+};
+
+// Matches run in their own context so a slow one can be stopped by the timeout
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('pattern.test(text)');
+
+// Whether text matches a whole short-answer pattern. Unsafe patterns (from
+// quizzes saved before they were rejected) never match, and neither does a
+// match that takes longer than MATCH_TIMEOUT_MS.
+const matchesPattern = (value, caseSensitive, text) => {
+  if (unsafePatternReason(value)) return false;
+  matchContext.pattern = new RegExp('^(?:' + value + ')$', caseSensitive ? '' : 'i');
+  matchContext.text = text;
+  try {
+    return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS }) === true;
+  } catch (error) {
+    console.error('❌ Short answer pattern timed out:', value);
+    return false;
+  }
+};
+
+const isIndex = (value, options) => Number.isInteger(value) && value >= 0 && value < options.length;
+
+// Check and normalise authored questions.
+// Returns { questions, errors } with errors in the same shape as validation errors.
+const normalizeQuestions = (input) => {
+  const errors = [];
+  const fail = (index, msg) => errors.push({ type: 'field', path: `questions[${index}]`, location: 'body', msg });
+
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_QUESTIONS) {
+    return {
+      questions: [],
+      errors: [{ type: 'field', path: 'questions', location: 'body', msg: `A quiz needs between 1 and ${MAX_QUESTIONS} questions` }]
+    };
+  }
+
+  const questions = input.map((item, index) => {
+    const q = item && typeof item === 'object' && !Array.isArray(item) ? item : {};
+    const question = {
+      id: typeof q.id === 'string' && q.id ? q.id : 'q' + (index + 1),
+      type: q.type,
+      prompt: typeof q.prompt === 'string' ? q.prompt.trim() : '',
+      points: q.points === undefined ? 1 : Number(q.points)
+    };
+
+    if (!QUESTION_TYPES.includes(q.type)) {
+      fail(index, 'Question type must be one of: ' + QUESTION_TYPES.join(', '));
+      return question;
+    }
+    if (!question.prompt || question.prompt.length > 1000) {
+      fail(index, 'Question prompt must be between 1 and 1000 characters');
+    }
+    if (!Number.isFinite(question.points) || question.points <= 0) {
+      fail(index, 'Question points must be a positive number');
+    }
+
+    if (q.type === 'multiple-choice' || q.type === 'multi-select') {
+      const options = Array.isArray(q.options) ? q.options.map(o => String(o).trim()) : [];
+      if (options.length < 2 || options.length > MAX_OPTIONS || options.some(o => !o)) {
+        fail(index, `Choice questions need between 2 and ${MAX_OPTIONS} non-empty options`);
+      }
+      question.options = options;
+
+      if (q.type === 'multiple-choice') {
+        if (!isIndex(q.answer, options)) fail(index, 'Answer must be the index of the correct option');
+        question.answer = q.answer;
+      } else {
+        const answer = Array.isArray(q.answer) ? [...new Set(q.answer)] : [];
+        if (answer.length === 0 || !answer.every(a => isIndex(a, options))) {
+          fail(index, 'Answer must list the indexes of every correct option');
+        }
+        question.answer = answer.sort((a, b) => a - b);
+      }
+    }
+
+    if (q.type === 'numeric') {
+      const answer = q.answer || {};
+      const value = Number(answer.value);
+      const tolerance = answer.tolerance === undefined ? 0 : Number(answer.tolerance);
+      if (answer.value === undefined || !Number.isFinite(value)) fail(index, 'Numeric answer needs a value');
+      if (!Number.isFinite(tolerance) || tolerance < 0) fail(index, 'Tolerance must be zero or a positive number');
+      question.answer = { value, tolerance };
+    }
+
+    if (q.type === 'short-answer') {
+      const answer = q.answer || {};
+      const mode = answer.mode || 'exact';
+      const value = typeof answer.value === 'string' ? answer.value : '';
+      if (!['exact', 'regex'].includes(mode)) fail(index, 'Short answer mode must be exact or regex');
+      if (!value || value.length > MAX_PATTERN_LENGTH) {
+        fail(index, `Short answer value must be between 1 and ${MAX_PATTERN_LENGTH} characters`);
+      }
+      if (mode === 'regex') {
+        try {
+          new RegExp(value);
+          const unsafe = unsafePatternReason(value);
+          if (unsafe) fail(index, 'Short answer pattern is not allowed: ' + unsafe);
+        } catch (error) {
+          fail(index, 'Short answer pattern is not a valid regular expression');
+        }
+      }
+      question.answer = { mode, value, caseSensitive: Boolean(answer.caseSensitive) };
+    }
+
+    return question;
+  });
+
+  const ids = questions.map(q => q.id);
+  if (new Set(ids).size !== ids.length) {
+    errors.push({ type: 'field', path: 'questions', location: 'body', msg: 'Question ids must be unique' });
+  }
+
+  return { questions, errors };
+};
+
+const isCorrect = (question, response) => {
+  if (response === undefined || response === null) return false;
+
+  switch (question.type) {
+    case 'multiple-choice':
+      return Number(response) === question.answer;
+    case 'multi-select': {
+      if (!Array.isArray(response)) return false;
+      const chosen = [...new Set(response.map(Number))].sort((a, b) => a - b);
+      return chosen.length === question.answer.length && chosen.every((c, i) => c === question.answer[i]);
+    }
+    case 'numeric': {
+      const value = Number(response);
+      return Number.isFinite(value) && Math.abs(value - question.answer.value) <= question.answer.tolerance;
+    }
+    case 'short-answer': {
+      const text = String(response).trim().slice(0, MAX_RESPONSE_LENGTH);
+      const { mode, value, caseSensitive } = question.answer;
+      if (mode === 'regex') {
+        return matchesPattern(value, caseSensitive, text);
+      }
+      return caseSensitive ? text === value.trim() : text.toLowerCase() === value.trim().toLowerCase();
+    }
+    default:
+      return false;
+  }
+};
+
+// Grade a submission. answers maps question id -> response.
+const gradeQuiz = (quiz, answers = {}) => {
+  let score = 0;
+  let maxScore = 0;
+
+  const results = quiz.questions.map(question => {
+    const correct = isCorrect(question, answers[question.id]);
+    maxScore += question.points;
+    if (correct) score += question.points;
+    return { questionId: question.id, correct, points: correct ? question.points : 0 };
+  });
+
+  const percent = maxScore ? Math.round(score / maxScore * 100) : 0;
+  return { score, maxScore, percent, passed: percent >= quiz.passingScore, results };
+};
+
+// Quiz as shown to learners - answer keys removed
+const toPublicQuiz = (quiz) => {
+  const { _id, createdAt, questions, ...rest } = quiz;
+  return {
+    ...rest,
+    questions: questions.map(({ answer, ...question }) => question)
+  };
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  MAX_QUESTIONS,
+  normalizeQuestions,
+  gradeQuiz,
+  toPublicQuiz
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { getDB } = require('./db');
+
+// Likes, stars and views, stored one record per user and target so repeat
+// calls never inflate a counter. The counters on the target documents are
+// recounted from these records after every change.
+const TARGETS = {
+  project: { collection: 'projects', kinds: ['like', 'star', 'view'] },
+  discussion: { collection: 'discussions', kinds: ['view'] },
+  lesson: { collection: 'lessons', kinds: ['view'] }
+};
+
+// Counter field kept on the target document for each kind
+const COUNTER_FIELDS = { like: 'likes', star: 'stars', view: 'views' };
+
+const reactions = () => getDB().collection('reactions');
+
+// Anonymous viewers are told apart by a hash of their IP address
+const viewerKey = (req) => (
+  req.user ? req.user.id : 'ip:' + crypto.createHash('sha256').update(String(req.ip)).digest('hex').slice(0, 32)
+);
+
+const syncCounter = async (targetType, targetId, kind) => {
+  const count = await reactions().countDocuments({ targetType, targetId, kind });
+  await getDB().collection(TARGETS[targetType].collection).updateOne(
+    { id: targetId },
+    { $set: { [COUNTER_FIELDS[kind]]: count } }
+  );
+  return count;
+};
+
+// Record a reaction once. A single upsert, so identical requests arriving
+// together still add one record. Returns { added, count }.
+const addReaction = async (userId, targetType, targetId, kind) => {
+  const { upsertedCount } = await reactions().updateOne(
+    { userId, targetType, targetId, kind },
+    { $setOnInsert: { id: 'rx_' + crypto.randomBytes(8).toString('hex'), created: new Date().toISOString() } },
+    { upsert: true }
+  );
+  if (!upsertedCount) {
+    const count = await reactions().countDocuments({ targetType, targetId, kind });
+    return { added: false, count };
+  }
+  return { added: true, count: await syncCounter(targetType, targetId, kind) };
+};
+
+// Undo a reaction if present. Returns { removed, count }.
+const removeReaction = async (userId, targetType, targetId, kind) => {
+  const { deletedCount } = await reactions().deleteOne({ userId, targetType, targetId, kind });
+  if (!deletedCount) {
+    const count = await reactions().countDocuments({ targetType, targetId, kind });
+    return { removed: false, count };
+  }
+  return { removed: true, count: await syncCounter(targetType, targetId, kind) };
+};
+
+// Drop every reaction on a target that is being deleted
+const clearReactions = async (targetType, targetId) => {
+  await reactions().deleteMany({ targetType, targetId });
+};
+
+// Which of the given targets the user has liked or starred: id -> { liked, starred }
+const userReactions = async (userId, targetType, targetIds) => {
+  const flags = new Map(targetIds.map(id => [id, { liked: false, starred: false }]));
+  if (!userId || targetIds.length === 0) return flags;
+
+  const mine = await reactions().find({ userId, targetType, targetId: { $in: targetIds } }).toArray();
+  for (const reaction of mine) {
+    const entry = flags.get(reaction.targetId);
+    if (reaction.kind === 'like') entry.liked = true;
+    if (reaction.kind === 'star') entry.starred = true;
+  }
+  return flags;
+};
+
+// Ids of the targets the user has reacted to with the given kind
+const reactedTargetIds = async (userId, targetType, kind) => {
+  const mine = await reactions().find({ userId, targetType, kind }).toArray();
+  return mine.map(reaction => reaction.targetId);
+};
+
+module.exports = {
+  TARGETS,
+  viewerKey,
+  addReaction,
+  removeReaction,
+  clearReactions,
+  userReactions,
+  reactedTargetIds
+};
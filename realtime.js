@@ -0,0 +1,317 @@
+const crypto = require('crypto');
+const { URL } = require('url');
+const { WebSocketServer, WebSocket } = require('ws');
+const { getDB } = require('./db');
+const { verifyAccessToken } = require('./session-tokens');
+const { verifyApiKey } = require('./api-keys');
+const { isSuspended } = require('./moderation');
+
+// Real-time room channel: presence, chat and typing indicators.
+//
+// Connect to ws(s)://<host>/ws?token=<accessToken> (or ?apiKey=<key>), then send JSON:
+//   { "type": "join", "roomId": "..." }
+//   { "type": "leave", "roomId": "..." }
+//   { "type": "chat", "roomId": "...", "text": "..." }
+//   { "type": "typing", "roomId": "...", "isTyping": true }
+//   { "type": "history", "roomId": "...", "before": "<ISO date>" }
+// The server answers with "joined", "presence", "chat", "typing", "history" and "error" messages,
+// plus "removed" and "closed" when the REST API takes the user out of a room.
+// Read-only API keys may join rooms and read history but not chat or type.
+// Suspended users cannot connect, and are disconnected when suspended.
+const WS_PATH = '/ws';
+const HISTORY_LIMIT = 50;
+const MAX_MESSAGE_LENGTH = 2000;
+const HEARTBEAT_INTERVAL = 30000;
+
+// Messages that post to a room, which need a session or a write-scoped key
+const WRITE_ACTIONS = ['chat', 'typing'];
+
+// Close code sent when moderation suspends a connected user
+const SUSPENDED_CLOSE_CODE = 4003;
+
+let wss = null;
+
+// roomId -> Set of sockets currently in that room
+const roomSockets = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const broadcast = (roomId, message, except = null) => {
+  for (const socket of roomSockets.get(roomId) || []) {
+    if (socket !== except) send(socket, message);
+  }
+};
+
+// Users online in a room (one entry per user, even with several tabs open)
+const onlineUsers = (roomId) => {
+  const users = new Map();
+  for (const socket of roomSockets.get(roomId) || []) {
+    users.set(socket.user.id, { id: socket.user.id, username: socket.user.username });
+  }
+  return [...users.values()];
+};
+
+const isUserOnline = (roomId, userId) => onlineUsers(roomId).some(u => u.id === userId);
+
+// Same credentials and rules as the REST API: access token first, then API
+// key; suspended users are refused. Returns { user, readOnly } or null.
+const authenticateUpgrade = async (req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const token = url.searchParams.get('token');
+  const apiKey = url.searchParams.get('apiKey') || req.headers['x-api-key'];
+
+  let userId = null;
+  let readOnly = false;
+  if (token) {
+    const session = await verifyAccessToken(token).catch(() => null);
+    userId = session && session.userId;
+  } else if (apiKey) {
+    const key = await verifyApiKey(apiKey);
+    userId = key && key.userId;
+    readOnly = Boolean(key) && key.scope !== 'write';
+  }
+  if (!userId) return null;
+
+  const user = await getDB().collection('users').findOne({ id: userId });
+  if (!user || isSuspended(user)) return null;
+  return { user: { id: user.id, username: user.username }, readOnly };
+};
+
+const loadHistory = async (roomId, before) => {
+  const messages = await getDB().collection('roomMessages')
+    .find({ roomId })
+    .sort({ created: -1 })
+    .toArray();
+  return messages
+    .filter(m => !before || m.created < before)
+    .slice(0, HISTORY_LIMIT)
+    .reverse()
+    .map(({ _id, createdAt, ...message }) => message);
+};
+
+const leaveRoom = (socket, roomId) => {
+  const sockets = roomSockets.get(roomId);
+  if (!sockets || !sockets.delete(socket)) return;
+
+  socket.rooms.delete(roomId);
+  if (sockets.size === 0) roomSockets.delete(roomId);
+
+  // Only announce the leave once the user's last connection is gone
+  if (!isUserOnline(roomId, socket.user.id)) {
+    broadcast(roomId, {
+      type: 'presence',
+      event: 'leave',
+      roomId,
+      user: socket.user,
+      online: onlineUsers(roomId)
+    });
+  }
+};
+
+// Called by the REST routes when a member leaves or is removed from a room
+const removeUserFromRoom = (roomId, userId, reason = 'removed') => {
+  for (const socket of [...(roomSockets.get(roomId) || [])]) {
+    if (socket.user.id === userId) {
+      send(socket, { type: 'removed', roomId, reason });
+      leaveRoom(socket, roomId);
+    }
+  }
+};
+
+// Called by the moderation routes when a user is suspended
+const disconnectUser = (userId, reason = 'Account suspended') => {
+  if (!wss) return;
+  for (const socket of wss.clients) {
+    if (socket.user.id === userId) {
+      send(socket, { type: 'error', error: reason });
+      socket.close(SUSPENDED_CLOSE_CODE, reason);
+    }
+  }
+};
+
+// Called by the REST routes when the owner closes a room
+const closeRoomChannel = (roomId) => {
+  broadcast(roomId, { type: 'closed', roomId });
+  for (const socket of [...(roomSockets.get(roomId) || [])]) {
+    socket.rooms.delete(roomId);
+  }
+  roomSockets.delete(roomId);
+};
+
+const handlers = {
+  join: async (socket, { roomId }) => {
+    const room = await getDB().collection('rooms').findOne({ id: roomId });
+    if (!room) {
+      return send(socket, { type: 'error', roomId, error: 'Room not found' });
+    }
+    if (room.status === 'closed') {
+      return send(socket, { type: 'error', roomId, error: 'This room is closed' });
+    }
+    if (!(room.participants || []).includes(socket.user.id)) {
+      return send(socket, { type: 'error', roomId, error: 'Join the room before connecting to it' });
+    }
+
+    const wasOnline = isUserOnline(roomId, socket.user.id);
+    if (!roomSockets.has(roomId)) roomSockets.set(roomId, new Set());
+    roomSockets.get(roomId).add(socket);
+    socket.rooms.add(roomId);
+
+    send(socket, {
+      type: 'joined',
+      roomId,
+      online: onlineUsers(roomId),
+      history: await loadHistory(roomId)
+    });
+
+    if (!wasOnline) {
+      broadcast(roomId, {
+        type: 'presence',
+        event: 'join',
+        roomId,
+        user: socket.user,
+        online: onlineUsers(roomId)
+      }, socket);
+    }
+  },
+
+  leave: async (socket, { roomId }) => {
+    leaveRoom(socket, roomId);
+  },
+
+  chat: async (socket, { roomId, text }) => {
+    if (!socket.rooms.has(roomId)) {
+      return send(socket, { type: 'error', roomId, error: 'Join the room before sending messages' });
+    }
+
+    const content = typeof text === 'string' ? text.trim() : '';
+    if (!content || content.length > MAX_MESSAGE_LENGTH) {
+      return send(socket, { type: 'error', roomId, error: `Messages must be between 1 and ${MAX_MESSAGE_LENGTH} characters` });
+    }
+
+    const message = {
+      id: 'msg_' + Date.now() + '_' + crypto.randomBytes(3).toString('hex'),
+      roomId,
+      userId: socket.user.id,
+      username: socket.user.username,
+      text: content,
+      created: new Date().toISOString()
+    };
+    await getDB().collection('roomMessages').insertOne({ ...message });
+
+    broadcast(roomId, { type: 'chat', roomId, message });
+  },
+
+  typing: async (socket, { roomId, isTyping }) => {
+    if (!socket.rooms.has(roomId)) return;
+    broadcast(roomId, { type: 'typing', roomId, user: socket.user, isTyping: Boolean(isTyping) }, socket);
+  },
+
+  history: async (socket, { roomId, before }) => {
+    if (!socket.rooms.has(roomId)) {
+      return send(socket, { type: 'error', roomId, error: 'Join the room before reading its history' });
+    }
+    send(socket, { type: 'history', roomId, messages: await loadHistory(roomId, before) });
+  }
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch (error) {
+    return send(socket, { type: 'error', error: 'Messages must be JSON' });
+  }
+
+  const handler = message && Object.prototype.hasOwnProperty.call(handlers, message.type) && handlers[message.type];
+  if (!handler) {
+    return send(socket, { type: 'error', error: 'Unknown message type' });
+  }
+  if (typeof message.roomId !== 'string') {
+    return send(socket, { type: 'error', error: 'roomId is required' });
+  }
+  if (socket.readOnly && WRITE_ACTIONS.includes(message.type)) {
+    return send(socket, { type: 'error', roomId: message.roomId, error: 'This API key is read-only' });
+  }
+
+  try {
+    await handler(socket, message);
+  } catch (error) {
+    console.error('❌ WebSocket handler error:', error);
+    send(socket, { type: 'error', roomId: message.roomId, error: 'Server error' });
+  }
+};
+
+// Attach the WebSocket endpoint to an existing HTTP server
+const attachRealtime = (server) => {
+  wss = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      const auth = await authenticateUpgrade(req);
+      if (!auth) {
+        socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        ws.user = auth.user;
+        ws.readOnly = auth.readOnly;
+        wss.emit('connection', ws, req);
+      });
+    } catch (error) {
+      console.error('❌ WebSocket upgrade error:', error);
+      socket.write('HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+    }
+  });
+
+  wss.on('connection', (socket) => {
+    console.log('🔌 WebSocket connected:', socket.user.username);
+    socket.rooms = new Set();
+    socket.isAlive = true;
+
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (raw) => handleMessage(socket, raw.toString()));
+    socket.on('close', () => {
+      for (const roomId of [...socket.rooms]) leaveRoom(socket, roomId);
+      console.log('🔌 WebSocket disconnected:', socket.user.username);
+    });
+  });
+
+  // Drop connections that stop answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  server.on('close', () => {
+    clearInterval(heartbeat);
+    wss.close();
+  });
+
+  console.log('✅ WebSocket endpoint ready at', WS_PATH);
+  return wss;
+};
+
+module.exports = {
+  attachRealtime,
+  removeUserFromRoom,
+  disconnectUser,
+  closeRoomChannel
+};
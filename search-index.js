@@ -0,0 +1,214 @@
+const { getDB, getStorageType } = require('./db');
+
+// Full-text search across discussions, replies, projects and lessons.
+//
+// On Postgres the query runs against tsvector indexes (see db-postgres.js).
+// Every other backend uses the in-process inverted index below, built from the
+// store on first use and kept current by the routes through indexDocument()
+// and removeDocument().
+const SEARCH_TYPES = ['discussion', 'reply', 'project', 'lesson'];
+
+// Which collection and fields feed each result type; title fields rank higher
+const SOURCES = {
+  discussion: { collection: 'discussions', title: 'title', fields: ['title', 'content', 'tags'] },
+  reply: { collection: 'replies', title: null, fields: ['content'] },
+  project: { collection: 'projects', title: 'title', fields: ['title', 'description', 'tech'] },
+  lesson: { collection: 'lessons', title: 'title', fields: ['title', 'description', 'content'] }
+};
+const TITLE_WEIGHT = 3;
+const SNIPPET_RADIUS = 80;
+
+// Highlight markers are swapped for <mark> only after the text is HTML-escaped
+const MARK_START = '\u0001';
+const MARK_END = '\u0002';
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'with'
+]);
+
+// Very light stemming so "networks" finds "network"
+const stem = (word) => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [])
+  .filter(word => !STOP_WORDS.has(word))
+  .map(stem);
+
+const fieldText = (value) => (Array.isArray(value) ? value.join(' ') : String(value || ''));
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Turn marker-delimited text into HTML-safe text with <mark> highlights
+const renderSnippet = (text) => escapeHtml(text)
+  .replace(new RegExp(MARK_START, 'g'), '<mark>')
+  .replace(new RegExp(MARK_END, 'g'), '</mark>');
+
+// Excerpt around the first matching word, with matches marked
+const buildSnippet = (text, terms) => {
+  const words = [...text.matchAll(/[A-Za-z0-9]+/g)];
+  const hits = words.filter(m => terms.has(stem(m[0].toLowerCase())));
+  const first = hits[0] ? hits[0].index : 0;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+
+  let snippet = '';
+  let cursor = start;
+  for (const hit of hits) {
+    if (hit.index < start || hit.index + hit[0].length > end) continue;
+    snippet += text.slice(cursor, hit.index) + MARK_START + hit[0] + MARK_END;
+    cursor = hit.index + hit[0].length;
+  }
+  snippet += text.slice(cursor, end);
+
+  return (start > 0 ? '…' : '') + snippet.trim() + (end < text.length ? '…' : '');
+};
+
+class InvertedIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(docKey -> weighted term frequency)
+    this.documents = new Map(); // docKey -> { type, doc, terms }
+  }
+
+  add(type, doc) {
+    const key = type + ':' + doc.id;
+    this.remove(type, doc.id);
+
+    const source = SOURCES[type];
+    const counts = new Map();
+    for (const field of source.fields) {
+      const weight = field === source.title ? TITLE_WEIGHT : 1;
+      for (const term of tokenize(fieldText(doc[field]))) {
+        counts.set(term, (counts.get(term) || 0) + weight);
+      }
+    }
+
+    for (const [term, count] of counts) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(key, count);
+    }
+    this.documents.set(key, { type, doc, terms: [...counts.keys()] });
+  }
+
+  remove(type, id) {
+    const key = type + ':' + id;
+    const entry = this.documents.get(key);
+    if (!entry) return;
+
+    for (const term of entry.terms) {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.documents.delete(key);
+  }
+
+  // Documents containing every query term, ranked by TF-IDF
+  search(terms, types, includeHidden) {
+    if (terms.length === 0) return [];
+
+    const postingLists = terms.map(term => this.postings.get(term) || new Map());
+    if (postingLists.some(list => list.size === 0)) return [];
+
+    const total = this.documents.size;
+    const [smallest] = [...postingLists].sort((a, b) => a.size - b.size);
+    const results = [];
+
+    for (const key of smallest.keys()) {
+      const entry = this.documents.get(key);
+      if (!types.includes(entry.type)) continue;
+      if (entry.doc.hidden && !includeHidden) continue;
+      if (!postingLists.every(list => list.has(key))) continue;
+
+      const score = postingLists.reduce((sum, list) => {
+        const idf = Math.log(1 + total / list.size);
+        return sum + (1 + Math.log(list.get(key))) * idf;
+      }, 0);
+      results.push({ entry, score });
+    }
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+}
+
+let index = null;
+let building = null;
+
+const ensureIndex = async () => {
+  if (index) return index;
+  if (!building) {
+    building = (async () => {
+      const fresh = new InvertedIndex();
+      for (const [type, source] of Object.entries(SOURCES)) {
+        const docs = await getDB().collection(source.collection).find({}).toArray();
+        docs.forEach(doc => fresh.add(type, doc));
+      }
+      console.log('🔎 Search index built:', fresh.documents.size, 'documents');
+      index = fresh;
+      return index;
+    })().finally(() => { building = null; });
+  }
+  return building;
+};
+
+const usesPostgres = () => getStorageType() === 'postgres';
+
+// Keep the in-process index current (no-op on Postgres or before the first search)
+const indexDocument = (type, doc) => {
+  if (index && !usesPostgres()) index.add(type, doc);
+};
+
+const removeDocument = (type, id) => {
+  if (index && !usesPostgres()) index.remove(type, id);
+};
+
+const toResult = (type, doc, snippetSource, score) => ({
+  type,
+  id: doc.id,
+  title: SOURCES[type].title ? doc[SOURCES[type].title] : null,
+  snippet: renderSnippet(snippetSource),
+  score: Math.round(score * 1000) / 1000,
+  author: doc.author || null,
+  created: doc.created || null,
+  ...(type === 'reply' ? { discussionId: doc.discussionId } : {})
+});
+
+// Ranked search. Returns { results, total }. Hidden content is left out unless includeHidden is set.
+const searchContent = async (query, { types = SEARCH_TYPES, limit = 20, includeHidden = false } = {}) => {
+  if (usesPostgres()) {
+    const { rows, total } = await require('./db-postgres')
+      .searchContent(query, { types, limit, includeHidden, markStart: MARK_START, markEnd: MARK_END });
+    return {
+      results: rows.map(row => toResult(row.type, row, row.snippet, row.score)),
+      total
+    };
+  }
+
+  const terms = [...new Set(tokenize(query))];
+  const matches = (await ensureIndex()).search(terms, types, includeHidden);
+  const termSet = new Set(terms);
+
+  return {
+    results: matches.slice(0, limit).map(({ entry, score }) => {
+      const source = SOURCES[entry.type];
+      const body = source.fields
+        .filter(f => f !== source.title)
+        .map(f => fieldText(entry.doc[f]))
+        .find(text => tokenize(text).some(t => termSet.has(t))) || fieldText(entry.doc[source.fields[0]]);
+      return toResult(entry.type, entry.doc, buildSnippet(body, termSet), score);
+    }),
+    total: matches.length
+  };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  searchContent,
+  indexDocument,
+  removeDocument
+};
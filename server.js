@@ -1,11 +1,68 @@
-console.log('🚀 Starting AI Learning Hub Simple Backend...');
+console.log('🚀 Starting AI Learning Hub Backend...');
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const { connectDB, getDB, getStorageType } = require('./db');
+const { hashPassword, verifyPassword, needsRehash, isHashed } = require('./password-hash');
+const { TokenError, issueSession, refreshSession, revokeSession, revokeAllSessions } = require('./session-tokens');
+const { ApiKeyError, listApiKeys, createApiKey, updateApiKey, rotateApiKey, revokeApiKey } = require('./api-keys');
+const { authenticate, authenticateToken, optionalAuth, requireModerator, requireAdmin } = require('./middleware/auth');
+const { createRateLimiter } = require('./middleware/rate-limit');
+const { attachRealtime, removeUserFromRoom, disconnectUser, closeRoomChannel } = require('./realtime');
+const {
+  validatedBody,
+  validateRegister,
+  validateLogin,
+  validateProfileUpdate,
+  validateDiscussion,
+  validateReply,
+  validateProject,
+  validateProjectUpdate,
+  validateLesson,
+  validateLearningPath,
+  validateLearningPathUpdate,
+  validateProgress,
+  validateQuiz,
+  validateQuizUpdate,
+  validateQuizSubmission,
+  validateRoom,
+  validateApiKey,
+  validateReport
+} = require('./middleware/validation');
+const { normalizeQuestions, gradeQuiz, toPublicQuiz } = require('./quiz-grading');
+const { ListQueryError, listPage } = require('./pagination');
+const { SEARCH_TYPES, searchContent, indexDocument, removeDocument } = require('./search-index');
+const { activityPage, countContributions } = require('./activity');
+const {
+  NOTIFICATION_TYPES,
+  toPublicNotification,
+  notify,
+  notifyMentions,
+  unreadCount,
+  markRead,
+  markAllRead,
+  subscribe
+} = require('./notifications');
+const {
+  ROLES,
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  REPORTABLE,
+  roleOf,
+  isModerator,
+  isAdmin,
+  visibleQuery,
+  canView,
+  isSuspended,
+  findReportTarget,
+  resolveReports
+} = require('./moderation');
+const { TARGETS, viewerKey, addReaction, removeReaction, clearReactions, userReactions, reactedTargetIds } = require('./reactions');
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-console.log('✅ Express loaded - SIMPLE BACKEND');
+console.log('✅ Express loaded');
 
 // CORS - Allow your Netlify domains
 app.use(cors({
@@ -14,97 +71,152 @@ app.use(cors({
 }));
 app.use(express.json({ limit: '10mb' }));
 
+// Behind a proxy (Render, nginx) req.ip must come from X-Forwarded-For,
+// otherwise every client shares the proxy's rate limit budget
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+app.use(createRateLimiter());
+
 console.log('✅ Middleware configured');
 
-// Simple in-memory storage - NO DATABASE REQUIRED
-let users = [
-  {
-    id: 'system',
-    username: 'System',
-    email: 'system@ailearninghub.com',
-    password: 'system', // In real app, this would be hashed
-    created: new Date().toISOString()
-  }
-];
-
-let discussions = [
-  {
-    id: 'welcome_simple',
-    title: 'Simple Backend is Working!',
-    content: 'This discussion proves the simple backend deployment was successful! All users can now see and interact with shared content.',
-    author: 'System',
-    authorId: 'system',
-    category: 'general',
-    tags: ['system', 'working'],
-    created: new Date().toISOString(),
-    replies: 0,
-    repliesData: []
-  }
-];
-
-let projects = [];
-let lessons = [];
-let rooms = [];
-
-console.log('✅ Data initialized - IN MEMORY STORAGE');
+const generateId = (prefix) => prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5);
+
+// Replies can nest this many levels below a top-level reply
+const MAX_REPLY_DEPTH = 3;
+
+// Sort options shared by the list routes
+const NEWEST = { field: 'created', direction: -1 };
+const OLDEST = { field: 'created', direction: 1 };
+
+// Documents as clients see them, without the store's own _id and createdAt
+const withoutStoreFields = ({ _id, createdAt, ...doc }) => doc;
+
+const sessionMeta = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+// Default content inserted on first boot of an empty store
+const seedData = async () => {
+  const db = getDB();
+
+  // The system account is not meant to sign in, so it gets a random password
+  const systemUser = await db.collection('users').findOne({ id: 'system' });
+  if (!systemUser) {
+    await db.collection('users').insertOne({
+      id: 'system',
+      username: 'System',
+      email: 'system@ailearninghub.com',
+      password: await hashPassword(crypto.randomBytes(32).toString('hex')),
+      created: new Date().toISOString()
+    });
+  } else if (!isHashed(systemUser.password)) {
+    await db.collection('users').updateOne(
+      { id: 'system' },
+      { $set: { password: await hashPassword(crypto.randomBytes(32).toString('hex')) } }
+    );
+  }
+
+  const discussionCount = await db.collection('discussions').countDocuments();
+  if (discussionCount === 0) {
+    await db.collection('discussions').insertOne({
+      id: 'welcome_simple',
+      title: 'Backend is Working!',
+      content: 'This discussion proves the backend deployment was successful! All users can now see and interact with shared content.',
+      author: 'System',
+      authorId: 'system',
+      category: 'general',
+      tags: ['system', 'working'],
+      created: new Date().toISOString(),
+      replies: 0,
+      repliesData: []
+    });
+  }
+
+  // Accounts listed in ADMIN_USERNAMES are promoted to admin on start
+  const adminNames = (process.env.ADMIN_USERNAMES || '').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+  if (adminNames.length) {
+    const users = await db.collection('users').find({}).toArray();
+    for (const user of users.filter(u => adminNames.includes(u.username.toLowerCase()) && u.role !== 'admin')) {
+      await db.collection('users').updateOne({ id: user.id }, { $set: { role: 'admin' } });
+      console.log('🛡️ Promoted to admin:', user.username);
+    }
+  }
+
+  console.log('✅ Seed data ready');
+};
+
+const getDataCounts = async () => {
+  const db = getDB();
+  const [discussions, projects, lessons, rooms] = await Promise.all(
+    ['discussions', 'projects', 'lessons', 'rooms'].map(name => db.collection(name).countDocuments())
+  );
+  return { discussions, projects, lessons, rooms };
+};
 
 // Root endpoint
-app.get('/', (req, res) => {
+app.get('/', async (req, res) => {
   console.log('📍 Root endpoint accessed');
-  res.json({
-    status: 'SUCCESS',
-    message: 'AI Learning Hub Simple Backend is running!',
-    version: 'simple-v1.0',
-    server_type: 'in-memory-backend',
-    timestamp: new Date().toISOString(),
-    data_counts: {
-      discussions: discussions.length,
-      projects: projects.length,
-      lessons: lessons.length,
-      rooms: rooms.length
-    }
-  });
+  try {
+    res.json({
+      status: 'SUCCESS',
+      message: 'AI Learning Hub Backend is running!',
+      version: 'v2.0',
+      server_type: getStorageType() + '-backend',
+      timestamp: new Date().toISOString(),
+      data_counts: await getDataCounts()
+    });
+  } catch (error) {
+    console.error('❌ Error reading data counts:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // Health endpoint  
-app.get('/api/health', (req, res) => {
+app.get('/api/health', async (req, res) => {
   console.log('📍 Health endpoint accessed');
-  res.json({
-    status: 'OK',
-    message: 'AI Learning Hub API is running',
-    version: 'simple-v1.0',
-    server_type: 'in-memory-backend',
-    discussions_count: discussions.length,
-    projects_count: projects.length,
-    timestamp: new Date().toISOString()
-  });
+  try {
+    const counts = await getDataCounts();
+    res.json({
+      status: 'OK',
+      message: 'AI Learning Hub API is running',
+      version: 'v2.0',
+      server_type: getStorageType() + '-backend',
+      discussions_count: counts.discussions,
+      projects_count: counts.projects,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Health check failed:', error);
+    res.status(503).json({ status: 'ERROR', error: error.message });
+  }
 });
 
 // Test endpoint
-app.get('/api/test', (req, res) => {
+app.get('/api/test', async (req, res) => {
   console.log('📍 Test endpoint accessed');
-  res.json({
-    test: 'SUCCESS',
-    message: 'Simple backend deployment successful!',
-    version: 'simple-v1.0',
-    discussions_available: discussions.length > 0,
-    cross_user_sharing: 'ACTIVE'
-  });
+  try {
+    const discussionCount = await getDB().collection('discussions').countDocuments();
+    res.json({
+      test: 'SUCCESS',
+      message: 'Backend deployment successful!',
+      version: 'v2.0',
+      discussions_available: discussionCount > 0,
+      cross_user_sharing: 'ACTIVE'
+    });
+  } catch (error) {
+    console.error('❌ Test endpoint failed:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
 // =============== USER AUTHENTICATION ===============
-app.post('/api/auth/register', (req, res) => {
+app.post('/api/auth/register', validateRegister, async (req, res) => {
   console.log('📍 POST /api/auth/register');
-  console.log('📋 Request body:', req.body);
   try {
-    const { username, email, password } = req.body;
-    
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'Username, email, and password are required' });
-    }
+    const { username, email, password } = validatedBody(req);
     
     // Check if username already exists
-    const existingUser = users.find(u => u.username.toLowerCase() === username.toLowerCase());
+    const existingUser = await findUserByUsername(username.trim());
     if (existingUser) {
       console.log('❌ Username already taken:', username);
       return res.status(400).json({ 
@@ -114,7 +226,7 @@ app.post('/api/auth/register', (req, res) => {
     }
     
     // Check if email already exists
-    const existingEmail = users.find(u => u.email.toLowerCase() === email.toLowerCase());
+    const existingEmail = await findUserByEmail(email);
     if (existingEmail) {
       console.log('❌ Email already registered:', email);
       return res.status(400).json({ 
@@ -124,23 +236,31 @@ app.post('/api/auth/register', (req, res) => {
     }
     
     // Create new user
+    const now = new Date().toISOString();
     const newUser = {
-      id: 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
+      id: generateId('user'),
       username: username.trim(),
       email: email.trim().toLowerCase(),
-      password: password, // In real app, this would be hashed
-      created: new Date().toISOString()
+      password: await hashPassword(password),
+      created: now,
+      lastActive: now,
+      role: 'member',
+      bio: '',
+      avatarUrl: null,
+      links: []
     };
     
-    users.push(newUser);
+    await getDB().collection('users').insertOne({ ...newUser });
     console.log('✅ User registered:', newUser.username);
     
     // Return user without password
     const { password: _, ...userResponse } = newUser;
+    const tokens = await issueSession(newUser, sessionMeta(req));
     res.json({ 
       success: true, 
       message: 'User registered successfully',
-      user: userResponse 
+      user: userResponse,
+      ...tokens
     });
   } catch (error) {
     console.error('❌ Error registering user:', error);
@@ -148,21 +268,13 @@ app.post('/api/auth/register', (req, res) => {
   }
 });
 
-app.post('/api/auth/login', (req, res) => {
+app.post('/api/auth/login', validateLogin, async (req, res) => {
   console.log('📍 POST /api/auth/login');
-  console.log('📋 Request body:', req.body);
   try {
-    const { username, password } = req.body;
-    
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password are required' });
-    }
+    const { username, password } = validatedBody(req);
     
     // Find user by username or email
-    const user = users.find(u => 
-      u.username.toLowerCase() === username.toLowerCase() || 
-      u.email.toLowerCase() === username.toLowerCase()
-    );
+    const user = await findUserByUsername(username) || await findUserByEmail(username);
     
     if (!user) {
       console.log('❌ User not found:', username);
@@ -170,19 +282,37 @@ app.post('/api/auth/login', (req, res) => {
     }
     
     // Check password
-    if (user.password !== password) {
+    if (!(await verifyPassword(password, user.password))) {
       console.log('❌ Invalid password for user:', username);
       return res.status(401).json({ error: 'Invalid username or password' });
     }
     
+    if (isSuspended(user)) {
+      console.log('❌ Suspended user tried to log in:', user.username);
+      return res.status(403).json({ error: 'This account is suspended', suspended: user.suspended });
+    }
+    
+    // Upgrade legacy plaintext or outdated hashes now that we have the password
+    if (needsRehash(user.password)) {
+      await getDB().collection('users').updateOne(
+        { id: user.id },
+        { $set: { password: await hashPassword(password) } }
+      );
+      console.log('🔐 Upgraded stored password hash for:', user.username);
+    }
+    
+    const lastActive = new Date().toISOString();
+    await getDB().collection('users').updateOne({ id: user.id }, { $set: { lastActive } });
     console.log('✅ User logged in:', user.username);
     
     // Return user without password
-    const { password: _, ...userResponse } = user;
+    const { password: _, _id, ...userResponse } = user;
+    const tokens = await issueSession(user, sessionMeta(req));
     res.json({ 
       success: true, 
       message: 'Login successful',
-      user: userResponse 
+      user: { ...userResponse, lastActive },
+      ...tokens
     });
   } catch (error) {
     console.error('❌ Error logging in user:', error);
@@ -190,163 +320,2265 @@ app.post('/api/auth/login', (req, res) => {
   }
 });
 
-// =============== DISCUSSIONS ===============
-app.get('/api/discussions', (req, res) => {
-  console.log('📍 GET /api/discussions - returning', discussions.length, 'discussions');
-  res.json(discussions);
+app.post('/api/auth/refresh', async (req, res) => {
+  console.log('📍 POST /api/auth/refresh');
+  try {
+    const { refreshToken } = req.body || {};
+    
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    
+    const { user, tokens } = await refreshSession(refreshToken);
+    console.log('✅ Session refreshed for:', user.username);
+    res.json({ success: true, ...tokens });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      console.log('❌ Refresh rejected:', error.message);
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('❌ Error refreshing session:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/api/discussions', (req, res) => {
-  console.log('📍 POST /api/discussions - creating discussion');
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  console.log('📍 POST /api/auth/logout');
   try {
-    const discussion = {
-      id: 'disc_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
-      ...req.body,
-      created: new Date().toISOString(),
-      replies: 0,
-      repliesData: []
-    };
+    const { all } = req.body || {};
     
-    discussions.unshift(discussion);
-    console.log('✅ Created discussion:', discussion.title, 'by', discussion.author);
-    res.json(discussion);
+    if (all) {
+      await revokeAllSessions(req.user.id);
+    } else {
+      await revokeSession(req.sessionId);
+    }
+    
+    console.log('✅ User logged out:', req.user.username, all ? '(all sessions)' : '');
+    res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
-    console.error('❌ Error creating discussion:', error);
+    console.error('❌ Error logging out user:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/discussions/:id', (req, res) => {
-  console.log('📍 DELETE /api/discussions/' + req.params.id);
+// =============== API KEYS ===============
+// Key management needs a signed-in session, not another API key
+const createApiKeyHandler = async (req, res) => {
+  console.log('📍 POST ' + req.path);
+  try {
+    const { name, scope = 'write' } = validatedBody(req);
+    const apiKey = await createApiKey(req.user.id, { name, scope });
+    console.log('✅ API key created for:', req.user.username, '-', apiKey.name);
+    res.status(201).json({ 
+      success: true, 
+      message: 'Store this key now - it will not be shown again',
+      apiKey 
+    });
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error creating API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.post('/api/auth/api-keys', authenticateToken, validateApiKey, createApiKeyHandler);
+app.post('/api/auth/generate-api-key', authenticateToken, validateApiKey, createApiKeyHandler);
+
+app.get('/api/auth/api-keys', authenticateToken, async (req, res) => {
+  console.log('📍 GET /api/auth/api-keys');
   try {
-    const index = discussions.findIndex(d => d.id === req.params.id);
+    res.json(await listApiKeys(req.user.id));
+  } catch (error) {
+    console.error('❌ Error listing API keys:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/auth/api-keys/:id', authenticateToken, validateApiKey, async (req, res) => {
+  console.log('📍 PATCH /api/auth/api-keys/' + req.params.id);
+  try {
+    const { name, scope } = validatedBody(req);
+    const apiKey = await updateApiKey(req.user.id, req.params.id, { name, scope });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
     
-    if (index === -1) {
-      console.log('❌ Discussion not found:', req.params.id);
-      return res.status(404).json({ error: 'Discussion not found' });
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    console.error('❌ Error updating API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/auth/api-keys/:id/rotate', authenticateToken, async (req, res) => {
+  console.log('📍 POST /api/auth/api-keys/' + req.params.id + '/rotate');
+  try {
+    const apiKey = await rotateApiKey(req.user.id, req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
     }
     
-    // Basic ownership check
-    const discussion = discussions[index];
-    const { userId } = req.body || {};
+    console.log('✅ API key rotated:', apiKey.name);
+    res.json({ 
+      success: true, 
+      message: 'Store this key now - it will not be shown again',
+      apiKey 
+    });
+  } catch (error) {
+    console.error('❌ Error rotating API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/auth/api-keys/:id', authenticateToken, async (req, res) => {
+  console.log('📍 DELETE /api/auth/api-keys/' + req.params.id);
+  try {
+    const revoked = await revokeApiKey(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    
+    console.log('✅ API key revoked:', req.params.id);
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== USER PROFILES ===============
+// Public view of a user - never includes email or credentials
+const toPublicProfile = (user, { contributions, followers, following }) => ({
+  id: user.id,
+  username: user.username,
+  role: roleOf(user),
+  bio: user.bio || '',
+  avatarUrl: user.avatarUrl || null,
+  links: user.links || [],
+  joined: user.created,
+  lastActive: user.lastActive || null,
+  contributions,
+  followers,
+  following
+});
+
+const profileCounts = async (userId) => {
+  const follows = getDB().collection('follows');
+  const [contributions, followers, following] = await Promise.all([
+    countContributions(userId),
+    follows.countDocuments({ followingId: userId }),
+    follows.countDocuments({ followerId: userId })
+  ]);
+  return { contributions, followers, following };
+};
+
+// Usernames match regardless of case; the name is escaped so it matches literally
+const findUserByUsername = async (username) => {
+  const literal = String(username).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const user = await getDB().collection('users').findOne({ username: { $regex: '^' + literal + '$', $options: 'i' } });
+  return user || null;
+};
+
+// Emails are stored lowercased, so they are looked up by exact match
+const findUserByEmail = async (email) => {
+  const user = await getDB().collection('users').findOne({ email: String(email).trim().toLowerCase() });
+  return user || null;
+};
+
+app.get('/api/users/me', authenticate, async (req, res) => {
+  console.log('📍 GET /api/users/me');
+  try {
+    res.json({ ...toPublicProfile(req.user, await profileCounts(req.user.id)), email: req.user.email });
+  } catch (error) {
+    console.error('❌ Error fetching own profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.patch('/api/users/me', authenticate, validateProfileUpdate, async (req, res) => {
+  console.log('📍 PATCH /api/users/me');
+  try {
+    const changes = validatedBody(req);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+    if (changes.avatarUrl === '') changes.avatarUrl = null;
     
-    console.log('🔍 Delete request - Discussion author:', discussion.authorId, 'Requester:', userId);
+    await getDB().collection('users').updateOne({ id: req.user.id }, { $set: changes });
     
-    if (discussion.authorId !== userId && discussion.author !== userId) {
-      console.log('❌ Unauthorized delete attempt');
-      return res.status(403).json({ error: 'Unauthorized - can only delete own discussions' });
+    const counts = await profileCounts(req.user.id);
+    console.log('✅ Updated profile:', req.user.username);
+    res.json({ ...toPublicProfile({ ...req.user, ...changes }, counts), email: req.user.email });
+  } catch (error) {
+    console.error('❌ Error updating profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/users/:username', async (req, res) => {
+  console.log('📍 GET /api/users/' + req.params.username);
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
     
-    // Delete the discussion
-    const deleted = discussions.splice(index, 1)[0];
-    console.log('✅ Deleted discussion:', deleted.title);
-    res.json({ success: true, message: 'Discussion deleted successfully', discussion: deleted });
+    res.json(toPublicProfile(user, await profileCounts(user.id)));
   } catch (error) {
-    console.error('❌ Error deleting discussion:', error);
+    console.error('❌ Error fetching profile:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// =============== PROJECTS ===============
-app.get('/api/projects', (req, res) => {
-  console.log('📍 GET /api/projects');
-  res.json(projects);
+// The user's recent projects, discussions, replies and lessons, newest first
+app.get('/api/users/:username/activity', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/users/' + req.params.username + '/activity');
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(await activityPage([user.id], req.query, { baseFilter: visibleQuery(req.user) }));
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching activity:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/api/projects', (req, res) => {
-  console.log('📍 POST /api/projects');
+// =============== FOLLOWS AND FEED ===============
+const FOLLOW_LIST = {
+  sorts: { newest: NEWEST, oldest: OLDEST },
+  defaultSort: 'newest'
+};
+
+// Follow a user; following someone twice is a no-op
+app.put('/api/users/:username/follow', authenticate, async (req, res) => {
+  console.log('📍 PUT /api/users/' + req.params.username + '/follow');
   try {
-    const project = {
-      id: 'proj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
-      ...req.body,
-      created: new Date().toISOString(),
-      likes: 0,
-      stars: 0
-    };
+    const user = await findUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
     
-    projects.unshift(project);
-    console.log('✅ Created project:', project.title);
-    res.json(project);
+    const follows = getDB().collection('follows');
+    const existing = await follows.findOne({ followerId: req.user.id, followingId: user.id });
+    if (!existing) {
+      await follows.insertOne({
+        id: generateId('follow'),
+        followerId: req.user.id,
+        followingId: user.id,
+        created: new Date().toISOString()
+      });
+      console.log('✅', req.user.username, 'now follows', user.username);
+    }
+    
+    const followers = await follows.countDocuments({ followingId: user.id });
+    res.json({ success: true, following: true, followers });
   } catch (error) {
-    console.error('❌ Error creating project:', error);
+    console.error('❌ Error following user:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// =============== LESSONS ===============
-app.get('/api/lessons', (req, res) => {
-  console.log('📍 GET /api/lessons');
-  res.json(lessons);
+app.delete('/api/users/:username/follow', authenticate, async (req, res) => {
+  console.log('📍 DELETE /api/users/' + req.params.username + '/follow');
+  try {
+    const user = await findUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const follows = getDB().collection('follows');
+    await follows.deleteMany({ followerId: req.user.id, followingId: user.id });
+    
+    const followers = await follows.countDocuments({ followingId: user.id });
+    res.json({ success: true, following: false, followers });
+  } catch (error) {
+    console.error('❌ Error unfollowing user:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/api/lessons', (req, res) => {
-  console.log('📍 POST /api/lessons');
+// Followers or followed users as short profiles, paged by when the follow happened
+const followListRoute = (direction) => async (req, res) => {
+  console.log('📍 GET /api/users/' + req.params.username + '/' + direction);
   try {
-    const lesson = {
-      id: 'lesson_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
-      ...req.body,
-      created: new Date().toISOString()
-    };
+    const user = await findUserByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
     
-    lessons.unshift(lesson);
-    console.log('✅ Created lesson:', lesson.title);
-    res.json(lesson);
+    const [ownField, otherField] = direction === 'followers'
+      ? ['followingId', 'followerId']
+      : ['followerId', 'followingId'];
+    const page = await listPage(getDB().collection('follows'), req.query, FOLLOW_LIST, {
+      baseFilter: { [ownField]: user.id }
+    });
+    
+    const users = await getDB().collection('users')
+      .find({ id: { $in: page.items.map(f => f[otherField]) } })
+      .toArray();
+    const items = page.items
+      .map(follow => {
+        const other = users.find(u => u.id === follow[otherField]);
+        return other && {
+          id: other.id,
+          username: other.username,
+          avatarUrl: other.avatarUrl || null,
+          bio: other.bio || '',
+          followedAt: follow.created
+        };
+      })
+      .filter(Boolean);
+    
+    res.json({ ...page, items });
   } catch (error) {
-    console.error('❌ Error creating lesson:', error);
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching ' + direction + ':', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.get('/api/users/:username/followers', followListRoute('followers'));
+app.get('/api/users/:username/following', followListRoute('following'));
+
+// New content from everyone the signed-in user follows, newest first
+app.get('/api/feed', authenticate, async (req, res) => {
+  console.log('📍 GET /api/feed');
+  try {
+    const follows = await getDB().collection('follows').find({ followerId: req.user.id }).toArray();
+    res.json(await activityPage(follows.map(f => f.followingId), req.query, { baseFilter: visibleQuery(req.user) }));
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching feed:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// =============== ROOMS ===============
-app.get('/api/rooms', (req, res) => {
-  console.log('📍 GET /api/rooms');
-  res.json(rooms);
+// =============== DISCUSSIONS ===============
+const DISCUSSION_LIST = {
+  filters: { category: 'category', author: 'author', tags: { field: 'tags', array: true } },
+  sorts: {
+    newest: NEWEST,
+    oldest: OLDEST,
+    'most-replied': { field: 'replies', direction: -1 },
+    'most-viewed': { field: 'views', direction: -1 }
+  },
+  defaultSort: 'newest'
+};
+
+app.get('/api/discussions', optionalAuth, async (req, res) => {
+  try {
+    const page = await listPage(getDB().collection('discussions'), req.query, DISCUSSION_LIST, {
+      baseFilter: visibleQuery(req.user)
+    });
+    console.log('📍 GET /api/discussions - returning', page.items.length, 'of', page.total, 'discussions');
+    res.json({ ...page, items: page.items.map(withoutStoreFields) });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching discussions:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.post('/api/rooms', (req, res) => {
-  console.log('📍 POST /api/rooms');
+app.post('/api/discussions', authenticate, validateDiscussion, async (req, res) => {
+  console.log('📍 POST /api/discussions - creating discussion');
   try {
-    const room = {
-      id: 'room_' + Date.now() + '_' + Math.random().toString(36).substr(2, 5),
-      ...req.body,
+    const discussion = {
+      id: generateId('disc'),
+      ...validatedBody(req),
+      author: req.user.username,
+      authorId: req.user.id,
       created: new Date().toISOString(),
-      participants: []
+      replies: 0,
+      repliesData: [],
+      views: 0
     };
     
-    rooms.unshift(room);
-    console.log('✅ Created room:', room.name);
-    res.json(room);
+    await getDB().collection('discussions').insertOne({ ...discussion });
+    indexDocument('discussion', discussion);
+    await notifyMentions(discussion.content, {
+      actor: req.user,
+      target: { type: 'discussion', id: discussion.id, title: discussion.title }
+    });
+    console.log('✅ Created discussion:', discussion.title, 'by', discussion.author);
+    res.json(discussion);
   } catch (error) {
-    console.error('❌ Error creating room:', error);
+    console.error('❌ Error creating discussion:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Catch all other routes
-app.use((req, res) => {
-  console.log('📍 Unknown route accessed:', req.path);
-  res.status(404).json({ 
-    error: 'Route not found', 
-    path: req.path,
-    available_endpoints: ['/api/health', '/api/test', '/api/discussions', '/api/projects', '/api/lessons', '/api/rooms']
-  });
-});
+// Delete a discussion with its replies, reactions and search entries
+const deleteDiscussion = async (discussion) => {
+  const replies = await getDB().collection('replies').find({ discussionId: discussion.id }).toArray();
+  await getDB().collection('discussions').deleteOne({ id: discussion.id });
+  await getDB().collection('replies').deleteMany({ discussionId: discussion.id });
+  await clearReactions('discussion', discussion.id);
+  removeDocument('discussion', discussion.id);
+  replies.forEach(reply => removeDocument('reply', reply.id));
+};
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('🚨 Error:', err);
-  res.status(500).json({ error: 'Server error' });
+app.delete('/api/discussions/:id', authenticate, async (req, res) => {
+  console.log('📍 DELETE /api/discussions/' + req.params.id);
+  try {
+    const discussions = getDB().collection('discussions');
+    const discussion = await discussions.findOne({ id: req.params.id });
+    
+    if (!discussion) {
+      console.log('❌ Discussion not found:', req.params.id);
+      return res.status(404).json({ error: 'Discussion not found' });
+    }
+    
+    // Ownership check against the authenticated user
+    console.log('🔍 Delete request - Discussion author:', discussion.authorId, 'Requester:', req.user.id);
+    
+    if (discussion.authorId !== req.user.id) {
+      console.log('❌ Unauthorized delete attempt');
+      return res.status(403).json({ error: 'Unauthorized - can only delete own discussions' });
+    }
+    
+    await deleteDiscussion(discussion);
+    console.log('✅ Deleted discussion:', discussion.title);
+    res.json({ success: true, message: 'Discussion deleted successfully', discussion });
+  } catch (error) {
+    console.error('❌ Error deleting discussion:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log('🎉 AI Learning Hub Simple Backend running on port', PORT);
-  console.log('🌐 Version: simple-v1.0');
-  console.log('📊 Initial data counts:');
-  console.log('   - Discussions:', discussions.length);
-  console.log('   - Projects:', projects.length);
-  console.log('   - Lessons:', lessons.length);
-  console.log('   - Rooms:', rooms.length);
+// =============== REPLIES ===============
+// Keep the discussion's reply counter in line with the stored replies
+const syncReplyCount = async (discussionId) => {
+  const count = await getDB().collection('replies').countDocuments({ discussionId });
+  await getDB().collection('discussions').updateOne({ id: discussionId }, { $set: { replies: count } });
+  return count;
+};
+
+// Nest a flat list of replies under their parents
+const buildReplyTree = (replies) => {
+  const byId = new Map(replies.map(r => [r.id, { ...withoutStoreFields(r), children: [] }]));
+  const roots = [];
+  for (const reply of byId.values()) {
+    const parent = reply.parentReplyId && byId.get(reply.parentReplyId);
+    if (parent) {
+      parent.children.push(reply);
+    } else {
+      roots.push(reply);
+    }
+  }
+  return roots;
+};
+
+// Hidden replies disappear together with the replies nested under them
+const dropHidden = (threads) => threads
+  .filter(reply => !reply.hidden)
+  .map(reply => ({ ...reply, children: dropHidden(reply.children) }));
+
+app.get('/api/discussions/:id/replies', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/discussions/' + req.params.id + '/replies');
+  try {
+    const discussion = await getDB().collection('discussions').findOne({ id: req.params.id });
+    if (!discussion || !canView(req.user, discussion)) {
+      return res.status(404).json({ error: 'Discussion not found' });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    
+    // Paginate top-level replies; each one carries its nested thread
+    const replies = await getDB().collection('replies')
+      .find({ discussionId: req.params.id })
+      .sort({ created: 1 })
+      .toArray();
+    const tree = buildReplyTree(replies);
+    const threads = isModerator(req.user) ? tree : dropHidden(tree);
+    
+    res.json({
+      replies: threads.slice(offset, offset + limit),
+      total: threads.length,
+      totalReplies: replies.length,
+      limit,
+      offset
+    });
+  } catch (error) {
+    console.error('❌ Error fetching replies:', error);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-console.log('🏁 Simple Backend setup complete - NO DATABASE DEPENDENCIES!');
\ No newline at end of file
+app.post('/api/discussions/:id/reply', authenticate, validateReply, async (req, res) => {
+  console.log('📍 POST /api/discussions/' + req.params.id + '/reply');
+  try {
+    const discussion = await getDB().collection('discussions').findOne({ id: req.params.id });
+    if (!discussion || !canView(req.user, discussion)) {
+      console.log('❌ Discussion not found:', req.params.id);
+      return res.status(404).json({ error: 'Discussion not found' });
+    }
+    
+    const { content, parentReplyId } = validatedBody(req);
+    
+    let depth = 0;
+    let parent = null;
+    if (parentReplyId) {
+      parent = await getDB().collection('replies').findOne({ id: parentReplyId });
+      if (!parent || parent.discussionId !== discussion.id) {
+        return res.status(404).json({ error: 'Parent reply not found' });
+      }
+      if (parent.depth >= MAX_REPLY_DEPTH) {
+        return res.status(400).json({ error: `Replies can only be nested ${MAX_REPLY_DEPTH} levels deep` });
+      }
+      depth = parent.depth + 1;
+    }
+    
+    const reply = {
+      id: generateId('reply'),
+      discussionId: discussion.id,
+      parentReplyId: parentReplyId || null,
+      depth,
+      content,
+      author: req.user.username,
+      authorId: req.user.id,
+      created: new Date().toISOString()
+    };
+    
+    await getDB().collection('replies').insertOne({ ...reply });
+    indexDocument('reply', reply);
+    const replyCount = await syncReplyCount(discussion.id);
+    
+    // Tell the discussion author and the author of the reply being answered, then anyone @mentioned
+    const target = { type: 'discussion', id: discussion.id, title: discussion.title };
+    const recipients = [...new Set([discussion.authorId, parent && parent.authorId].filter(Boolean))];
+    for (const userId of recipients) {
+      await notify(userId, 'reply', { actor: req.user, target, data: { replyId: reply.id } });
+    }
+    await notifyMentions(content, { actor: req.user, target, skipUserIds: recipients });
+    
+    console.log('✅ Reply added to:', discussion.title, 'by', reply.author);
+    res.status(201).json({ ...reply, discussionReplies: replyCount });
+  } catch (error) {
+    console.error('❌ Error adding reply:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/discussions/:id/replies/:replyId', authenticate, validateReply, async (req, res) => {
+  console.log('📍 PUT /api/discussions/' + req.params.id + '/replies/' + req.params.replyId);
+  try {
+    const replies = getDB().collection('replies');
+    const reply = await replies.findOne({ id: req.params.replyId });
+    
+    if (!reply || reply.discussionId !== req.params.id) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+    
+    if (reply.authorId !== req.user.id) {
+      console.log('❌ Unauthorized reply edit by:', req.user.id);
+      return res.status(403).json({ error: 'Unauthorized - can only edit own replies' });
+    }
+    
+    const { content } = validatedBody(req);
+    const updated = new Date().toISOString();
+    await replies.updateOne({ id: reply.id }, { $set: { content, updated } });
+    indexDocument('reply', { ...reply, content, updated });
+    
+    res.json({ ...reply, content, updated });
+  } catch (error) {
+    console.error('❌ Error editing reply:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a reply together with everything nested under it
+const deleteReplyThread = async (reply) => {
+  const replies = getDB().collection('replies');
+  const thread = await replies.find({ discussionId: reply.discussionId }).toArray();
+  const removed = [reply.id];
+  for (let i = 0; i < removed.length; i++) {
+    thread.filter(r => r.parentReplyId === removed[i]).forEach(r => removed.push(r.id));
+  }
+  await replies.deleteMany({ id: { $in: removed } });
+  removed.forEach(id => removeDocument('reply', id));
+  const replyCount = await syncReplyCount(reply.discussionId);
+  return { removed, replyCount };
+};
+
+app.delete('/api/discussions/:id/replies/:replyId', authenticate, async (req, res) => {
+  console.log('📍 DELETE /api/discussions/' + req.params.id + '/replies/' + req.params.replyId);
+  try {
+    const replies = getDB().collection('replies');
+    const reply = await replies.findOne({ id: req.params.replyId });
+    
+    if (!reply || reply.discussionId !== req.params.id) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+    
+    if (reply.authorId !== req.user.id) {
+      console.log('❌ Unauthorized reply delete by:', req.user.id);
+      return res.status(403).json({ error: 'Unauthorized - can only delete own replies' });
+    }
+    
+    const { removed, replyCount } = await deleteReplyThread(reply);
+    
+    console.log('✅ Deleted', removed.length, 'replies from discussion:', reply.discussionId);
+    res.json({ success: true, message: 'Reply deleted successfully', deleted: removed.length, discussionReplies: replyCount });
+  } catch (error) {
+    console.error('❌ Error deleting reply:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== PROJECTS ===============
+const PROJECT_LIST = {
+  filters: { category: 'category', author: 'author', tags: { field: 'tech', array: true } },
+  sorts: {
+    newest: NEWEST,
+    oldest: OLDEST,
+    'most-liked': { field: 'likes', direction: -1 },
+    'most-starred': { field: 'stars', direction: -1 },
+    'most-viewed': { field: 'views', direction: -1 }
+  },
+  defaultSort: 'newest'
+};
+
+// Add the current user's liked/starred flags to each project
+const withReactionFlags = async (req, projects) => {
+  const flags = await userReactions(req.user && req.user.id, 'project', projects.map(p => p.id));
+  return projects.map(project => ({ ...withoutStoreFields(project), ...flags.get(project.id) }));
+};
+
+app.get('/api/projects', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/projects');
+  try {
+    const page = await listPage(getDB().collection('projects'), req.query, PROJECT_LIST, {
+      baseFilter: visibleQuery(req.user)
+    });
+    res.json({ ...page, items: await withReactionFlags(req, page.items) });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching projects:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/projects', authenticate, validateProject, async (req, res) => {
+  console.log('📍 POST /api/projects');
+  try {
+    const project = {
+      id: generateId('proj'),
+      ...validatedBody(req),
+      author: req.user.username,
+      authorId: req.user.id,
+      created: new Date().toISOString(),
+      likes: 0,
+      stars: 0,
+      views: 0
+    };
+    
+    await getDB().collection('projects').insertOne({ ...project });
+    indexDocument('project', project);
+    console.log('✅ Created project:', project.title);
+    res.json(project);
+  } catch (error) {
+    console.error('❌ Error creating project:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:id', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/projects/' + req.params.id);
+  try {
+    const project = await getDB().collection('projects').findOne({ id: req.params.id });
+    
+    if (!project || !canView(req.user, project)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    const [withFlags] = await withReactionFlags(req, [project]);
+    res.json(withFlags);
+  } catch (error) {
+    console.error('❌ Error fetching project:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/projects/:id', authenticate, validateProjectUpdate, async (req, res) => {
+  console.log('📍 PUT /api/projects/' + req.params.id);
+  try {
+    const projects = getDB().collection('projects');
+    const project = await projects.findOne({ id: req.params.id });
+    
+    if (!project) {
+      console.log('❌ Project not found:', req.params.id);
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    if (project.authorId !== req.user.id) {
+      console.log('❌ Unauthorized update attempt by:', req.user.id);
+      return res.status(403).json({ error: 'Unauthorized - can only update own projects' });
+    }
+    
+    // Partial update: only the fields that were sent (and validated) change
+    const changes = validatedBody(req);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+    
+    changes.updated = new Date().toISOString();
+    await projects.updateOne({ id: req.params.id }, { $set: changes });
+    
+    const updated = await projects.findOne({ id: req.params.id });
+    indexDocument('project', updated);
+    console.log('✅ Updated project:', updated.title);
+    res.json(updated);
+  } catch (error) {
+    console.error('❌ Error updating project:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const deleteProject = async (project) => {
+  await getDB().collection('projects').deleteOne({ id: project.id });
+  await clearReactions('project', project.id);
+  removeDocument('project', project.id);
+};
+
+app.delete('/api/projects/:id', authenticate, async (req, res) => {
+  console.log('📍 DELETE /api/projects/' + req.params.id);
+  try {
+    const projects = getDB().collection('projects');
+    const project = await projects.findOne({ id: req.params.id });
+    
+    if (!project) {
+      console.log('❌ Project not found:', req.params.id);
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    
+    if (project.authorId !== req.user.id) {
+      console.log('❌ Unauthorized delete attempt by:', req.user.id);
+      return res.status(403).json({ error: 'Unauthorized - can only delete own projects' });
+    }
+    
+    await deleteProject(project);
+    console.log('✅ Deleted project:', project.title);
+    res.json({ success: true, message: 'Project deleted successfully', project });
+  } catch (error) {
+    console.error('❌ Error deleting project:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== LESSONS ===============
+const LESSON_LIST = {
+  filters: { category: 'category', author: 'author', difficulty: 'difficulty' },
+  sorts: {
+    newest: NEWEST,
+    oldest: OLDEST,
+    'most-completed': { field: 'completions', direction: -1 },
+    'most-viewed': { field: 'views', direction: -1 }
+  },
+  defaultSort: 'newest'
+};
+
+app.get('/api/lessons', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/lessons');
+  try {
+    const page = await listPage(getDB().collection('lessons'), req.query, LESSON_LIST, {
+      baseFilter: visibleQuery(req.user)
+    });
+    res.json({ ...page, items: page.items.map(withoutStoreFields) });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching lessons:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/lessons', authenticate, validateLesson, async (req, res) => {
+  console.log('📍 POST /api/lessons');
+  try {
+    const data = validatedBody(req);
+    
+    if (data.prerequisites && data.prerequisites.length) {
+      data.prerequisites = [...new Set(data.prerequisites)];
+      const found = await getDB().collection('lessons').find({ id: { $in: data.prerequisites } }).toArray();
+      const missing = data.prerequisites.filter(id => !found.some(l => l.id === id));
+      if (missing.length) {
+        return res.status(400).json({ error: 'Unknown prerequisite lessons: ' + missing.join(', ') });
+      }
+    }
+    
+    const lesson = {
+      id: generateId('lesson'),
+      ...data,
+      author: req.user.username,
+      authorId: req.user.id,
+      created: new Date().toISOString(),
+      completions: 0,
+      views: 0
+    };
+    
+    await getDB().collection('lessons').insertOne({ ...lesson });
+    indexDocument('lesson', lesson);
+    console.log('✅ Created lesson:', lesson.title);
+    res.json(lesson);
+  } catch (error) {
+    console.error('❌ Error creating lesson:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a lesson with its quizzes, attempts, learner progress, reactions and search entry,
+// and drop it from other lessons' prerequisites and from learning paths
+const deleteLesson = async (lesson) => {
+  const db = getDB();
+  const quizzes = await db.collection('quizzes').find({ lessonId: lesson.id }).toArray();
+  await db.collection('quizAttempts').deleteMany({ quizId: { $in: quizzes.map(q => q.id) } });
+  await db.collection('quizzes').deleteMany({ lessonId: lesson.id });
+  await db.collection('lessonProgress').deleteMany({ lessonId: lesson.id });
+  await db.collection('lessons').deleteOne({ id: lesson.id });
+  await db.collection('lessons').updateMany({ prerequisites: lesson.id }, { $pull: { prerequisites: lesson.id } });
+  await db.collection('learningPaths').updateMany({ lessonIds: lesson.id }, { $pull: { lessonIds: lesson.id } });
+  await clearReactions('lesson', lesson.id);
+  removeDocument('lesson', lesson.id);
+};
+
+// =============== LESSON PROGRESS ===============
+// Completions count unique learners, so recount instead of incrementing
+const syncCompletionCount = async (lessonId) => {
+  const count = await getDB().collection('lessonProgress').countDocuments({ lessonId, status: 'completed' });
+  await getDB().collection('lessons').updateOne({ id: lessonId }, { $set: { completions: count } });
+  return count;
+};
+
+// Record a learner's progress; once completed, a lesson stays completed
+const saveProgress = async (userId, lesson, percent) => {
+  const progressStore = getDB().collection('lessonProgress');
+  const existing = await progressStore.findOne({ userId, lessonId: lesson.id });
+  const now = new Date().toISOString();
+  
+  if (existing && existing.status === 'completed') {
+    return { progress: existing, newlyCompleted: false };
+  }
+  
+  const completed = percent >= 100;
+  const progress = {
+    ...(existing || { id: generateId('progress'), userId, lessonId: lesson.id, started: now }),
+    percent: Math.max(percent, existing ? existing.percent : 0),
+    status: completed ? 'completed' : 'in-progress',
+    completed: completed ? now : null,
+    updated: now
+  };
+  
+  if (existing) {
+    const { _id, id, ...changes } = progress;
+    await progressStore.updateOne({ id: existing.id }, { $set: changes });
+  } else {
+    await progressStore.insertOne({ ...progress });
+  }
+  
+  if (completed) {
+    await syncCompletionCount(lesson.id);
+  }
+  return { progress, newlyCompleted: completed };
+};
+
+// Mark a lesson completed for a user (idempotent)
+const markLessonComplete = (userId, lesson) => saveProgress(userId, lesson, 100);
+
+const completedLessonIds = async (userId) => {
+  const completed = await getDB().collection('lessonProgress').find({ userId, status: 'completed' }).toArray();
+  return new Set(completed.map(p => p.lessonId));
+};
+
+// Prerequisites of a lesson the user has not completed yet
+const missingPrerequisites = async (userId, lesson) => {
+  const prerequisites = lesson.prerequisites || [];
+  if (prerequisites.length === 0) return [];
+  
+  const completed = await completedLessonIds(userId);
+  return prerequisites.filter(id => !completed.has(id));
+};
+
+const rejectLockedLesson = async (req, res, lesson) => {
+  const missing = await missingPrerequisites(req.user.id, lesson);
+  if (missing.length) {
+    res.status(409).json({ error: 'Complete the prerequisite lessons first', missingPrerequisites: missing });
+    return true;
+  }
+  return false;
+};
+
+const findLesson = async (req, res) => {
+  const lesson = await getDB().collection('lessons').findOne({ id: req.params.id });
+  if (!lesson || !canView(req.user, lesson)) {
+    res.status(404).json({ error: 'Lesson not found' });
+    return null;
+  }
+  return lesson;
+};
+
+app.get('/api/lessons/:id/progress', authenticate, async (req, res) => {
+  console.log('📍 GET /api/lessons/' + req.params.id + '/progress');
+  try {
+    const lesson = await findLesson(req, res);
+    if (!lesson) return;
+    
+    const progress = await getDB().collection('lessonProgress').findOne({ userId: req.user.id, lessonId: lesson.id });
+    res.json(progress || { lessonId: lesson.id, userId: req.user.id, status: 'not-started', percent: 0 });
+  } catch (error) {
+    console.error('❌ Error fetching lesson progress:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/lessons/:id/progress', authenticate, validateProgress, async (req, res) => {
+  console.log('📍 PUT /api/lessons/' + req.params.id + '/progress');
+  try {
+    const lesson = await findLesson(req, res);
+    if (!lesson) return;
+    
+    if (await rejectLockedLesson(req, res, lesson)) return;
+    
+    const { percent } = validatedBody(req);
+    const { progress } = await saveProgress(req.user.id, lesson, percent);
+    res.json(progress);
+  } catch (error) {
+    console.error('❌ Error saving lesson progress:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/lessons/:id/complete', authenticate, async (req, res) => {
+  console.log('📍 POST /api/lessons/' + req.params.id + '/complete');
+  try {
+    const lesson = await findLesson(req, res);
+    if (!lesson) return;
+    
+    if (await rejectLockedLesson(req, res, lesson)) return;
+    
+    const { progress, newlyCompleted } = await markLessonComplete(req.user.id, lesson);
+    if (newlyCompleted) {
+      console.log('✅', req.user.username, 'completed lesson:', lesson.title);
+    }
+    res.json({ success: true, alreadyCompleted: !newlyCompleted, progress });
+  } catch (error) {
+    console.error('❌ Error completing lesson:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dashboard summary for the signed-in learner
+app.get('/api/progress', authenticate, async (req, res) => {
+  console.log('📍 GET /api/progress');
+  try {
+    const progressList = await getDB().collection('lessonProgress')
+      .find({ userId: req.user.id })
+      .sort({ updated: -1 })
+      .toArray();
+    const lessonIds = progressList.map(p => p.lessonId);
+    const lessons = lessonIds.length
+      ? await getDB().collection('lessons').find({ id: { $in: lessonIds } }).toArray()
+      : [];
+    const lessonsById = new Map(lessons.map(l => [l.id, l]));
+    
+    const entries = progressList
+      .filter(p => lessonsById.has(p.lessonId))
+      .map(p => {
+        const lesson = lessonsById.get(p.lessonId);
+        return {
+          lessonId: lesson.id,
+          title: lesson.title,
+          difficulty: lesson.difficulty || null,
+          duration: lesson.duration || 0,
+          status: p.status,
+          percent: p.percent,
+          started: p.started,
+          completed: p.completed,
+          updated: p.updated
+        };
+      });
+    const completed = entries.filter(e => e.status === 'completed');
+    const inProgress = entries.filter(e => e.status !== 'completed');
+    
+    res.json({
+      completed,
+      inProgress,
+      totals: {
+        completedLessons: completed.length,
+        inProgressLessons: inProgress.length,
+        completedMinutes: completed.reduce((sum, e) => sum + e.duration, 0),
+        totalMinutes: entries.reduce((sum, e) => sum + Math.round(e.duration * e.percent / 100), 0)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error building progress dashboard:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== QUIZZES ===============
+const DEFAULT_PASSING_SCORE = 70;
+
+// Shared lookup for author-only quiz changes
+const findOwnedQuiz = async (req, res) => {
+  const quiz = await getDB().collection('quizzes').findOne({ id: req.params.id });
+  if (!quiz) {
+    res.status(404).json({ error: 'Quiz not found' });
+    return null;
+  }
+  if (quiz.authorId !== req.user.id) {
+    console.log('❌ Unauthorized quiz change by:', req.user.id);
+    res.status(403).json({ error: 'Unauthorized - can only change quizzes on your own lessons' });
+    return null;
+  }
+  return quiz;
+};
+
+app.get('/api/lessons/:id/quizzes', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/lessons/' + req.params.id + '/quizzes');
+  try {
+    const lesson = await getDB().collection('lessons').findOne({ id: req.params.id });
+    if (!lesson || !canView(req.user, lesson)) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    
+    const quizzes = await getDB().collection('quizzes').find({ lessonId: req.params.id }).sort({ created: 1 }).toArray();
+    res.json(quizzes.map(toPublicQuiz));
+  } catch (error) {
+    console.error('❌ Error fetching quizzes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/lessons/:id/quizzes', authenticate, validateQuiz, async (req, res) => {
+  console.log('📍 POST /api/lessons/' + req.params.id + '/quizzes');
+  try {
+    const lesson = await findLesson(req, res);
+    if (!lesson) return;
+    
+    if (lesson.authorId !== req.user.id) {
+      return res.status(403).json({ error: 'Only the lesson author can add quizzes' });
+    }
+    
+    const data = validatedBody(req);
+    const { questions, errors } = normalizeQuestions(data.questions);
+    if (errors.length) {
+      return res.status(400).json({ errors });
+    }
+    
+    const quiz = {
+      id: generateId('quiz'),
+      lessonId: lesson.id,
+      title: data.title,
+      passingScore: data.passingScore || DEFAULT_PASSING_SCORE,
+      questions,
+      author: req.user.username,
+      authorId: req.user.id,
+      created: new Date().toISOString()
+    };
+    
+    await getDB().collection('quizzes').insertOne({ ...quiz });
+    console.log('✅ Created quiz:', quiz.title, 'for lesson:', lesson.title);
+    res.status(201).json(quiz);
+  } catch (error) {
+    console.error('❌ Error creating quiz:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/quizzes/:id', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/quizzes/' + req.params.id);
+  try {
+    const quiz = await getDB().collection('quizzes').findOne({ id: req.params.id });
+    const lesson = quiz && await getDB().collection('lessons').findOne({ id: quiz.lessonId });
+    if (!quiz || !lesson || !canView(req.user, lesson)) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    
+    res.json(toPublicQuiz(quiz));
+  } catch (error) {
+    console.error('❌ Error fetching quiz:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/quizzes/:id', authenticate, validateQuizUpdate, async (req, res) => {
+  console.log('📍 PUT /api/quizzes/' + req.params.id);
+  try {
+    const quiz = await findOwnedQuiz(req, res);
+    if (!quiz) return;
+    
+    const changes = validatedBody(req);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+    
+    if (changes.questions) {
+      const { questions, errors } = normalizeQuestions(changes.questions);
+      if (errors.length) {
+        return res.status(400).json({ errors });
+      }
+      changes.questions = questions;
+    }
+    
+    changes.updated = new Date().toISOString();
+    await getDB().collection('quizzes').updateOne({ id: quiz.id }, { $set: changes });
+    
+    const { _id, ...updated } = { ...quiz, ...changes };
+    res.json(updated);
+  } catch (error) {
+    console.error('❌ Error updating quiz:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/quizzes/:id', authenticate, async (req, res) => {
+  console.log('📍 DELETE /api/quizzes/' + req.params.id);
+  try {
+    const quiz = await findOwnedQuiz(req, res);
+    if (!quiz) return;
+    
+    await getDB().collection('quizzes').deleteOne({ id: quiz.id });
+    await getDB().collection('quizAttempts').deleteMany({ quizId: quiz.id });
+    res.json({ success: true, message: 'Quiz deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting quiz:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/quizzes/:id/submit', authenticate, validateQuizSubmission, async (req, res) => {
+  console.log('📍 POST /api/quizzes/' + req.params.id + '/submit');
+  try {
+    const quiz = await getDB().collection('quizzes').findOne({ id: req.params.id });
+    if (!quiz) {
+      return res.status(404).json({ error: 'Quiz not found' });
+    }
+    
+    const lesson = await getDB().collection('lessons').findOne({ id: quiz.lessonId });
+    if (!lesson || !canView(req.user, lesson)) {
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    
+    if (await rejectLockedLesson(req, res, lesson)) return;
+    
+    const { answers } = validatedBody(req);
+    const grade = gradeQuiz(quiz, answers);
+    
+    const attempt = {
+      id: generateId('attempt'),
+      quizId: quiz.id,
+      lessonId: lesson.id,
+      userId: req.user.id,
+      answers,
+      ...grade,
+      created: new Date().toISOString()
+    };
+    await getDB().collection('quizAttempts').insertOne({ ...attempt });
+    
+    // A passing score completes the lesson (and counts towards completions)
+    let lessonCompleted = false;
+    if (grade.passed) {
+      const { newlyCompleted } = await markLessonComplete(req.user.id, lesson);
+      lessonCompleted = true;
+      if (newlyCompleted) {
+        console.log('✅', req.user.username, 'completed lesson via quiz:', lesson.title);
+      }
+    }
+    
+    console.log('📝 Quiz attempt by', req.user.username, '-', grade.percent + '%');
+    res.status(201).json({ ...attempt, passingScore: quiz.passingScore, lessonCompleted });
+  } catch (error) {
+    console.error('❌ Error grading quiz:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/quizzes/:id/attempts', authenticate, async (req, res) => {
+  console.log('📍 GET /api/quizzes/' + req.params.id + '/attempts');
+  try {
+    const attempts = await getDB().collection('quizAttempts')
+      .find({ quizId: req.params.id, userId: req.user.id })
+      .sort({ created: -1 })
+      .toArray();
+    res.json({
+      attempts: attempts.map(withoutStoreFields),
+      bestPercent: attempts.reduce((best, a) => Math.max(best, a.percent), 0),
+      passed: attempts.some(a => a.passed)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching quiz attempts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== LEARNING PATHS ===============
+// Find a prerequisite cycle reachable from the given lessons, as a list of ids
+const findPrerequisiteCycle = (startIds, lessonsById) => {
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  
+  const visit = (id) => {
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'visiting') return [...stack.slice(stack.indexOf(id)), id];
+    
+    state.set(id, 'visiting');
+    stack.push(id);
+    const lesson = lessonsById.get(id);
+    for (const prerequisite of (lesson && lesson.prerequisites) || []) {
+      const cycle = visit(prerequisite);
+      if (cycle) return cycle;
+    }
+    stack.pop();
+    state.set(id, 'done');
+    return null;
+  };
+  
+  for (const id of startIds) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+};
+
+// Check that a lesson sequence exists, has no cycles and lists prerequisites first.
+// Returns an error message, or null when the order is valid.
+const checkPathOrder = async (lessonIds) => {
+  if (new Set(lessonIds).size !== lessonIds.length) {
+    return 'A lesson can only appear once in a learning path';
+  }
+  
+  const lessons = await getDB().collection('lessons').find({}).toArray();
+  const lessonsById = new Map(lessons.map(l => [l.id, l]));
+  
+  const unknown = lessonIds.filter(id => !lessonsById.has(id));
+  if (unknown.length) {
+    return 'Unknown lessons: ' + unknown.join(', ');
+  }
+  
+  const cycle = findPrerequisiteCycle(lessonIds, lessonsById);
+  if (cycle) {
+    return 'Lesson prerequisites form a cycle: ' + cycle.join(' -> ');
+  }
+  
+  for (const [index, id] of lessonIds.entries()) {
+    for (const prerequisite of lessonsById.get(id).prerequisites || []) {
+      const position = lessonIds.indexOf(prerequisite);
+      if (position === -1 || position > index) {
+        return `Lesson ${id} requires ${prerequisite}, which must come earlier in the path`;
+      }
+    }
+  }
+  return null;
+};
+
+const findOwnedPath = async (req, res) => {
+  const path = await getDB().collection('learningPaths').findOne({ id: req.params.id });
+  if (!path) {
+    res.status(404).json({ error: 'Learning path not found' });
+    return null;
+  }
+  if (path.authorId !== req.user.id) {
+    console.log('❌ Unauthorized learning path change by:', req.user.id);
+    res.status(403).json({ error: 'Unauthorized - can only change own learning paths' });
+    return null;
+  }
+  return path;
+};
+
+const LEARNING_PATH_LIST = {
+  filters: { author: 'author', difficulty: 'difficulty' },
+  sorts: { newest: NEWEST, oldest: OLDEST },
+  defaultSort: 'newest'
+};
+
+app.get('/api/learning-paths', async (req, res) => {
+  console.log('📍 GET /api/learning-paths');
+  try {
+    const page = await listPage(getDB().collection('learningPaths'), req.query, LEARNING_PATH_LIST);
+    res.json({ ...page, items: page.items.map(withoutStoreFields) });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching learning paths:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/learning-paths/:id', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/learning-paths/' + req.params.id);
+  try {
+    const path = await getDB().collection('learningPaths').findOne({ id: req.params.id });
+    if (!path) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+    
+    // Expand lesson ids into lesson summaries, keeping the path's order
+    const lessons = await getDB().collection('lessons').find({ id: { $in: path.lessonIds } }).toArray();
+    const lessonsById = new Map(lessons.filter(l => canView(req.user, l)).map(l => [l.id, l]));
+    res.json({
+      ...withoutStoreFields(path),
+      lessons: path.lessonIds
+        .filter(id => lessonsById.has(id))
+        .map(id => {
+          const { content, ...summary } = withoutStoreFields(lessonsById.get(id));
+          return summary;
+        })
+    });
+  } catch (error) {
+    console.error('❌ Error fetching learning path:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/learning-paths', authenticate, validateLearningPath, async (req, res) => {
+  console.log('📍 POST /api/learning-paths');
+  try {
+    const data = validatedBody(req);
+    
+    const orderError = await checkPathOrder(data.lessonIds);
+    if (orderError) {
+      return res.status(400).json({ error: orderError });
+    }
+    
+    const path = {
+      id: generateId('path'),
+      ...data,
+      author: req.user.username,
+      authorId: req.user.id,
+      created: new Date().toISOString()
+    };
+    
+    await getDB().collection('learningPaths').insertOne({ ...path });
+    console.log('✅ Created learning path:', path.title);
+    res.status(201).json(path);
+  } catch (error) {
+    console.error('❌ Error creating learning path:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/learning-paths/:id', authenticate, validateLearningPathUpdate, async (req, res) => {
+  console.log('📍 PUT /api/learning-paths/' + req.params.id);
+  try {
+    const path = await findOwnedPath(req, res);
+    if (!path) return;
+    
+    const changes = validatedBody(req);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+    
+    if (changes.lessonIds) {
+      const orderError = await checkPathOrder(changes.lessonIds);
+      if (orderError) {
+        return res.status(400).json({ error: orderError });
+      }
+    }
+    
+    changes.updated = new Date().toISOString();
+    await getDB().collection('learningPaths').updateOne({ id: path.id }, { $set: changes });
+    
+    console.log('✅ Updated learning path:', path.id);
+    res.json({ ...path, ...changes });
+  } catch (error) {
+    console.error('❌ Error updating learning path:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/learning-paths/:id', authenticate, async (req, res) => {
+  console.log('📍 DELETE /api/learning-paths/' + req.params.id);
+  try {
+    const path = await findOwnedPath(req, res);
+    if (!path) return;
+    
+    await getDB().collection('learningPaths').deleteOne({ id: path.id });
+    console.log('✅ Deleted learning path:', path.title);
+    res.json({ success: true, message: 'Learning path deleted successfully' });
+  } catch (error) {
+    console.error('❌ Error deleting learning path:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Where the signed-in learner stands on a path and which lesson is next
+app.get('/api/learning-paths/:id/progress', authenticate, async (req, res) => {
+  console.log('📍 GET /api/learning-paths/' + req.params.id + '/progress');
+  try {
+    const path = await getDB().collection('learningPaths').findOne({ id: req.params.id });
+    if (!path) {
+      return res.status(404).json({ error: 'Learning path not found' });
+    }
+    
+    const completed = await completedLessonIds(req.user.id);
+    const lessons = await getDB().collection('lessons').find({ id: { $in: path.lessonIds } }).toArray();
+    const lessonsById = new Map(lessons.filter(l => canView(req.user, l)).map(l => [l.id, l]));
+    
+    const steps = path.lessonIds
+      .filter(id => lessonsById.has(id))
+      .map(id => {
+        const lesson = lessonsById.get(id);
+        const unlocked = (lesson.prerequisites || []).every(p => completed.has(p));
+        return {
+          lessonId: id,
+          title: lesson.title,
+          status: completed.has(id) ? 'completed' : unlocked ? 'unlocked' : 'locked'
+        };
+      });
+    const next = steps.find(step => step.status === 'unlocked') || null;
+    const done = steps.filter(step => step.status === 'completed').length;
+    
+    res.json({
+      pathId: path.id,
+      lessons: steps,
+      completedLessons: done,
+      totalLessons: steps.length,
+      percent: steps.length ? Math.round(done / steps.length * 100) : 0,
+      nextLesson: next
+    });
+  } catch (error) {
+    console.error('❌ Error fetching learning path progress:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== ROOMS ===============
+const DEFAULT_MAX_PARTICIPANTS = 10;
+
+const generateInviteCode = () => crypto.randomBytes(4).toString('hex');
+
+// Only the owner gets to see a private room's invite code
+const toPublicRoom = (room, user) => {
+  const { inviteCode, ...publicRoom } = withoutStoreFields(room);
+  return user && user.id === room.ownerId ? withoutStoreFields(room) : publicRoom;
+};
+
+// Shared lookup for owner-only room actions
+const findOwnedRoom = async (req, res) => {
+  const room = await getDB().collection('rooms').findOne({ id: req.params.id });
+  if (!room) {
+    res.status(404).json({ error: 'Room not found' });
+    return null;
+  }
+  if (room.ownerId !== req.user.id) {
+    console.log('❌ Unauthorized room action by:', req.user.id);
+    res.status(403).json({ error: 'Only the room owner can do this' });
+    return null;
+  }
+  return room;
+};
+
+const ROOM_LIST = {
+  filters: { category: 'category', author: 'owner', status: 'status' },
+  sorts: { newest: NEWEST, oldest: OLDEST },
+  defaultSort: 'newest'
+};
+
+app.get('/api/rooms', optionalAuth, async (req, res) => {
+  console.log('📍 GET /api/rooms');
+  try {
+    const page = await listPage(getDB().collection('rooms'), req.query, ROOM_LIST, {
+      baseFilter: visibleQuery(req.user)
+    });
+    res.json({ ...page, items: page.items.map(room => toPublicRoom(room, req.user)) });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching rooms:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/rooms', authenticate, validateRoom, async (req, res) => {
+  console.log('📍 POST /api/rooms');
+  try {
+    const data = validatedBody(req);
+    const room = {
+      id: generateId('room'),
+      ...data,
+      maxParticipants: data.maxParticipants || DEFAULT_MAX_PARTICIPANTS,
+      isPrivate: Boolean(data.isPrivate),
+      inviteCode: data.isPrivate ? generateInviteCode() : null,
+      status: 'active',
+      owner: req.user.username,
+      ownerId: req.user.id,
+      created: new Date().toISOString(),
+      participants: [req.user.id]
+    };
+    
+    await getDB().collection('rooms').insertOne({ ...room });
+    console.log('✅ Created room:', room.name);
+    res.json(room);
+  } catch (error) {
+    console.error('❌ Error creating room:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/rooms/:id/messages', authenticate, async (req, res) => {
+  console.log('📍 GET /api/rooms/' + req.params.id + '/messages');
+  try {
+    const room = await getDB().collection('rooms').findOne({ id: req.params.id });
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!(room.participants || []).includes(req.user.id)) {
+      return res.status(403).json({ error: 'Only room members can read the chat history' });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const messages = await getDB().collection('roomMessages')
+      .find({ roomId: room.id })
+      .sort({ created: -1 })
+      .toArray();
+    
+    res.json(messages
+      .filter(m => !req.query.before || m.created < req.query.before)
+      .slice(0, limit)
+      .reverse()
+      .map(withoutStoreFields));
+  } catch (error) {
+    console.error('❌ Error fetching room messages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/rooms/:id/join', authenticate, async (req, res) => {
+  console.log('📍 PUT /api/rooms/' + req.params.id + '/join');
+  try {
+    const rooms = getDB().collection('rooms');
+    const room = await rooms.findOne({ id: req.params.id });
+    
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    const participants = room.participants || [];
+    if (participants.includes(req.user.id)) {
+      return res.json(toPublicRoom(room, req.user));
+    }
+    
+    if (room.status === 'closed') {
+      return res.status(409).json({ error: 'This room is closed' });
+    }
+    
+    if (room.isPrivate && room.ownerId !== req.user.id) {
+      const { inviteCode } = req.body || {};
+      if (!inviteCode || inviteCode !== room.inviteCode) {
+        console.log('❌ Invalid invite code for room:', room.name);
+        return res.status(403).json({ error: 'A valid invite code is required to join this room' });
+      }
+    }
+    
+    // Check capacity and add the user in one update, so simultaneous joins
+    // cannot take the room past maxParticipants
+    const capacity = room.maxParticipants || DEFAULT_MAX_PARTICIPANTS;
+    const updated = await rooms.findOneAndUpdate(
+      {
+        id: room.id,
+        status: { $ne: 'closed' },
+        participants: { $ne: req.user.id },
+        ['participants.' + (capacity - 1)]: { $exists: false }
+      },
+      { $addToSet: { participants: req.user.id } }
+    );
+    if (!updated) {
+      console.log('❌ Room is full:', room.name);
+      return res.status(409).json({ error: 'This room is full' });
+    }
+    
+    await notify(room.ownerId, 'room-join', {
+      actor: req.user,
+      target: { type: 'room', id: room.id, title: room.name }
+    });
+    console.log('✅', req.user.username, 'joined room:', room.name);
+    res.json(toPublicRoom(updated, req.user));
+  } catch (error) {
+    console.error('❌ Error joining room:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/rooms/:id/leave', authenticate, async (req, res) => {
+  console.log('📍 PUT /api/rooms/' + req.params.id + '/leave');
+  try {
+    const rooms = getDB().collection('rooms');
+    const room = await rooms.findOne({ id: req.params.id });
+    
+    if (!room) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+    
+    if (room.ownerId === req.user.id) {
+      return res.status(400).json({ error: 'Transfer ownership or close the room before leaving' });
+    }
+    
+    const updated = await rooms.findOneAndUpdate({ id: room.id }, { $pull: { participants: req.user.id } });
+    removeUserFromRoom(room.id, req.user.id, 'left');
+    
+    console.log('✅', req.user.username, 'left room:', room.name);
+    res.json(toPublicRoom(updated, req.user));
+  } catch (error) {
+    console.error('❌ Error leaving room:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/rooms/:id/participants/:userId', authenticate, async (req, res) => {
+  console.log('📍 DELETE /api/rooms/' + req.params.id + '/participants/' + req.params.userId);
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+    
+    if (req.params.userId === room.ownerId) {
+      return res.status(400).json({ error: 'The owner cannot be removed from the room' });
+    }
+    
+    const participants = room.participants || [];
+    if (!participants.includes(req.params.userId)) {
+      return res.status(404).json({ error: 'User is not in this room' });
+    }
+    
+    const updated = await getDB().collection('rooms').findOneAndUpdate(
+      { id: room.id },
+      { $pull: { participants: req.params.userId } }
+    );
+    removeUserFromRoom(room.id, req.params.userId);
+    
+    console.log('✅ Removed', req.params.userId, 'from room:', room.name);
+    res.json(updated);
+  } catch (error) {
+    console.error('❌ Error removing participant:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/rooms/:id/owner', authenticate, async (req, res) => {
+  console.log('📍 PUT /api/rooms/' + req.params.id + '/owner');
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+    
+    const { userId } = req.body || {};
+    if (!userId || !(room.participants || []).includes(userId)) {
+      return res.status(400).json({ error: 'Ownership can only be transferred to a current participant' });
+    }
+    
+    const newOwner = await getDB().collection('users').findOne({ id: userId });
+    if (!newOwner) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const changes = { ownerId: newOwner.id, owner: newOwner.username };
+    await getDB().collection('rooms').updateOne({ id: room.id }, { $set: changes });
+    
+    console.log('✅ Room', room.name, 'transferred to:', newOwner.username);
+    res.json(toPublicRoom({ ...room, ...changes }, req.user));
+  } catch (error) {
+    console.error('❌ Error transferring room ownership:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/rooms/:id/close', authenticate, async (req, res) => {
+  console.log('📍 PUT /api/rooms/' + req.params.id + '/close');
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+    
+    const changes = { status: 'closed', closed: new Date().toISOString() };
+    await getDB().collection('rooms').updateOne({ id: room.id }, { $set: changes });
+    closeRoomChannel(room.id);
+    
+    console.log('✅ Closed room:', room.name);
+    res.json({ ...room, ...changes });
+  } catch (error) {
+    console.error('❌ Error closing room:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/rooms/:id/invite-code', authenticate, async (req, res) => {
+  console.log('📍 POST /api/rooms/' + req.params.id + '/invite-code');
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+    
+    if (!room.isPrivate) {
+      return res.status(400).json({ error: 'Only private rooms use invite codes' });
+    }
+    
+    const inviteCode = generateInviteCode();
+    await getDB().collection('rooms').updateOne({ id: room.id }, { $set: { inviteCode } });
+    
+    res.json({ success: true, inviteCode });
+  } catch (error) {
+    console.error('❌ Error regenerating invite code:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite a user by username; for private rooms the notification carries the invite code
+app.post('/api/rooms/:id/invite', authenticate, async (req, res) => {
+  console.log('📍 POST /api/rooms/' + req.params.id + '/invite');
+  try {
+    const room = await findOwnedRoom(req, res);
+    if (!room) return;
+    
+    if (room.status === 'closed') {
+      return res.status(409).json({ error: 'This room is closed' });
+    }
+    
+    const { username } = req.body || {};
+    const invitee = typeof username === 'string' && await findUserByUsername(username);
+    if (!invitee) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if ((room.participants || []).includes(invitee.id)) {
+      return res.status(409).json({ error: 'User is already in this room' });
+    }
+    
+    await notify(invitee.id, 'room-invite', {
+      actor: req.user,
+      target: { type: 'room', id: room.id, title: room.name },
+      data: room.isPrivate ? { inviteCode: room.inviteCode } : {}
+    });
+    
+    console.log('✅', req.user.username, 'invited', invitee.username, 'to room:', room.name);
+    res.json({ success: true, invited: invitee.username });
+  } catch (error) {
+    console.error('❌ Error inviting to room:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== LIKES, STARS AND VIEWS ===============
+// Hidden content is only found by moderators and its author
+const findTarget = async (targetType, req, res) => {
+  const target = await getDB().collection(TARGETS[targetType].collection).findOne({ id: req.params.id });
+  if (!target || !canView(req.user, target)) {
+    res.status(404).json({ error: targetType.charAt(0).toUpperCase() + targetType.slice(1) + ' not found' });
+    return null;
+  }
+  return target;
+};
+
+const REACTION_FIELDS = {
+  like: { flag: 'liked', counter: 'likes' },
+  star: { flag: 'starred', counter: 'stars' }
+};
+
+// PUT adds the reaction, DELETE takes it back; both are safe to repeat
+const reactionRoute = (kind, add) => async (req, res) => {
+  console.log('📍', req.method, req.path);
+  try {
+    const project = await findTarget('project', req, res);
+    if (!project) return;
+    
+    const change = add ? addReaction : removeReaction;
+    const { added, count } = await change(req.user.id, 'project', project.id, kind);
+    if (added) {
+      await notify(project.authorId, kind, {
+        actor: req.user,
+        target: { type: 'project', id: project.id, title: project.title }
+      });
+    }
+    const { flag, counter } = REACTION_FIELDS[kind];
+    res.json({ success: true, [flag]: add, [counter]: count });
+  } catch (error) {
+    console.error('❌ Error updating ' + kind + ':', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.put('/api/projects/:id/like', authenticate, reactionRoute('like', true));
+app.delete('/api/projects/:id/like', authenticate, reactionRoute('like', false));
+app.put('/api/projects/:id/star', authenticate, reactionRoute('star', true));
+app.delete('/api/projects/:id/star', authenticate, reactionRoute('star', false));
+
+// Count a view once per signed-in user (or per address for anonymous visitors)
+const viewRoute = (targetType) => async (req, res) => {
+  console.log('📍 POST', req.path);
+  try {
+    const target = await findTarget(targetType, req, res);
+    if (!target) return;
+    
+    const { added, count } = await addReaction(viewerKey(req), targetType, target.id, 'view');
+    res.json({ success: true, counted: added, views: count });
+  } catch (error) {
+    console.error('❌ Error recording view:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.post('/api/projects/:id/view', optionalAuth, viewRoute('project'));
+app.post('/api/discussions/:id/view', optionalAuth, viewRoute('discussion'));
+app.post('/api/lessons/:id/view', optionalAuth, viewRoute('lesson'));
+
+// Projects the signed-in user has starred (same paging, filters and sorts as /api/projects)
+app.get('/api/users/me/starred', authenticate, async (req, res) => {
+  console.log('📍 GET /api/users/me/starred');
+  try {
+    const starred = await reactedTargetIds(req.user.id, 'project', 'star');
+    const page = await listPage(getDB().collection('projects'), req.query, PROJECT_LIST, {
+      baseFilter: { id: { $in: starred }, ...visibleQuery(req.user) }
+    });
+    res.json({ ...page, items: await withReactionFlags(req, page.items) });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching starred projects:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== MODERATION ===============
+const REPORT_LIST = {
+  filters: { status: 'status', type: 'targetType', reason: 'reason' },
+  sorts: { oldest: OLDEST, newest: NEWEST },
+  defaultSort: 'oldest'
+};
+
+const deleteRoom = async (room) => {
+  closeRoomChannel(room.id);
+  await getDB().collection('rooms').deleteOne({ id: room.id });
+  await getDB().collection('roomMessages').deleteMany({ roomId: room.id });
+};
+
+// How a moderator deletes each kind of content (same clean-up as the owner's delete)
+const MODERATOR_DELETE = {
+  discussion: deleteDiscussion,
+  reply: deleteReplyThread,
+  project: deleteProject,
+  lesson: deleteLesson,
+  room: deleteRoom
+};
+
+// Shared lookup for moderator content actions
+const findModeratedContent = async (req, res) => {
+  if (!REPORTABLE[req.params.type]) {
+    res.status(400).json({ error: 'type must be one of: ' + Object.keys(REPORTABLE).join(', ') });
+    return null;
+  }
+  const target = await findReportTarget(req.params.type, req.params.id);
+  if (!target) {
+    res.status(404).json({ error: 'Content not found' });
+    return null;
+  }
+  return target;
+};
+
+app.post('/api/reports', authenticate, validateReport, async (req, res) => {
+  console.log('📍 POST /api/reports');
+  try {
+    const { targetType, targetId, reason, details } = validatedBody(req);
+    
+    const target = await findReportTarget(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({ error: 'Content not found' });
+    }
+    
+    // One open report per user and item
+    const reports = getDB().collection('reports');
+    const existing = await reports.findOne({ targetType, targetId, reporterId: req.user.id, status: 'open' });
+    if (existing) {
+      return res.status(409).json({ error: 'You have already reported this' });
+    }
+    
+    const report = {
+      id: generateId('report'),
+      targetType,
+      targetId,
+      reporterId: req.user.id,
+      reporter: req.user.username,
+      reason,
+      details: details || '',
+      status: 'open',
+      created: new Date().toISOString()
+    };
+    await reports.insertOne({ ...report });
+    
+    console.log('🚩 Report filed:', targetType, targetId, 'for', reason);
+    res.status(201).json(report);
+  } catch (error) {
+    console.error('❌ Error filing report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Report queue, oldest open reports first, each with the reported item attached
+app.get('/api/moderation/reports', authenticate, requireModerator, async (req, res) => {
+  console.log('📍 GET /api/moderation/reports');
+  try {
+    const query = { status: 'open', ...req.query };
+    if (!REPORT_STATUSES.includes(query.status)) {
+      return res.status(400).json({ error: 'status must be one of: ' + REPORT_STATUSES.join(', ') });
+    }
+    
+    const page = await listPage(getDB().collection('reports'), query, REPORT_LIST);
+    const items = await Promise.all(page.items.map(async ({ _id, createdAt, ...report }) => {
+      const target = await findReportTarget(report.targetType, report.targetId);
+      return { ...report, target: target ? withoutStoreFields(target) : null };
+    }));
+    
+    res.json({ ...page, items });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching reports:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/moderation/reports/:id/dismiss', authenticate, requireModerator, async (req, res) => {
+  console.log('📍 PUT /api/moderation/reports/' + req.params.id + '/dismiss');
+  try {
+    const reports = getDB().collection('reports');
+    const report = await reports.findOne({ id: req.params.id });
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+    if (report.status !== 'open') {
+      return res.status(409).json({ error: 'This report has already been handled' });
+    }
+    
+    const changes = { status: 'dismissed', resolvedBy: req.user.id, resolvedAt: new Date().toISOString() };
+    await reports.updateOne({ id: report.id }, { $set: changes });
+    res.json({ ...report, ...changes });
+  } catch (error) {
+    console.error('❌ Error dismissing report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hide or restore an item; either way its open reports are resolved
+const setHiddenRoute = (hidden) => async (req, res) => {
+  console.log('📍 PUT /api/moderation/content/' + req.params.type + '/' + req.params.id + (hidden ? '/hide' : '/restore'));
+  try {
+    const target = await findModeratedContent(req, res);
+    if (!target) return;
+    
+    const now = new Date().toISOString();
+    const reason = typeof (req.body || {}).reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    const changes = {
+      hidden,
+      moderation: hidden
+        ? { action: 'hidden', by: req.user.id, at: now, reason }
+        : { action: 'restored', by: req.user.id, at: now, reason }
+    };
+    
+    const collection = getDB().collection(REPORTABLE[req.params.type]);
+    await collection.updateOne({ id: target.id }, { $set: changes });
+    const resolved = await resolveReports(req.params.type, target.id, req.user, hidden ? 'hidden' : 'restored');
+    
+    const updated = { ...target, ...changes };
+    if (SEARCH_TYPES.includes(req.params.type)) indexDocument(req.params.type, updated);
+    
+    console.log('🛡️', req.user.username, hidden ? 'hid' : 'restored', req.params.type, target.id);
+    res.json({ success: true, hidden, resolvedReports: resolved });
+  } catch (error) {
+    console.error('❌ Error changing content visibility:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+app.put('/api/moderation/content/:type/:id/hide', authenticate, requireModerator, setHiddenRoute(true));
+app.put('/api/moderation/content/:type/:id/restore', authenticate, requireModerator, setHiddenRoute(false));
+
+app.delete('/api/moderation/content/:type/:id', authenticate, requireModerator, async (req, res) => {
+  console.log('📍 DELETE /api/moderation/content/' + req.params.type + '/' + req.params.id);
+  try {
+    const target = await findModeratedContent(req, res);
+    if (!target) return;
+    
+    await MODERATOR_DELETE[req.params.type](target);
+    const resolved = await resolveReports(req.params.type, target.id, req.user, 'deleted');
+    
+    console.log('🛡️', req.user.username, 'deleted', req.params.type, target.id);
+    res.json({ success: true, deleted: true, resolvedReports: resolved });
+  } catch (error) {
+    console.error('❌ Error deleting content:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Moderators may act on members; only admins may act on other staff
+const findModeratedUser = async (req, res) => {
+  const user = await findUserByUsername(req.params.username);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (user.id === req.user.id) {
+    res.status(400).json({ error: 'You cannot do this to your own account' });
+    return null;
+  }
+  if (isModerator(user) && !isAdmin(req.user)) {
+    res.status(403).json({ error: 'Only admins can act on moderators and admins' });
+    return null;
+  }
+  return user;
+};
+
+// Suspend with { reason, days }; without days the suspension lasts until lifted
+app.put('/api/moderation/users/:username/suspend', authenticate, requireModerator, async (req, res) => {
+  console.log('📍 PUT /api/moderation/users/' + req.params.username + '/suspend');
+  try {
+    const user = await findModeratedUser(req, res);
+    if (!user) return;
+    
+    const { reason, days } = req.body || {};
+    if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 3650)) {
+      return res.status(400).json({ error: 'days must be a whole number between 1 and 3650' });
+    }
+    
+    const now = new Date();
+    const suspended = {
+      by: req.user.id,
+      at: now.toISOString(),
+      until: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString() : null,
+      reason: typeof reason === 'string' ? reason.trim().slice(0, 500) : ''
+    };
+    await getDB().collection('users').updateOne({ id: user.id }, { $set: { suspended } });
+    await revokeAllSessions(user.id);
+    disconnectUser(user.id);
+    
+    console.log('🛡️', req.user.username, 'suspended', user.username, suspended.until ? 'until ' + suspended.until : 'indefinitely');
+    res.json({ success: true, username: user.username, suspended });
+  } catch (error) {
+    console.error('❌ Error suspending user:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/moderation/users/:username/unsuspend', authenticate, requireModerator, async (req, res) => {
+  console.log('📍 PUT /api/moderation/users/' + req.params.username + '/unsuspend');
+  try {
+    const user = await findModeratedUser(req, res);
+    if (!user) return;
+    
+    await getDB().collection('users').updateOne({ id: user.id }, { $set: { suspended: null } });
+    console.log('🛡️', req.user.username, 'lifted the suspension of', user.username);
+    res.json({ success: true, username: user.username, suspended: null });
+  } catch (error) {
+    console.error('❌ Error lifting suspension:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/moderation/users/:username/role', authenticate, requireAdmin, async (req, res) => {
+  console.log('📍 PUT /api/moderation/users/' + req.params.username + '/role');
+  try {
+    const { role } = req.body || {};
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: 'role must be one of: ' + ROLES.join(', ') });
+    }
+    
+    const user = await findModeratedUser(req, res);
+    if (!user) return;
+    
+    await getDB().collection('users').updateOne({ id: user.id }, { $set: { role } });
+    console.log('🛡️', req.user.username, 'made', user.username, role);
+    res.json({ success: true, username: user.username, role });
+  } catch (error) {
+    console.error('❌ Error changing role:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== NOTIFICATIONS ===============
+const NOTIFICATION_LIST = {
+  filters: { type: 'type' },
+  sorts: { newest: NEWEST, oldest: OLDEST },
+  defaultSort: 'newest'
+};
+
+app.get('/api/notifications', authenticate, async (req, res) => {
+  console.log('📍 GET /api/notifications');
+  try {
+    const page = await listPage(getDB().collection('notifications'), req.query, NOTIFICATION_LIST, {
+      baseFilter: req.query.unread === 'true'
+        ? { userId: req.user.id, read: { $ne: true } }
+        : { userId: req.user.id }
+    });
+    res.json({
+      ...page,
+      items: page.items.map(toPublicNotification),
+      unread: await unreadCount(req.user.id)
+    });
+  } catch (error) {
+    if (error instanceof ListQueryError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error fetching notifications:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// EventSource cannot send headers, so the stream also accepts ?token=<accessToken>
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = 'Bearer ' + req.query.token;
+  }
+  next();
+};
+
+app.get('/api/notifications/stream', tokenFromQuery, authenticate, async (req, res) => {
+  console.log('📍 GET /api/notifications/stream -', req.user.username);
+  try {
+    await subscribe(req.user.id, res);
+  } catch (error) {
+    console.error('❌ Error opening notification stream:', error);
+    if (!res.headersSent) res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/notifications/preferences', authenticate, (req, res) => {
+  res.json({ types: NOTIFICATION_TYPES, muted: req.user.mutedNotifications || [] });
+});
+
+app.put('/api/notifications/preferences', authenticate, async (req, res) => {
+  console.log('📍 PUT /api/notifications/preferences');
+  try {
+    const { muted } = req.body || {};
+    if (!Array.isArray(muted) || muted.some(type => !NOTIFICATION_TYPES.includes(type))) {
+      return res.status(400).json({ error: 'muted must be a list of: ' + NOTIFICATION_TYPES.join(', ') });
+    }
+    
+    const mutedNotifications = [...new Set(muted)];
+    await getDB().collection('users').updateOne({ id: req.user.id }, { $set: { mutedNotifications } });
+    res.json({ types: NOTIFICATION_TYPES, muted: mutedNotifications });
+  } catch (error) {
+    console.error('❌ Error saving notification preferences:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/notifications/read-all', authenticate, async (req, res) => {
+  console.log('📍 PUT /api/notifications/read-all');
+  try {
+    const updated = await markAllRead(req.user.id);
+    res.json({ success: true, updated, unread: 0 });
+  } catch (error) {
+    console.error('❌ Error marking notifications read:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/notifications/:id/read', authenticate, async (req, res) => {
+  console.log('📍 PUT /api/notifications/' + req.params.id + '/read');
+  try {
+    const notification = await markRead(req.user.id, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+    res.json({ ...notification, unread: await unreadCount(req.user.id) });
+  } catch (error) {
+    console.error('❌ Error marking notification read:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// =============== SEARCH ===============
+const MAX_SEARCH_RESULTS = 50;
+
+app.get('/api/search', optionalAuth, async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  console.log('📍 GET /api/search - q:', q);
+  
+  if (!q || q.length > 200) {
+    return res.status(400).json({ error: 'q must be between 1 and 200 characters' });
+  }
+  
+  const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean) : SEARCH_TYPES;
+  const unknown = types.filter(t => !SEARCH_TYPES.includes(t));
+  if (unknown.length) {
+    return res.status(400).json({ error: 'type must be one or more of: ' + SEARCH_TYPES.join(', ') });
+  }
+  
+  const limit = req.query.limit === undefined ? 20 : parseInt(req.query.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+    return res.status(400).json({ error: `limit must be between 1 and ${MAX_SEARCH_RESULTS}` });
+  }
+  
+  try {
+    const { results, total } = await searchContent(q, { types, limit, includeHidden: isModerator(req.user) });
+    console.log('✅ Search returned', results.length, 'of', total, 'matches');
+    res.json({ query: q, types, results, total });
+  } catch (error) {
+    console.error('❌ Error searching:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Catch all other routes
+app.use((req, res) => {
+  console.log('📍 Unknown route accessed:', req.path);
+  res.status(404).json({ 
+    error: 'Route not found', 
+    path: req.path,
+    available_endpoints: ['/api/health', '/api/test', '/api/discussions', '/api/projects', '/api/lessons', '/api/rooms', '/api/search']
+  });
+});
+
+// Error handler
+app.use((err, req, res, next) => {
+  console.error('🚨 Error:', err);
+  res.status(500).json({ error: 'Server error' });
+});
+
+// Connect storage, seed defaults, then start listening
+const start = async () => {
+  await connectDB();
+  await seedData();
+
+  const counts = await getDataCounts();
+  const server = app.listen(PORT, () => {
+    console.log('🎉 AI Learning Hub Backend running on port', PORT);
+    console.log('🌐 Version: v2.0');
+    console.log('💾 Storage:', getStorageType());
+    console.log('📊 Initial data counts:');
+    console.log('   - Discussions:', counts.discussions);
+    console.log('   - Projects:', counts.projects);
+    console.log('   - Lessons:', counts.lessons);
+    console.log('   - Rooms:', counts.rooms);
+  });
+  
+  // Live room presence and chat share the HTTP server
+  attachRealtime(server);
+  return server;
+};
+
+if (require.main === module) {
+  start().catch(error => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { app, start };
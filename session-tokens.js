@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getDB } = require('./db');
+
+// Access tokens are short-lived JWTs tied to a server-side session.
+// Refresh tokens are opaque, stored hashed, and rotated on every refresh.
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL, 10) || 15 * 60; // seconds
+const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL, 10) || 30 * 24 * 60 * 60; // seconds
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET not set - using a random secret, tokens will not survive a restart');
+}
+
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = (sessionId) => sessionId + '.' + crypto.randomBytes(32).toString('hex');
+
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign({ sid: sessionId, username: user.username }, secret, {
+    subject: String(user.id),
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+const buildTokenResponse = (user, sessionId, refreshToken) => ({
+  accessToken: signAccessToken(user, sessionId),
+  refreshToken,
+  tokenType: 'Bearer',
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Start a new session for a user and return its token pair
+const issueSession = async (user, meta = {}) => {
+  const sessionId = 'sess_' + crypto.randomBytes(16).toString('hex');
+  const refreshToken = newRefreshToken(sessionId);
+  const now = Date.now();
+
+  await getDB().collection('sessions').insertOne({
+    id: sessionId,
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: meta.userAgent || null,
+    ip: meta.ip || null,
+    created: new Date(now).toISOString(),
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL * 1000).toISOString(),
+    revokedAt: null
+  });
+
+  return buildTokenResponse(user, sessionId, refreshToken);
+};
+
+const findActiveSession = async (sessionId) => {
+  const session = await getDB().collection('sessions').findOne({ id: sessionId });
+  if (!session || session.revokedAt) return null;
+  if (new Date(session.expiresAt).getTime() <= Date.now()) return null;
+  return session;
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token
+const refreshSession = async (refreshToken) => {
+  if (typeof refreshToken !== 'string' || !refreshToken.includes('.')) {
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const sessionId = refreshToken.split('.')[0];
+  const session = await findActiveSession(sessionId);
+  if (!session) {
+    throw new TokenError('Session expired or revoked');
+  }
+
+  const presented = Buffer.from(hashToken(refreshToken));
+  const expected = Buffer.from(session.refreshTokenHash);
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    // An old refresh token was replayed - treat the session as compromised
+    await revokeSession(sessionId);
+    throw new TokenError('Refresh token has already been used');
+  }
+
+  const user = await getDB().collection('users').findOne({ id: session.userId });
+  if (!user) {
+    await revokeSession(sessionId);
+    throw new TokenError('User no longer exists');
+  }
+
+  const rotated = newRefreshToken(sessionId);
+  await getDB().collection('sessions').updateOne(
+    { id: sessionId },
+    { $set: { refreshTokenHash: hashToken(rotated), lastRefreshed: new Date().toISOString() } }
+  );
+
+  return { user, tokens: buildTokenResponse(user, sessionId, rotated) };
+};
+
+const revokeSession = async (sessionId) => {
+  await getDB().collection('sessions').updateOne(
+    { id: sessionId },
+    { $set: { revokedAt: new Date().toISOString() } }
+  );
+};
+
+const revokeAllSessions = async (userId) => {
+  const sessions = await getDB().collection('sessions').find({ userId }).toArray();
+  for (const session of sessions.filter(s => !s.revokedAt)) {
+    await revokeSession(session.id);
+  }
+};
+
+// Verify an access token's signature, expiry and backing session
+const verifyAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (error) {
+    throw new TokenError(error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+  }
+
+  const session = await findActiveSession(payload.sid);
+  if (!session || String(session.userId) !== payload.sub) {
+    throw new TokenError('Session expired or revoked');
+  }
+
+  return { userId: session.userId, sessionId: session.id };
+};
+
+// User id from a validly signed access token, without the session lookup.
+// Only for cheap decisions such as rate-limit keys - never for authorization.
+const peekAccessToken = (token) => {
+  try {
+    return jwt.verify(token, secret).sub || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  TokenError,
+  issueSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  peekAccessToken
+};
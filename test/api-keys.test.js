@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// API keys: managed with a signed-in session, used with the x-api-key header.
+describe('api keys', () => {
+  let app;
+  let owner;
+  let other;
+
+  const createKey = async (body) => {
+    const response = await app.request('POST', '/api/auth/api-keys', { token: owner.token, body });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body.apiKey;
+  };
+
+  const withKey = (method, path, key, body) => app.request(method, path, { headers: { 'x-api-key': key }, body });
+
+  const newDiscussion = { title: 'From a script', content: 'Body', category: 'general' };
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.register('owner_keys');
+    other = await app.register('other_keys');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('shows the key once and stores only its hash', async () => {
+    const apiKey = await createKey({ name: 'CI' });
+    assert.match(apiKey.key, /^ai_hub_[0-9a-f]{48}$/);
+    assert.equal(apiKey.scope, 'write');
+
+    const list = await app.request('GET', '/api/auth/api-keys', { token: owner.token });
+    const listed = list.body.find(key => key.id === apiKey.id);
+    assert.equal(listed.name, 'CI');
+    assert.equal(listed.key, undefined);
+    assert.ok(apiKey.key.endsWith(listed.preview.slice(-4)));
+
+    const stored = await require('../db').getDB().collection('apiKeys').findOne({ id: apiKey.id });
+    assert.ok(!JSON.stringify(stored).includes(apiKey.key));
+  });
+
+  it('lets write keys change data as their owner and records when they were used', async () => {
+    const apiKey = await createKey({ name: 'Writer' });
+    const created = await withKey('POST', '/api/discussions', apiKey.key, newDiscussion);
+    assert.equal(created.status, 200);
+    assert.equal(created.body.authorId, owner.user.id);
+
+    const list = await app.request('GET', '/api/auth/api-keys', { token: owner.token });
+    assert.ok(list.body.find(key => key.id === apiKey.id).lastUsed);
+  });
+
+  it('keeps read keys to reading', async () => {
+    const apiKey = await createKey({ name: 'Reader', scope: 'read' });
+    assert.equal((await withKey('GET', '/api/users/me', apiKey.key)).status, 200);
+
+    const write = await withKey('POST', '/api/discussions', apiKey.key, newDiscussion);
+    assert.equal(write.status, 403);
+    assert.match(write.body.error, /read-only/);
+  });
+
+  it('changes scope and name', async () => {
+    const apiKey = await createKey({ name: 'Temporary', scope: 'read' });
+    const updated = await app.request('PATCH', `/api/auth/api-keys/${apiKey.id}`, {
+      token: owner.token, body: { name: 'Promoted', scope: 'write' }
+    });
+    assert.deepEqual([updated.body.apiKey.name, updated.body.apiKey.scope], ['Promoted', 'write']);
+    assert.equal((await withKey('POST', '/api/discussions', apiKey.key, newDiscussion)).status, 200);
+  });
+
+  it('replaces the secret on rotation', async () => {
+    const apiKey = await createKey({ name: 'Rotated' });
+    const rotated = await app.request('POST', `/api/auth/api-keys/${apiKey.id}/rotate`, { token: owner.token });
+    assert.equal(rotated.body.apiKey.id, apiKey.id);
+    assert.notEqual(rotated.body.apiKey.key, apiKey.key);
+
+    assert.equal((await withKey('GET', '/api/users/me', apiKey.key)).status, 401);
+    assert.equal((await withKey('GET', '/api/users/me', rotated.body.apiKey.key)).status, 200);
+  });
+
+  it('stops working once revoked', async () => {
+    const apiKey = await createKey({ name: 'Revoked' });
+    assert.equal((await app.request('DELETE', `/api/auth/api-keys/${apiKey.id}`, { token: owner.token })).status, 200);
+    assert.equal((await withKey('GET', '/api/users/me', apiKey.key)).status, 401);
+
+    const list = await app.request('GET', '/api/auth/api-keys', { token: owner.token });
+    assert.ok(list.body.every(key => key.id !== apiKey.id));
+  });
+
+  it('only lets owners manage their keys, and only with a session', async () => {
+    const apiKey = await createKey({ name: 'Private' });
+    const token = other.token;
+    assert.equal((await app.request('PATCH', `/api/auth/api-keys/${apiKey.id}`, { token, body: { name: 'Mine' } })).status, 404);
+    assert.equal((await app.request('POST', `/api/auth/api-keys/${apiKey.id}/rotate`, { token })).status, 404);
+    assert.equal((await app.request('DELETE', `/api/auth/api-keys/${apiKey.id}`, { token })).status, 404);
+
+    const fromKey = await withKey('POST', '/api/auth/api-keys', apiKey.key, { name: 'Spawned' });
+    assert.equal(fromKey.status, 401);
+  });
+
+  it('rejects unknown scopes', async () => {
+    const response = await app.request('POST', '/api/auth/api-keys', { token: owner.token, body: { scope: 'admin' } });
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startApp } = require('./support');
+
+// Registration, sign-in and sessions.
+describe('auth', () => {
+  let app;
+
+  const login = (username, password = 'Secret123') => app.request('POST', '/api/auth/login', { body: { username, password } });
+
+  before(async () => {
+    app = await startApp();
+    await app.register('Ada_Auth');
+    await app.register('Grace_Auth');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  describe('accounts', () => {
+    it('sign in by username or email, in any case', async () => {
+      for (const name of ['Ada_Auth', 'ada_auth', 'ada_auth@example.com', 'ADA_AUTH@EXAMPLE.COM']) {
+        const response = await login(name);
+        assert.equal(response.status, 200, name);
+        assert.equal(response.body.user.username, 'Ada_Auth');
+      }
+      assert.equal((await login('ada_aut')).status, 401);
+      assert.equal((await login('ada.auth')).status, 401);
+    });
+
+    it('cannot reuse a username or email in another case', async () => {
+      const sameName = await app.request('POST', '/api/auth/register', {
+        body: { username: 'ADA_AUTH', email: 'other_auth@example.com', password: 'Secret123' }
+      });
+      assert.equal(sameName.status, 400);
+      assert.match(sameName.body.error, /Username already taken/);
+
+      const sameEmail = await app.request('POST', '/api/auth/register', {
+        body: { username: 'other_auth', email: 'Ada_Auth@Example.com', password: 'Secret123' }
+      });
+      assert.equal(sameEmail.status, 400);
+      assert.match(sameEmail.body.error, /email already exists/);
+    });
+
+    it('look accounts up without listing every user', async () => {
+      const db = require('../db').getDB();
+      const collection = db.collection;
+      let listed = 0;
+      db.collection = (name) => {
+        const opened = collection.call(db, name);
+        if (name !== 'users') return opened;
+        return {
+          ...opened,
+          find: (...args) => {
+            listed++;
+            return opened.find(...args);
+          }
+        };
+      };
+      try {
+        assert.equal((await login('ada_auth@example.com')).status, 200);
+        await app.register('Lin_Auth');
+      } finally {
+        delete db.collection;
+      }
+      assert.equal(listed, 0);
+    });
+  });
+
+  describe('sessions', () => {
+    const me = (token) => app.request('GET', '/api/users/me', { token });
+    const refresh = (refreshToken) => app.request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+    it('issue an expiring access token and a refresh token', async () => {
+      const { status, body } = await login('Ada_Auth');
+      assert.equal(status, 200);
+      assert.equal(body.tokenType, 'Bearer');
+      assert.equal(body.expiresIn, 900);
+      assert.equal(jwt.decode(body.accessToken).sub, body.user.id);
+      assert.equal((await me(body.accessToken)).body.username, 'Ada_Auth');
+    });
+
+    it('take identity from the token, never from the body', async () => {
+      const ada = (await login('Ada_Auth')).body;
+      const grace = (await login('Grace_Auth')).body;
+
+      const anonymous = await app.request('POST', '/api/discussions', {
+        body: { title: 'Anonymous', content: 'Body', category: 'general', userId: ada.user.id }
+      });
+      assert.equal(anonymous.status, 401);
+
+      const created = await app.request('POST', '/api/discussions', {
+        token: grace.accessToken, body: { title: 'Mine', content: 'Body', category: 'general', userId: ada.user.id }
+      });
+      assert.equal(created.body.authorId, grace.user.id);
+
+      const deleted = await app.request('DELETE', `/api/discussions/${created.body.id}`, {
+        token: ada.accessToken, body: { userId: grace.user.id }
+      });
+      assert.equal(deleted.status, 403);
+    });
+
+    it('reject tokens that are tampered with, expired or signed with another secret', async () => {
+      const { accessToken, user } = (await login('Ada_Auth')).body;
+      const { sid } = jwt.decode(accessToken);
+      const forged = [
+        accessToken.slice(0, -2) + (accessToken.endsWith('AA') ? 'BB' : 'AA'),
+        jwt.sign({ sid }, 'test-secret', { subject: user.id, expiresIn: -10 }),
+        jwt.sign({ sid }, 'another-secret', { subject: user.id, expiresIn: 60 }),
+        jwt.sign({ sid: 'sess_unknown' }, 'test-secret', { subject: user.id, expiresIn: 60 })
+      ];
+      for (const token of forged) {
+        assert.equal((await me(token)).status, 401);
+      }
+    });
+
+    it('rotate the refresh token on every refresh', async () => {
+      const first = (await login('Ada_Auth')).body;
+      const second = await refresh(first.refreshToken);
+      assert.equal(second.status, 200);
+      assert.notEqual(second.body.refreshToken, first.refreshToken);
+      assert.equal((await me(second.body.accessToken)).status, 200);
+      assert.equal((await refresh(second.body.refreshToken)).status, 200);
+    });
+
+    it('revoke the session when an old refresh token is replayed', async () => {
+      const first = (await login('Ada_Auth')).body;
+      const second = (await refresh(first.refreshToken)).body;
+
+      const replayed = await refresh(first.refreshToken);
+      assert.equal(replayed.status, 401);
+      assert.match(replayed.body.error, /already been used/);
+
+      assert.equal((await refresh(second.refreshToken)).status, 401);
+      assert.equal((await me(second.accessToken)).status, 401);
+    });
+
+    it('end one session, or all of them, on logout', async () => {
+      const first = (await login('Ada_Auth')).body;
+      const second = (await login('Ada_Auth')).body;
+      const third = (await login('Ada_Auth')).body;
+
+      assert.equal((await app.request('POST', '/api/auth/logout', { token: first.accessToken })).status, 200);
+      assert.equal((await me(first.accessToken)).status, 401);
+      assert.equal((await refresh(first.refreshToken)).status, 401);
+      assert.equal((await me(second.accessToken)).status, 200);
+
+      await app.request('POST', '/api/auth/logout', { token: second.accessToken, body: { all: true } });
+      assert.equal((await me(second.accessToken)).status, 401);
+      assert.equal((await me(third.accessToken)).status, 401);
+      assert.equal((await refresh(third.refreshToken)).status, 401);
+    });
+  });
+});
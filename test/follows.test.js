@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Following people and the feed of what they write.
+describe('follows and feed', () => {
+  let app;
+  let reader;
+  let writer;
+  let other;
+  const written = {};
+
+  before(async () => {
+    app = await startApp();
+    reader = await app.register('reader_feed');
+    writer = await app.register('writer_feed');
+    other = await app.register('other_feed');
+
+    const post = async (user, path, body) => {
+      const response = await app.request('POST', path, { token: user.token, body });
+      assert.ok(response.status < 300, JSON.stringify(response.body));
+      return response.body;
+    };
+    written.project = await post(writer, '/api/projects', { title: 'Robot arm', description: 'Servo control' });
+    written.discussion = await post(writer, '/api/discussions', { title: 'Servo jitter', content: 'Why?', category: 'help' });
+    written.reply = await post(writer, `/api/discussions/${written.discussion.id}/reply`, { content: 'Found it' });
+    written.lesson = await post(writer, '/api/lessons', { title: 'PID basics', content: 'Body', difficulty: 'beginner' });
+    written.unfollowed = await post(other, '/api/discussions', { title: 'Not followed', content: 'Body', category: 'general' });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('follows once and counts followers', async () => {
+    const first = await app.request('PUT', '/api/users/writer_feed/follow', { token: reader.token });
+    const again = await app.request('PUT', '/api/users/writer_feed/follow', { token: reader.token });
+    assert.equal(first.body.followers, 1);
+    assert.equal(again.body.followers, 1);
+
+    const followers = await app.request('GET', '/api/users/writer_feed/followers');
+    assert.deepEqual(followers.body.items.map(user => user.username), ['reader_feed']);
+    const following = await app.request('GET', '/api/users/reader_feed/following');
+    assert.deepEqual(following.body.items.map(user => user.username), ['writer_feed']);
+  });
+
+  it('does not let users follow themselves', async () => {
+    const response = await app.request('PUT', '/api/users/reader_feed/follow', { token: reader.token });
+    assert.equal(response.status, 400);
+  });
+
+  it('shows everything followed users wrote, newest first', async () => {
+    const feed = await app.request('GET', '/api/feed', { token: reader.token });
+    assert.equal(feed.status, 200);
+    assert.equal(feed.body.total, 4);
+    assert.deepEqual(
+      feed.body.items.map(item => item.id).sort(),
+      ['project', 'discussion', 'reply', 'lesson'].map(type => written[type].id).sort()
+    );
+    const created = feed.body.items.map(item => item.created);
+    assert.deepEqual(created, [...created].sort().reverse());
+  });
+
+  it('pages the feed across content types', async () => {
+    const all = await app.request('GET', '/api/feed?limit=100', { token: reader.token });
+    const ids = [];
+    let cursor = '';
+    do {
+      const page = await app.request('GET', '/api/feed?limit=1' + (cursor && '&cursor=' + cursor), { token: reader.token });
+      assert.equal(page.body.items.length, 1);
+      ids.push(page.body.items[0].id);
+      cursor = page.body.nextCursor;
+    } while (cursor);
+    assert.deepEqual(ids, all.body.items.map(item => item.id));
+  });
+
+  it('filters the feed by type', async () => {
+    const feed = await app.request('GET', '/api/feed?type=reply', { token: reader.token });
+    assert.deepEqual(feed.body.items.map(item => item.id), [written.reply.id]);
+    assert.equal(feed.body.items[0].discussionId, written.discussion.id);
+    assert.equal(feed.body.total, 1);
+  });
+
+  it('rejects bad cursors with a 400', async () => {
+    const feed = await app.request('GET', '/api/feed?cursor=bogus', { token: reader.token });
+    assert.equal(feed.status, 400);
+  });
+
+  it('shows the same entries as the author\'s activity', async () => {
+    const feed = await app.request('GET', '/api/feed', { token: reader.token });
+    const activity = await app.request('GET', '/api/users/writer_feed/activity');
+    assert.deepEqual(activity.body.items, feed.body.items);
+  });
+
+  it('is empty again after unfollowing', async () => {
+    await app.request('DELETE', '/api/users/writer_feed/follow', { token: reader.token });
+    const feed = await app.request('GET', '/api/feed', { token: reader.token });
+    assert.deepEqual(feed.body.items, []);
+    assert.equal(feed.body.total, 0);
+  });
+});
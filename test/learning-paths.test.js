@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Learning paths: ordered lessons, checked against their prerequisites.
+describe('learning paths', () => {
+  let app;
+  let author;
+  let learner;
+  let basics;
+  let layers;
+  let training;
+
+  const createLesson = async (title, prerequisites = []) => {
+    const response = await app.request('POST', '/api/lessons', {
+      token: author.token, body: { title, content: 'Body', difficulty: 'beginner', prerequisites }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  const createPath = (lessonIds, user = author) => app.request('POST', '/api/learning-paths', {
+    token: user.token, body: { title: 'Neural networks', difficulty: 'beginner', lessonIds }
+  });
+
+  before(async () => {
+    app = await startApp();
+    author = await app.register('author_path');
+    learner = await app.register('learner_path');
+    basics = await createLesson('Basics');
+    layers = await createLesson('Layers', [basics.id]);
+    training = await createLesson('Training', [layers.id]);
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('keep their lessons in order', async () => {
+    const created = await createPath([basics.id, layers.id, training.id]);
+    assert.equal(created.status, 201);
+
+    const fetched = await app.request('GET', `/api/learning-paths/${created.body.id}`);
+    assert.deepEqual(fetched.body.lessons.map(lesson => lesson.title), ['Basics', 'Layers', 'Training']);
+    assert.equal(fetched.body.lessons[0].content, undefined);
+  });
+
+  it('need prerequisites to come first', async () => {
+    const response = await createPath([layers.id, basics.id]);
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /must come earlier/);
+    assert.match((await createPath([layers.id])).body.error, /must come earlier/);
+  });
+
+  it('reject unknown and repeated lessons', async () => {
+    assert.match((await createPath([basics.id, 'lesson_missing'])).body.error, /Unknown lessons: lesson_missing/);
+    assert.match((await createPath([basics.id, basics.id])).body.error, /only appear once/);
+    assert.equal((await createPath([])).status, 400);
+  });
+
+  it('reject lessons whose prerequisites form a cycle', async () => {
+    const first = await createLesson('Chicken');
+    const second = await createLesson('Egg', [first.id]);
+    await require('../db').getDB().collection('lessons').updateOne({ id: first.id }, { $set: { prerequisites: [second.id] } });
+
+    const response = await createPath([first.id, second.id]);
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /form a cycle/);
+  });
+
+  it('report each lesson as locked, unlocked or completed, and the next one', async () => {
+    const path = (await createPath([basics.id, layers.id, training.id])).body;
+    const progress = () => app.request('GET', `/api/learning-paths/${path.id}/progress`, { token: learner.token });
+
+    let report = (await progress()).body;
+    assert.deepEqual(report.lessons.map(step => step.status), ['unlocked', 'locked', 'locked']);
+    assert.equal(report.nextLesson.lessonId, basics.id);
+
+    const locked = await app.request('POST', `/api/lessons/${layers.id}/complete`, { token: learner.token });
+    assert.equal(locked.status, 409);
+    assert.deepEqual(locked.body.missingPrerequisites, [basics.id]);
+
+    await app.request('POST', `/api/lessons/${basics.id}/complete`, { token: learner.token });
+    report = (await progress()).body;
+    assert.deepEqual(report.lessons.map(step => step.status), ['completed', 'unlocked', 'locked']);
+    assert.equal(report.nextLesson.lessonId, layers.id);
+    assert.equal(report.percent, 33);
+  });
+
+  it('can only be changed or deleted by their author', async () => {
+    const path = (await createPath([basics.id])).body;
+    const update = (user, body) => app.request('PUT', `/api/learning-paths/${path.id}`, { token: user.token, body });
+
+    assert.equal((await update(learner, { title: 'Mine' })).status, 403);
+    assert.equal((await app.request('DELETE', `/api/learning-paths/${path.id}`, { token: learner.token })).status, 403);
+
+    assert.equal((await update(author, { lessonIds: [training.id, basics.id] })).status, 400);
+    const updated = await update(author, { lessonIds: [basics.id, layers.id] });
+    assert.deepEqual(updated.body.lessonIds, [basics.id, layers.id]);
+
+    assert.equal((await app.request('DELETE', `/api/learning-paths/${path.id}`, { token: author.token })).status, 200);
+    assert.equal((await app.request('GET', `/api/learning-paths/${path.id}`)).status, 404);
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Hidden and deleted content, as seen by members, authors and moderators.
+describe('moderation', () => {
+  let app;
+  let author;
+  let member;
+  let moderator;
+
+  const createLesson = async (title, extra = {}) => {
+    const lesson = await app.request('POST', '/api/lessons', {
+      token: author.token, body: { title, content: 'Body', difficulty: 'beginner', ...extra }
+    });
+    assert.equal(lesson.status, 200, JSON.stringify(lesson.body));
+    return lesson.body;
+  };
+
+  const moderate = (method, path) => app.request(method, '/api/moderation/content/' + path, {
+    token: moderator.token, body: { reason: 'Spam' }
+  });
+
+  before(async () => {
+    app = await startApp();
+    author = await app.register('author_mod');
+    member = await app.register('member_mod');
+    moderator = await app.register('moderator_mod');
+    await app.setRole(moderator, 'moderator');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('only lets moderators hide content', async () => {
+    const discussion = await app.request('POST', '/api/discussions', {
+      token: author.token, body: { title: 'Protected', content: 'Body', category: 'general' }
+    });
+    const response = await app.request('PUT', `/api/moderation/content/discussion/${discussion.body.id}/hide`, {
+      token: member.token
+    });
+    assert.equal(response.status, 403);
+  });
+
+  describe('hidden discussions', () => {
+    let discussionId;
+
+    before(async () => {
+      const discussion = await app.request('POST', '/api/discussions', {
+        token: author.token, body: { title: 'Hidden thread', content: 'Body', category: 'general' }
+      });
+      discussionId = discussion.body.id;
+      assert.equal((await moderate('PUT', `discussion/${discussionId}/hide`)).status, 200);
+    });
+
+    it('are left out of lists for members but not for moderators', async () => {
+      const forMember = await app.request('GET', '/api/discussions', { token: member.token });
+      assert.ok(forMember.body.items.every(item => item.id !== discussionId));
+
+      const forModerator = await app.request('GET', '/api/discussions', { token: moderator.token });
+      assert.ok(forModerator.body.items.some(item => item.id === discussionId));
+    });
+
+    it('cannot be read or replied to by members', async () => {
+      const replies = await app.request('GET', `/api/discussions/${discussionId}/replies`, { token: member.token });
+      assert.equal(replies.status, 404);
+
+      const reply = await app.request('POST', `/api/discussions/${discussionId}/reply`, {
+        token: member.token, body: { content: 'Still here?' }
+      });
+      assert.equal(reply.status, 404);
+    });
+
+    it('can still be replied to by their author', async () => {
+      const reply = await app.request('POST', `/api/discussions/${discussionId}/reply`, {
+        token: author.token, body: { content: 'Fixing it' }
+      });
+      assert.equal(reply.status, 201);
+    });
+  });
+
+  describe('hidden lessons', () => {
+    let lesson;
+    let quizId;
+
+    before(async () => {
+      lesson = await createLesson('Hidden lesson');
+      const quiz = await app.request('POST', `/api/lessons/${lesson.id}/quizzes`, {
+        token: author.token,
+        body: { title: 'Check', questions: [{ type: 'multiple-choice', prompt: 'Pick', options: ['a', 'b'], answer: 0 }] }
+      });
+      assert.equal(quiz.status, 201);
+      quizId = quiz.body.id;
+      assert.equal((await moderate('PUT', `lesson/${lesson.id}/hide`)).status, 200);
+    });
+
+    it('hide their progress routes from members', async () => {
+      const token = member.token;
+      assert.equal((await app.request('GET', `/api/lessons/${lesson.id}/progress`, { token })).status, 404);
+      assert.equal((await app.request('PUT', `/api/lessons/${lesson.id}/progress`, { token, body: { percent: 50 } })).status, 404);
+      assert.equal((await app.request('POST', `/api/lessons/${lesson.id}/complete`, { token })).status, 404);
+    });
+
+    it('hide their quizzes from members', async () => {
+      const token = member.token;
+      assert.equal((await app.request('GET', `/api/lessons/${lesson.id}/quizzes`, { token })).status, 404);
+      assert.equal((await app.request('GET', `/api/quizzes/${quizId}`, { token })).status, 404);
+      const submitted = await app.request('POST', `/api/quizzes/${quizId}/submit`, { token, body: { answers: { q1: 0 } } });
+      assert.equal(submitted.status, 404);
+    });
+
+    it('stay available to moderators and come back when restored', async () => {
+      assert.equal((await app.request('GET', `/api/quizzes/${quizId}`, { token: moderator.token })).status, 200);
+
+      assert.equal((await moderate('PUT', `lesson/${lesson.id}/restore`)).status, 200);
+      assert.equal((await app.request('GET', `/api/quizzes/${quizId}`, { token: member.token })).status, 200);
+    });
+  });
+
+  describe('deleted lessons', () => {
+    it('are removed from prerequisites and learning paths', async () => {
+      const basics = await createLesson('Basics');
+      const advanced = await createLesson('Advanced', { prerequisites: [basics.id] });
+      const path = await app.request('POST', '/api/learning-paths', {
+        token: author.token, body: { title: 'Track', difficulty: 'beginner', lessonIds: [basics.id, advanced.id] }
+      });
+      assert.equal(path.status, 201, JSON.stringify(path.body));
+
+      const locked = await app.request('POST', `/api/lessons/${advanced.id}/complete`, { token: member.token });
+      assert.equal(locked.status, 409);
+
+      assert.equal((await moderate('DELETE', `lesson/${basics.id}`)).status, 200);
+
+      const completed = await app.request('POST', `/api/lessons/${advanced.id}/complete`, { token: member.token });
+      assert.equal(completed.status, 200);
+
+      const updated = await app.request('GET', `/api/learning-paths/${path.body.id}`);
+      assert.deepEqual(updated.body.lessonIds, [advanced.id]);
+    });
+
+    it('take their quizzes with them', async () => {
+      const lesson = await createLesson('Short lived');
+      const quiz = await app.request('POST', `/api/lessons/${lesson.id}/quizzes`, {
+        token: author.token,
+        body: { title: 'Gone', questions: [{ type: 'numeric', prompt: '2 + 2', answer: { value: 4 } }] }
+      });
+      assert.equal((await moderate('DELETE', `lesson/${lesson.id}`)).status, 200);
+      assert.equal((await app.request('GET', `/api/quizzes/${quiz.body.id}`)).status, 404);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Notifications for replies, mentions, reactions and rooms, and reading them.
+describe('notifications', () => {
+  let app;
+  let ada;
+  let bob;
+  let cy;
+
+  const inbox = async (user, query = '') => (await app.request('GET', '/api/notifications' + query, { token: user.token })).body;
+
+  const types = async (user) => (await inbox(user)).items.map(item => item.type);
+
+  const clear = (user) => app.request('PUT', '/api/notifications/read-all', { token: user.token });
+
+  const post = async (user, path, body) => {
+    const response = await app.request('POST', path, { token: user.token, body });
+    assert.ok(response.status < 300, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  before(async () => {
+    app = await startApp();
+    ada = await app.register('ada_ntf');
+    bob = await app.register('bob_ntf');
+    cy = await app.register('cy_ntf');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('tell authors about replies and people about mentions, once each', async () => {
+    const discussion = await post(ada, '/api/discussions', { title: 'Ask @cy_ntf', content: 'Anyone?', category: 'help' });
+    assert.deepEqual(await types(cy), []);
+
+    await post(bob, `/api/discussions/${discussion.id}/reply`, { content: 'Yes @ADA_NTF and @cy_ntf and @nobody_ntf' });
+    const [reply] = (await inbox(ada)).items;
+    assert.equal(reply.type, 'reply');
+    assert.deepEqual(reply.actor, { id: bob.user.id, username: 'bob_ntf' });
+    assert.deepEqual(reply.target, { type: 'discussion', id: discussion.id, title: 'Ask @cy_ntf' });
+    assert.deepEqual(await types(ada), ['reply']);
+    assert.deepEqual(await types(cy), ['mention']);
+    assert.deepEqual(await types(bob), []);
+  });
+
+  it('tell owners about likes and stars, but not about their own', async () => {
+    const project = await post(ada, '/api/projects', { title: 'Agent', description: 'Plays games' });
+    await clear(ada);
+    await app.request('PUT', `/api/projects/${project.id}/like`, { token: bob.token });
+    await app.request('PUT', `/api/projects/${project.id}/star`, { token: bob.token });
+    await app.request('PUT', `/api/projects/${project.id}/like`, { token: ada.token });
+
+    const { items, unread } = await inbox(ada, '?unread=true');
+    assert.deepEqual(items.map(item => item.type).sort(), ['like', 'star']);
+    assert.equal(unread, 2);
+  });
+
+  it('tell room owners about joins and invitees about invites', async () => {
+    const room = await post(ada, '/api/rooms', { name: 'Reading group', isPrivate: true });
+    await app.request('POST', `/api/rooms/${room.id}/invite`, { token: ada.token, body: { username: 'BOB_NTF' } });
+    const [invite] = (await inbox(bob)).items;
+    assert.equal(invite.type, 'room-invite');
+    assert.equal(invite.data.inviteCode, room.inviteCode);
+
+    await clear(ada);
+    await app.request('PUT', `/api/rooms/${room.id}/join`, { token: bob.token, body: { inviteCode: room.inviteCode } });
+    assert.deepEqual((await inbox(ada, '?unread=true')).items.map(item => item.type), ['room-join']);
+  });
+
+  it('skip muted types', async () => {
+    const preferences = await app.request('PUT', '/api/notifications/preferences', { token: cy.token, body: { muted: ['mention'] } });
+    assert.deepEqual(preferences.body.muted, ['mention']);
+    assert.equal((await app.request('PUT', '/api/notifications/preferences', { token: cy.token, body: { muted: ['email'] } })).status, 400);
+
+    await clear(cy);
+    await post(bob, '/api/discussions', { title: 'Hey @cy_ntf', content: 'Ping @cy_ntf', category: 'general' });
+    await post(bob, '/api/discussions', { title: 'Hey', content: 'Ping @cy_ntf', category: 'general' });
+    assert.equal((await inbox(cy, '?unread=true')).items.length, 0);
+  });
+
+  it('are marked read one at a time or all together, by their owner only', async () => {
+    const discussion = await post(bob, '/api/discussions', { title: 'Readme', content: 'Body', category: 'general' });
+    await clear(bob);
+    await post(ada, `/api/discussions/${discussion.id}/reply`, { content: 'One' });
+    await post(cy, `/api/discussions/${discussion.id}/reply`, { content: 'Two' });
+
+    const { items, unread } = await inbox(bob, '?unread=true');
+    assert.equal(unread, 2);
+    assert.equal((await app.request('PUT', `/api/notifications/${items[0].id}/read`, { token: ada.token })).status, 404);
+
+    const read = await app.request('PUT', `/api/notifications/${items[0].id}/read`, { token: bob.token });
+    assert.deepEqual([read.body.read, read.body.unread], [true, 1]);
+
+    const all = await clear(bob);
+    assert.equal(all.body.updated, 1);
+    assert.equal((await inbox(bob)).unread, 0);
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support');
+const { MemoryDB } = require('../db-memory');
+const { listPage, mergedPage } = require('../pagination');
+
+// Cursor pagination over one collection (listPage) and over several (mergedPage).
+const LIST = {
+  filters: { category: 'category', tags: { field: 'tags', array: true } },
+  sorts: {
+    newest: { field: 'created', direction: -1 },
+    popular: { field: 'views', direction: -1 },
+    title: { field: 'title', direction: 1 }
+  },
+  defaultSort: 'newest'
+};
+
+// Seven items, some sharing a view count and some without a category
+const ITEMS = Array.from({ length: 7 }, (_, i) => ({
+  id: 'p' + i,
+  title: 'Item ' + (6 - i),
+  category: i % 3 === 0 ? undefined : (i % 2 ? 'nlp' : 'robotics'),
+  tags: i % 2 ? ['js', 'ml'] : ['js'],
+  views: [5, 3, 5, 8, 3, 5, 0][i],
+  created: `2026-01-0${i + 1}T00:00:00.000Z`
+})).map(item => JSON.parse(JSON.stringify(item)));
+
+const cursorFor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+describe('pagination', () => {
+  let collection;
+  let sources;
+
+  before(async () => {
+    const db = new MemoryDB();
+    await db.init();
+    collection = db.collection('projects');
+    for (const item of ITEMS) await collection.insertOne({ ...item });
+
+    // The same items split over two collections, for mergedPage
+    sources = ['even', 'odd'].map((name, half) => ({
+      collection: db.collection(name),
+      filter: {},
+      map: ({ _id, createdAt, ...doc }) => ({ ...doc, source: name }),
+      items: ITEMS.filter((_, i) => i % 2 === half)
+    }));
+    for (const source of sources) {
+      for (const item of source.items) await source.collection.insertOne({ ...item });
+    }
+  });
+
+  // Every id, following nextCursor from the first page to the last
+  const walk = async (fetchPage, query) => {
+    const ids = [];
+    let cursor;
+    do {
+      const page = await fetchPage({ ...query, cursor });
+      ids.push(...page.items.map(item => item.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return ids;
+  };
+  const walkList = (query) => walk(pageQuery => listPage(collection, pageQuery, LIST), query);
+  const walkMerged = (query) => walk(pageQuery => mergedPage(sources, pageQuery, LIST), query);
+
+  for (const sort of Object.keys(LIST.sorts)) {
+    it(`pages through every item once sorted by ${sort}`, async () => {
+      const all = await listPage(collection, { sort, limit: 100 }, LIST);
+      assert.equal(all.total, 7);
+      assert.deepEqual(await walkList({ sort, limit: 2 }), all.items.map(item => item.id));
+    });
+
+    it(`merges several collections into the same pages sorted by ${sort}`, async () => {
+      const all = await listPage(collection, { sort, limit: 100 }, LIST);
+      assert.deepEqual(await walkMerged({ sort, limit: 2 }), all.items.map(item => item.id));
+    });
+  }
+
+  it('counts and filters every collection of a merged list', async () => {
+    const page = await mergedPage(sources, { category: 'nlp', limit: 1 }, LIST);
+    assert.equal(page.total, 2);
+    assert.deepEqual(page.items.map(item => [item.id, item.source]), [['p5', 'odd']]);
+    assert.ok(page.nextCursor);
+  });
+
+  it('only asks each collection for one page past the cursor', async () => {
+    const limits = [];
+    const counted = sources.map(source => ({
+      ...source,
+      collection: {
+        ...source.collection,
+        find: (query) => {
+          const cursor = source.collection.find(query);
+          const limit = cursor.limit;
+          cursor.limit = (count) => {
+            limits.push(count);
+            return limit(count);
+          };
+          return cursor;
+        }
+      }
+    }));
+    await mergedPage(counted, { limit: 2 }, LIST);
+    assert.deepEqual(limits, [3, 3]);
+  });
+
+  it('filters by plain and array fields', async () => {
+    const page = await listPage(collection, { category: 'nlp', tags: 'ml,js' }, LIST);
+    assert.deepEqual(page.items.map(item => item.id), ['p5', 'p1']);
+    assert.equal(page.total, 2);
+  });
+
+  it('adds the route base filter', async () => {
+    const page = await listPage(collection, {}, LIST, { baseFilter: { views: { $gte: 5 } } });
+    assert.deepEqual(page.items.map(item => item.id), ['p5', 'p3', 'p2', 'p0']);
+  });
+
+  it('rejects bad limits and unknown sorts', async () => {
+    await assert.rejects(listPage(collection, { limit: '0' }, LIST), { name: 'ListQueryError' });
+    await assert.rejects(listPage(collection, { limit: '101' }, LIST), { name: 'ListQueryError' });
+    await assert.rejects(listPage(collection, { sort: 'random' }, LIST), { name: 'ListQueryError' });
+  });
+
+  it('rejects a cursor issued for another sort', async () => {
+    const { nextCursor } = await listPage(collection, { sort: 'popular', limit: 2 }, LIST);
+    await assert.rejects(listPage(collection, { sort: 'newest', cursor: nextCursor }, LIST), /different sort order/);
+  });
+
+  it('rejects tampered cursors instead of passing them to the store', async () => {
+    const tampered = [
+      'not a cursor',
+      cursorFor({ sort: 'newest', id: { $gt: '' } }),
+      cursorFor({ sort: 'newest', id: 'p3', value: { $exists: true } }),
+      cursorFor({ sort: 'newest', id: 'p3', value: { $where: 'sleep(1000)' } }),
+      cursorFor({ sort: 'newest', id: 'p3', value: ['2026-01-01'] })
+    ];
+    for (const cursor of tampered) {
+      await assert.rejects(listPage(collection, { cursor }, LIST), { name: 'ListQueryError', message: 'Invalid cursor' });
+      await assert.rejects(mergedPage(sources, { cursor }, LIST), { name: 'ListQueryError' });
+    }
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+const { hashPassword, verifyPassword, needsRehash, isHashed } = require('../password-hash');
+
+describe('password hashes', () => {
+  it('are salted and verify only the right password', async () => {
+    const [first, second] = await Promise.all([hashPassword('Secret123'), hashPassword('Secret123')]);
+    assert.match(first, /^scrypt\$1\$16384,8,1\$[^$]+\$[^$]+$/);
+    assert.notEqual(first, second);
+    assert.equal(await verifyPassword('Secret123', first), true);
+    assert.equal(await verifyPassword('Secret124', first), false);
+    assert.equal(needsRehash(first), false);
+  });
+
+  it('accept legacy plaintext records, which need rehashing', async () => {
+    assert.equal(isHashed('system'), false);
+    assert.equal(await verifyPassword('system', 'system'), true);
+    assert.equal(await verifyPassword('System', 'system'), false);
+    assert.equal(needsRehash('system'), true);
+  });
+
+  it('need rehashing when their parameters are outdated', async () => {
+    const current = await hashPassword('Secret123');
+    const weaker = current.replace('$16384,8,1$', '$1024,8,1$');
+    assert.equal(needsRehash(weaker), true);
+    assert.equal(needsRehash(current.replace(/^scrypt\$1\$/, 'scrypt$0$')), true);
+  });
+});
+
+describe('signing in with stored passwords', () => {
+  let app;
+  let users;
+
+  before(async () => {
+    app = await startApp();
+    users = require('../db').getDB().collection('users');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  const login = (username, password) => app.request('POST', '/api/auth/login', { body: { username, password } });
+
+  it('stores hashes, never the password, and never returns them', async () => {
+    const { user } = await app.register('hashed_pw');
+    const stored = await users.findOne({ id: user.id });
+    assert.equal(isHashed(stored.password), true);
+    assert.equal(user.password, undefined);
+
+    const response = await login('hashed_pw', 'Secret123');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.password, undefined);
+    assert.equal((await login('hashed_pw', 'Wrong123')).status, 401);
+  });
+
+  it('upgrades a legacy plaintext record on sign-in', async () => {
+    const { user } = await app.register('legacy_pw');
+    await users.updateOne({ id: user.id }, { $set: { password: 'OldSecret1' } });
+
+    assert.equal((await login('legacy_pw', 'OldSecret1')).status, 200);
+    const stored = await users.findOne({ id: user.id });
+    assert.equal(isHashed(stored.password), true);
+    assert.equal(await verifyPassword('OldSecret1', stored.password), true);
+    assert.equal((await login('legacy_pw', 'OldSecret1')).status, 200);
+  });
+
+  it('gives the seeded system user a random hashed password', async () => {
+    const system = await users.findOne({ id: 'system' });
+    assert.equal(isHashed(system.password), true);
+    assert.equal((await login('System', 'system')).status, 401);
+  });
+});
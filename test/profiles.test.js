@@ -0,0 +1,71 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Public profiles, profile editing and a user's activity list.
+describe('user profiles', () => {
+  let app;
+  let ada;
+
+  before(async () => {
+    app = await startApp();
+    ada = await app.register('ada_profile');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('shows a public profile without the email address', async () => {
+    const profile = await app.request('GET', '/api/users/ADA_PROFILE');
+    assert.equal(profile.status, 200);
+    assert.equal(profile.body.username, 'ada_profile');
+    assert.equal(profile.body.email, undefined);
+    assert.deepEqual(profile.body.contributions, { projects: 0, discussions: 0, lessons: 0 });
+
+    const own = await app.request('GET', '/api/users/me', { token: ada.token });
+    assert.equal(own.body.email, 'ada_profile@example.com');
+  });
+
+  it('returns 404 for unknown users', async () => {
+    assert.equal((await app.request('GET', '/api/users/nobody_here')).status, 404);
+  });
+
+  it('stores the last activity time when signing in', async () => {
+    const login = await app.request('POST', '/api/auth/login', {
+      body: { username: 'ada_profile', password: 'Secret123' }
+    });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.user.lastActive);
+
+    const profile = await app.request('GET', '/api/users/ada_profile');
+    assert.equal(profile.body.lastActive, login.body.user.lastActive);
+  });
+
+  it('edits only the profile fields', async () => {
+    const updated = await app.request('PATCH', '/api/users/me', {
+      token: ada.token,
+      body: { bio: 'Learning ML', links: ['https://example.com'], username: 'renamed', role: 'admin' }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.bio, 'Learning ML');
+    assert.equal(updated.body.username, 'ada_profile');
+    assert.equal(updated.body.role, 'member');
+
+    const profile = await app.request('GET', '/api/users/ada_profile');
+    assert.deepEqual(profile.body.links, ['https://example.com']);
+  });
+
+  it('lists what the user has written, newest first', async () => {
+    for (const title of ['First', 'Second']) {
+      await app.request('POST', '/api/discussions', {
+        token: ada.token, body: { title, content: 'Body', category: 'general' }
+      });
+    }
+
+    const activity = await app.request('GET', '/api/users/ada_profile/activity');
+    assert.equal(activity.status, 200);
+    assert.deepEqual(activity.body.items.map(item => item.title), ['Second', 'First']);
+    assert.ok(activity.body.items.every(item => item.type === 'discussion'));
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Per-learner lesson progress, completions and the dashboard.
+describe('lesson progress', () => {
+  let app;
+  let author;
+  let learner;
+  let other;
+
+  const createLesson = async (title, extra = {}) => {
+    const response = await app.request('POST', '/api/lessons', {
+      token: author.token, body: { title, content: 'Body', difficulty: 'beginner', ...extra }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  const setProgress = (lesson, user, percent) => app.request('PUT', `/api/lessons/${lesson.id}/progress`, {
+    token: user.token, body: { percent }
+  });
+
+  const complete = (lesson, user) => app.request('POST', `/api/lessons/${lesson.id}/complete`, { token: user.token });
+
+  const completions = async (lesson) => {
+    const list = await app.request('GET', '/api/lessons?limit=100');
+    return list.body.items.find(item => item.id === lesson.id).completions;
+  };
+
+  before(async () => {
+    app = await startApp();
+    author = await app.register('author_progress');
+    learner = await app.register('learner_progress');
+    other = await app.register('other_progress');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('starts at nothing and only moves forward', async () => {
+    const lesson = await createLesson('Tensors');
+    const initial = await app.request('GET', `/api/lessons/${lesson.id}/progress`, { token: learner.token });
+    assert.deepEqual([initial.body.status, initial.body.percent], ['not-started', 0]);
+
+    assert.equal((await setProgress(lesson, learner, 60)).body.status, 'in-progress');
+    const lower = await setProgress(lesson, learner, 30);
+    assert.equal(lower.body.percent, 60);
+    assert.equal((await setProgress(lesson, learner, 101)).status, 400);
+  });
+
+  it('counts each learner once however often they complete a lesson', async () => {
+    const lesson = await createLesson('Gradients');
+    const first = await complete(lesson, learner);
+    assert.equal(first.body.alreadyCompleted, false);
+    const again = await complete(lesson, learner);
+    assert.equal(again.body.alreadyCompleted, true);
+    await setProgress(lesson, learner, 10);
+    assert.equal(await completions(lesson), 1);
+
+    await setProgress(lesson, other, 100);
+    assert.equal(await completions(lesson), 2);
+
+    const progress = await app.request('GET', `/api/lessons/${lesson.id}/progress`, { token: learner.token });
+    assert.deepEqual([progress.body.status, progress.body.percent], ['completed', 100]);
+  });
+
+  it('sums up completed and in-progress lessons on the dashboard', async () => {
+    const user = await app.register('dashboard_progress');
+    const done = await createLesson('Done', { duration: 30 });
+    const half = await createLesson('Half', { duration: 20 });
+    await complete(done, user);
+    await setProgress(half, user, 50);
+
+    const dashboard = await app.request('GET', '/api/progress', { token: user.token });
+    assert.deepEqual(dashboard.body.completed.map(entry => entry.lessonId), [done.id]);
+    assert.deepEqual(dashboard.body.inProgress.map(entry => entry.lessonId), [half.id]);
+    assert.deepEqual(dashboard.body.totals, {
+      completedLessons: 1,
+      inProgressLessons: 1,
+      completedMinutes: 30,
+      totalMinutes: 40
+    });
+  });
+
+  it('keeps to the signed-in learner', async () => {
+    const lesson = await createLesson('Private progress');
+    await complete(lesson, learner);
+    const progress = await app.request('GET', `/api/lessons/${lesson.id}/progress`, { token: other.token });
+    assert.equal(progress.body.status, 'not-started');
+    assert.equal((await app.request('GET', '/api/progress')).status, 401);
+  });
+
+  it('returns 404 for missing lessons', async () => {
+    assert.equal((await complete({ id: 'lesson_missing' }, learner)).status, 404);
+  });
+});
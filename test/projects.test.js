@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Reading, updating and deleting projects, which only their owner may change.
+describe('projects', () => {
+  let app;
+  let owner;
+  let other;
+
+  const createProject = async (body = {}) => {
+    const response = await app.request('POST', '/api/projects', {
+      token: owner.token,
+      body: { title: 'Line follower', description: 'A robot', tech: ['C++'], ...body }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.register('owner_proj');
+    other = await app.register('other_proj');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('are read by id', async () => {
+    const project = await createProject();
+    const fetched = await app.request('GET', `/api/projects/${project.id}`);
+    assert.equal(fetched.status, 200);
+    assert.equal(fetched.body.title, 'Line follower');
+    assert.equal(fetched.body.authorId, owner.user.id);
+
+    assert.equal((await app.request('GET', '/api/projects/proj_missing')).status, 404);
+  });
+
+  it('change only the fields that were sent', async () => {
+    const project = await createProject();
+    const updated = await app.request('PUT', `/api/projects/${project.id}`, {
+      token: owner.token, body: { description: 'A faster robot' }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.description, 'A faster robot');
+    assert.equal(updated.body.title, 'Line follower');
+    assert.deepEqual(updated.body.tech, ['C++']);
+    assert.ok(updated.body.updated >= project.created);
+  });
+
+  it('keep their owner and counters whatever the update says', async () => {
+    const project = await createProject();
+    const response = await app.request('PUT', `/api/projects/${project.id}`, {
+      token: owner.token, body: { authorId: other.user.id, likes: 99 }
+    });
+    assert.equal(response.status, 400);
+
+    const fetched = await app.request('GET', `/api/projects/${project.id}`);
+    assert.equal(fetched.body.authorId, owner.user.id);
+    assert.equal(fetched.body.likes, 0);
+  });
+
+  it('can only be changed or deleted by their owner', async () => {
+    const project = await createProject();
+    const update = await app.request('PUT', `/api/projects/${project.id}`, {
+      token: other.token, body: { title: 'Taken over' }
+    });
+    assert.equal(update.status, 403);
+    const remove = await app.request('DELETE', `/api/projects/${project.id}`, { token: other.token });
+    assert.equal(remove.status, 403);
+    assert.equal((await app.request('PUT', `/api/projects/${project.id}`, { body: { title: 'Anonymous' } })).status, 401);
+
+    const fetched = await app.request('GET', `/api/projects/${project.id}`);
+    assert.equal(fetched.body.title, 'Line follower');
+  });
+
+  it('are gone once their owner deletes them', async () => {
+    const project = await createProject();
+    const removed = await app.request('DELETE', `/api/projects/${project.id}`, { token: owner.token });
+    assert.equal(removed.status, 200);
+    assert.equal((await app.request('GET', `/api/projects/${project.id}`)).status, 404);
+    assert.equal((await app.request('DELETE', `/api/projects/${project.id}`, { token: owner.token })).status, 404);
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+const { normalizeQuestions, gradeQuiz, toPublicQuiz } = require('../quiz-grading');
+
+const QUESTIONS = [
+  { id: 'pick', type: 'multiple-choice', prompt: 'Activation?', options: ['ReLU', 'SQL'], answer: 0 },
+  { id: 'many', type: 'multi-select', prompt: 'Optimisers?', options: ['Adam', 'SGD', 'CSV'], answer: [1, 0], points: 2 },
+  { id: 'rate', type: 'numeric', prompt: 'Learning rate?', answer: { value: 0.01, tolerance: 0.005 } },
+  { id: 'name', type: 'short-answer', prompt: 'Loss for classes?', answer: { value: 'Cross entropy' } },
+  { id: 'norm', type: 'short-answer', prompt: 'Normalisation?', answer: { mode: 'regex', value: '(batch|layer)[ -]?norm(alization)?' } }
+];
+
+const quizWith = (questions) => {
+  const normalized = normalizeQuestions(questions);
+  assert.deepEqual(normalized.errors, []);
+  return { passingScore: 70, questions: normalized.questions };
+};
+
+const errorsFor = (question) => normalizeQuestions([{ id: 'q', prompt: 'Prompt', ...question }]).errors.map(e => e.msg);
+
+describe('quiz grading', () => {
+  it('grades every question type', () => {
+    const grade = gradeQuiz(quizWith(QUESTIONS), {
+      pick: 0,
+      many: [0, 1],
+      rate: '0.012',
+      name: '  cross ENTROPY ',
+      norm: 'Layer-Norm'
+    });
+    assert.deepEqual(grade.results.map(result => result.correct), [true, true, true, true, true]);
+    assert.deepEqual([grade.score, grade.maxScore, grade.percent, grade.passed], [6, 6, 100, true]);
+  });
+
+  it('gives no marks for wrong, partial or missing answers', () => {
+    const grade = gradeQuiz(quizWith(QUESTIONS), { pick: 1, many: [0], rate: 0.02, name: 'Entropy', norm: 'group norm' });
+    assert.deepEqual(grade.results.map(result => result.correct), [false, false, false, false, false]);
+    assert.equal(gradeQuiz(quizWith(QUESTIONS)).score, 0);
+  });
+
+  it('fails below the passing score', () => {
+    const grade = gradeQuiz(quizWith(QUESTIONS), { pick: 0, many: [0, 1] });
+    assert.deepEqual([grade.percent, grade.passed], [50, false]);
+  });
+
+  it('matches regex answers whole and respects case sensitivity', () => {
+    const quiz = quizWith([{ id: 'q', type: 'short-answer', prompt: 'Unit?', answer: { mode: 'regex', value: 'GPUs?', caseSensitive: true } }]);
+    assert.equal(gradeQuiz(quiz, { q: 'GPUs' }).score, 1);
+    assert.equal(gradeQuiz(quiz, { q: 'gpus' }).score, 0);
+    assert.equal(gradeQuiz(quiz, { q: 'many GPUs' }).score, 0);
+  });
+
+  it('rejects patterns that can backtrack for a long time', () => {
+    for (const value of ['(a+)+$', '(a|aa)*', '(\\w+\\s?)*x', '(a)\\1', 'a(?=b)', '(?<!a)b']) {
+      const errors = errorsFor({ type: 'short-answer', answer: { mode: 'regex', value } });
+      assert.equal(errors.length, 1, value);
+      assert.match(errors[0], /pattern is not allowed/, value);
+    }
+    assert.deepEqual(errorsFor({ type: 'short-answer', answer: { mode: 'regex', value: '[a+]+(ab)+' } }), []);
+  });
+
+  it('never matches unsafe patterns saved before they were rejected', () => {
+    const quiz = {
+      passingScore: 70,
+      questions: [{ id: 'q', type: 'short-answer', points: 1, answer: { mode: 'regex', value: '(a+)+b', caseSensitive: false } }]
+    };
+    const started = Date.now();
+    assert.equal(gradeQuiz(quiz, { q: 'a'.repeat(40) }).score, 0);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('checks authored questions', () => {
+    assert.match(errorsFor({ type: 'essay' })[0], /type must be one of/);
+    assert.match(errorsFor({ type: 'multiple-choice', options: ['only'], answer: 0 })[0], /between 2 and 10/);
+    assert.match(errorsFor({ type: 'multiple-choice', options: ['a', 'b'], answer: 2 })[0], /index of the correct option/);
+    assert.match(errorsFor({ type: 'numeric', answer: { value: 1, tolerance: -1 } })[0], /Tolerance/);
+    assert.match(errorsFor({ type: 'short-answer', answer: { mode: 'regex', value: '(' } })[0], /not a valid regular expression/);
+    assert.equal(normalizeQuestions([]).errors.length, 1);
+  });
+
+  it('leaves answer keys out of the public quiz', () => {
+    const quiz = toPublicQuiz({ id: 'quiz', ...quizWith(QUESTIONS) });
+    assert.ok(quiz.questions.every(question => !('answer' in question)));
+    assert.deepEqual(quiz.questions[0].options, ['ReLU', 'SQL']);
+  });
+});
+
+describe('quiz routes', () => {
+  let app;
+  let author;
+  let learner;
+  let lesson;
+  let quiz;
+
+  before(async () => {
+    app = await startApp();
+    author = await app.register('author_quiz');
+    learner = await app.register('learner_quiz');
+    lesson = (await app.request('POST', '/api/lessons', {
+      token: author.token, body: { title: 'Training loops', content: 'Body', difficulty: 'beginner' }
+    })).body;
+    const created = await app.request('POST', `/api/lessons/${lesson.id}/quizzes`, {
+      token: author.token, body: { title: 'Check', questions: QUESTIONS }
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    quiz = created.body;
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('only let the lesson author add quizzes, and check their questions', async () => {
+    const path = `/api/lessons/${lesson.id}/quizzes`;
+    assert.equal((await app.request('POST', path, { token: learner.token, body: { title: 'Mine', questions: QUESTIONS } })).status, 403);
+
+    const unsafe = [{ type: 'short-answer', prompt: 'Slow', answer: { mode: 'regex', value: '(a+)+' } }];
+    const rejected = await app.request('POST', path, { token: author.token, body: { title: 'Slow', questions: unsafe } });
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.errors[0].msg, /pattern is not allowed/);
+  });
+
+  it('never send answer keys to learners', async () => {
+    const fetched = await app.request('GET', `/api/quizzes/${quiz.id}`, { token: learner.token });
+    const listed = await app.request('GET', `/api/lessons/${lesson.id}/quizzes`);
+    for (const body of [fetched.body, listed.body[0]]) {
+      assert.equal(body.questions.length, QUESTIONS.length);
+      assert.ok(body.questions.every(question => !('answer' in question)));
+    }
+  });
+
+  it('store attempts and complete the lesson on a pass', async () => {
+    const submit = (answers) => app.request('POST', `/api/quizzes/${quiz.id}/submit`, { token: learner.token, body: { answers } });
+
+    const failed = await submit({ pick: 0 });
+    assert.equal(failed.status, 201);
+    assert.deepEqual([failed.body.passed, failed.body.lessonCompleted], [false, false]);
+
+    const passed = await submit({ pick: 0, many: [0, 1], rate: 0.01, name: 'cross entropy' });
+    assert.deepEqual([passed.body.percent, passed.body.passed, passed.body.lessonCompleted], [83, true, true]);
+
+    const progress = await app.request('GET', `/api/lessons/${lesson.id}/progress`, { token: learner.token });
+    assert.equal(progress.body.status, 'completed');
+
+    const attempts = await app.request('GET', `/api/quizzes/${quiz.id}/attempts`, { token: learner.token });
+    assert.equal(attempts.body.attempts.length, 2);
+    assert.deepEqual([attempts.body.bestPercent, attempts.body.passed], [83, true]);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support');
+
+// Budgets are read when the module loads
+Object.assign(process.env, {
+  STORAGE: 'file',
+  AUTH_RATE_LIMIT: '2',
+  WRITE_RATE_LIMIT: '3',
+  API_RATE_LIMIT: '4'
+});
+const { MemoryStore, createRateLimiter } = require('../middleware/rate-limit');
+
+// Calls the limiter with a bare request; resolves to the response it sent, or
+// to { passed: true } when it let the request through
+const send = (limiter, { method = 'GET', path = '/api/projects', ip = '10.0.0.1', headers = {} } = {}) => (
+  new Promise((resolve, reject) => {
+    const response = { headers: {} };
+    const res = {
+      set: (name, value) => Object.assign(response.headers, typeof name === 'string' ? { [name]: value } : name),
+      status: (status) => Object.assign(response, { status }) && res,
+      json: (body) => resolve(Object.assign(response, { body }))
+    };
+    limiter({ method, path, ip, headers, query: {} }, res, () => resolve(Object.assign(response, { passed: true })))
+      .catch(reject);
+  })
+);
+
+describe('rate limits', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = createRateLimiter({ store: new MemoryStore() });
+  });
+
+  it('answers 429 once a client has used its read budget', async () => {
+    const responses = [];
+    for (let i = 0; i < 5; i++) responses.push(await send(limiter));
+
+    assert.ok(responses.slice(0, 4).every(response => response.passed));
+    assert.deepEqual(responses.map(response => response.headers['RateLimit-Remaining']), ['3', '2', '1', '0', '0']);
+
+    const [, , , , limited] = responses;
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers['RateLimit-Limit'], '4');
+    assert.ok(Number(limited.headers['Retry-After']) > 0);
+    assert.equal(limited.body.retryAfter, Number(limited.headers['Retry-After']));
+  });
+
+  it('counts writes and sign-ins in their own budgets', async () => {
+    for (let i = 0; i < 3; i++) assert.ok((await send(limiter, { method: 'POST' })).passed);
+    assert.equal((await send(limiter, { method: 'DELETE' })).status, 429);
+
+    const login = { method: 'POST', path: '/api/auth/login' };
+    assert.ok((await send(limiter, login)).passed);
+    assert.ok((await send(limiter, login)).passed);
+    assert.equal((await send(limiter, login)).status, 429);
+
+    assert.ok((await send(limiter)).passed);
+  });
+
+  it('keeps a budget per client address', async () => {
+    for (let i = 0; i < 4; i++) await send(limiter);
+    assert.equal((await send(limiter)).status, 429);
+    assert.ok((await send(limiter, { ip: '10.0.0.2' })).passed);
+  });
+
+  it('never limits the health check', async () => {
+    for (let i = 0; i < 6; i++) {
+      assert.ok((await send(limiter, { path: '/api/health' })).passed);
+    }
+  });
+
+  it('keeps counters in process with file storage', async () => {
+    // The file store is never opened here, so a limiter counting in it would
+    // fail open and send no headers
+    const response = await send(createRateLimiter());
+    assert.ok(response.passed);
+    assert.equal(response.headers['RateLimit-Remaining'], '3');
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Likes, stars and views count each user once, however often they are sent.
+describe('reactions', () => {
+  let app;
+  let owner;
+  let fan;
+
+  const createProject = async (title) => {
+    const project = await app.request('POST', '/api/projects', {
+      token: owner.token, body: { title, description: 'About it' }
+    });
+    assert.equal(project.status, 200);
+    return project.body;
+  };
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.register('owner_rx');
+    fan = await app.register('fan_rx');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('counts a like once, even when the same request arrives several times at once', async () => {
+    const project = await createProject('Liked');
+    const responses = await Promise.all(Array.from({ length: 5 }, () => (
+      app.request('PUT', `/api/projects/${project.id}/like`, { token: fan.token })
+    )));
+    assert.ok(responses.every(response => response.status === 200));
+    assert.ok(responses.every(response => response.body.likes === 1));
+
+    const fetched = await app.request('GET', `/api/projects/${project.id}`, { token: fan.token });
+    assert.equal(fetched.body.likes, 1);
+    assert.equal(fetched.body.liked, true);
+  });
+
+  it('adds one record when identical reactions are stored at the same moment', async () => {
+    // Loaded once startApp() has picked the storage backend
+    const { addReaction } = require('../reactions');
+    const project = await createProject('Raced');
+    const results = await Promise.all(Array.from({ length: 5 }, () => (
+      addReaction(fan.user.id, 'project', project.id, 'star')
+    )));
+    assert.equal(results.filter(result => result.added).length, 1);
+
+    const fetched = await app.request('GET', `/api/projects/${project.id}`);
+    assert.equal(fetched.body.stars, 1);
+  });
+
+  it('takes a like back once', async () => {
+    const project = await createProject('Unliked');
+    await app.request('PUT', `/api/projects/${project.id}/like`, { token: fan.token });
+    await app.request('PUT', `/api/projects/${project.id}/like`, { token: owner.token });
+
+    const responses = await Promise.all([1, 2].map(() => (
+      app.request('DELETE', `/api/projects/${project.id}/like`, { token: fan.token })
+    )));
+    assert.deepEqual(responses.map(response => response.body.likes), [1, 1]);
+  });
+
+  it('lists starred projects', async () => {
+    const starred = await createProject('Starred');
+    await createProject('Not starred');
+    await app.request('PUT', `/api/projects/${starred.id}/star`, { token: owner.token });
+
+    const list = await app.request('GET', '/api/users/me/starred', { token: owner.token });
+    assert.deepEqual(list.body.items.map(item => item.id), [starred.id]);
+    assert.equal(list.body.items[0].starred, true);
+  });
+
+  it('counts views once per user and once per anonymous address', async () => {
+    const project = await createProject('Viewed');
+    const first = await app.request('POST', `/api/projects/${project.id}/view`, { token: fan.token });
+    const again = await app.request('POST', `/api/projects/${project.id}/view`, { token: fan.token });
+    assert.deepEqual([first.body.counted, again.body.counted], [true, false]);
+
+    const anonymous = await app.request('POST', `/api/projects/${project.id}/view`);
+    assert.equal(anonymous.body.views, 2);
+    const anonymousAgain = await app.request('POST', `/api/projects/${project.id}/view`);
+    assert.equal(anonymousAgain.body.counted, false);
+  });
+
+  it('returns 404 for missing projects', async () => {
+    const response = await app.request('PUT', '/api/projects/nope/like', { token: fan.token });
+    assert.equal(response.status, 404);
+  });
+});
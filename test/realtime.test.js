@@ -0,0 +1,177 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+const { WebSocket } = require('ws');
+
+// The /ws room channel end to end: a real server, real sockets.
+describe('realtime rooms', { timeout: 20000 }, () => {
+  let app;
+  let alice;
+  let bob;
+  let roomId;
+  const sockets = [];
+
+  // Open a socket with the given query string; resolves to a client whose
+  // next(type) waits for the next message of that type
+  const connect = (query) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(app.baseUrl.replace('http', 'ws') + '/ws?' + query);
+    const inbox = [];
+    const waiting = [];
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      const index = waiting.findIndex(waiter => waiter.type === message.type);
+      if (index === -1) inbox.push(message);
+      else waiting.splice(index, 1)[0].resolve(message);
+    });
+    ws.once('error', reject);
+    ws.once('open', () => {
+      sockets.push(ws);
+      resolve({
+        ws,
+        send: (message) => ws.send(JSON.stringify(message)),
+        next: (type) => {
+          const index = inbox.findIndex(message => message.type === type);
+          if (index !== -1) return Promise.resolve(inbox.splice(index, 1)[0]);
+          return new Promise(resolveMessage => waiting.push({ type, resolve: resolveMessage }));
+        },
+        // Whether a message of that type is already waiting to be read
+        has: (type) => inbox.some(message => message.type === type)
+      });
+    });
+  });
+
+  const joinRoom = async (user) => {
+    const client = await connect('token=' + user.token);
+    client.send({ type: 'join', roomId });
+    return { client, joined: await client.next('joined') };
+  };
+
+  before(async () => {
+    app = await startApp();
+    alice = await app.register('alice_rt');
+    bob = await app.register('bob_rt');
+
+    const room = await app.request('POST', '/api/rooms', { token: alice.token, body: { name: 'Study group' } });
+    roomId = room.body.id;
+    const joined = await app.request('PUT', `/api/rooms/${roomId}/join`, { token: bob.token });
+    assert.equal(joined.status, 200);
+  });
+
+  afterEach(() => {
+    for (const ws of sockets.splice(0)) ws.terminate();
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('refuses connections without valid credentials', async () => {
+    await assert.rejects(connect(''), /401/);
+    await assert.rejects(connect('token=not-a-token'), /401/);
+    await assert.rejects(connect('apiKey=not-a-key'), /401/);
+  });
+
+  it('only lets room members join', async () => {
+    const carol = await app.register('carol_rt');
+    const client = await connect('token=' + carol.token);
+    client.send({ type: 'join', roomId });
+    const error = await client.next('error');
+    assert.equal(error.error, 'Join the room before connecting to it');
+  });
+
+  it('announces who joins and leaves', async () => {
+    const first = await joinRoom(alice);
+    assert.deepEqual(first.joined.online.map(user => user.username), ['alice_rt']);
+
+    const second = await joinRoom(bob);
+    assert.deepEqual(second.joined.online.map(user => user.username).sort(), ['alice_rt', 'bob_rt']);
+
+    const joinedPresence = await first.client.next('presence');
+    assert.equal(joinedPresence.event, 'join');
+    assert.equal(joinedPresence.user.username, 'bob_rt');
+    assert.equal(joinedPresence.user.readOnly, undefined);
+
+    second.client.ws.close();
+    const leftPresence = await first.client.next('presence');
+    assert.equal(leftPresence.event, 'leave');
+    assert.deepEqual(leftPresence.online.map(user => user.username), ['alice_rt']);
+  });
+
+  it('broadcasts chat messages and keeps them in the history', async () => {
+    const { client: aliceClient } = await joinRoom(alice);
+    const { client: bobClient } = await joinRoom(bob);
+
+    bobClient.send({ type: 'chat', roomId, text: '  Hello room  ' });
+    const [received, echoed] = await Promise.all([aliceClient.next('chat'), bobClient.next('chat')]);
+    assert.equal(received.message.text, 'Hello room');
+    assert.equal(received.message.username, 'bob_rt');
+    assert.deepEqual(echoed.message, received.message);
+
+    const history = await app.request('GET', `/api/rooms/${roomId}/messages`, { token: alice.token });
+    assert.ok(history.body.some(message => message.id === received.message.id));
+    assert.ok(history.body.every(message => !('_id' in message)));
+
+    const { joined } = await joinRoom(alice);
+    assert.ok(joined.history.some(message => message.id === received.message.id));
+  });
+
+  it('rejects empty chat messages', async () => {
+    const { client } = await joinRoom(alice);
+    client.send({ type: 'chat', roomId, text: '   ' });
+    const error = await client.next('error');
+    assert.match(error.error, /Messages must be between 1 and/);
+  });
+
+  it('relays typing to everyone else', async () => {
+    const { client: aliceClient } = await joinRoom(alice);
+    const { client: bobClient } = await joinRoom(bob);
+
+    aliceClient.send({ type: 'typing', roomId, isTyping: true });
+    const typing = await bobClient.next('typing');
+    assert.equal(typing.user.username, 'alice_rt');
+    assert.equal(typing.isTyping, true);
+
+    // A round trip on alice's socket, so her own typing message would have arrived by now
+    aliceClient.send({ type: 'history', roomId });
+    await aliceClient.next('history');
+    assert.equal(aliceClient.has('typing'), false);
+  });
+
+  it('lets read-only API keys listen but not chat or type', async () => {
+    const created = await app.request('POST', '/api/auth/api-keys', {
+      token: bob.token, body: { name: 'Dashboard', scope: 'read' }
+    });
+    assert.equal(created.status, 201);
+
+    const client = await connect('apiKey=' + encodeURIComponent(created.body.apiKey.key));
+    client.send({ type: 'join', roomId });
+    const joined = await client.next('joined');
+    assert.equal(joined.roomId, roomId);
+
+    client.send({ type: 'chat', roomId, text: 'Hi' });
+    assert.equal((await client.next('error')).error, 'This API key is read-only');
+    client.send({ type: 'typing', roomId, isTyping: true });
+    assert.equal((await client.next('error')).error, 'This API key is read-only');
+
+    const history = await app.request('GET', `/api/rooms/${roomId}/messages`, { token: bob.token });
+    assert.ok(history.body.every(message => message.text !== 'Hi'));
+  });
+
+  it('disconnects users when they are suspended and refuses them afterwards', async () => {
+    const moderator = await app.register('mod_rt');
+    await app.setRole(moderator, 'moderator');
+    const dave = await app.register('dave_rt');
+
+    const client = await connect('token=' + dave.token);
+    const closed = new Promise(resolve => client.ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+
+    const suspended = await app.request('PUT', '/api/moderation/users/dave_rt/suspend', {
+      token: moderator.token, body: { reason: 'Spam' }
+    });
+    assert.equal(suspended.status, 200);
+
+    assert.deepEqual(await closed, { code: 4003, reason: 'Account suspended' });
+    await assert.rejects(connect('token=' + dave.token), /401/);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Threaded replies and the discussion's reply counter.
+describe('replies', () => {
+  let app;
+  let author;
+  let other;
+
+  const createDiscussion = async () => {
+    const response = await app.request('POST', '/api/discussions', {
+      token: author.token, body: { title: 'Threads', content: 'Body', category: 'general' }
+    });
+    return response.body;
+  };
+
+  const reply = async (discussion, content, { parentReplyId, user = other } = {}) => app.request(
+    'POST', `/api/discussions/${discussion.id}/reply`, { token: user.token, body: { content, parentReplyId } }
+  );
+
+  const replyCount = async (discussion) => {
+    const list = await app.request('GET', '/api/discussions?limit=100');
+    return list.body.items.find(item => item.id === discussion.id).replies;
+  };
+
+  before(async () => {
+    app = await startApp();
+    author = await app.register('author_reply');
+    other = await app.register('other_reply');
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('nest under their parent and keep the counter in step', async () => {
+    const discussion = await createDiscussion();
+    const top = await reply(discussion, 'First');
+    assert.equal(top.status, 201);
+    assert.equal(top.body.depth, 0);
+    const child = await reply(discussion, 'Answer', { parentReplyId: top.body.id, user: author });
+    assert.equal(child.body.depth, 1);
+    await reply(discussion, 'Second');
+
+    const list = await app.request('GET', `/api/discussions/${discussion.id}/replies`);
+    assert.equal(list.body.total, 2);
+    assert.equal(list.body.totalReplies, 3);
+    assert.deepEqual(list.body.replies.map(r => r.content), ['First', 'Second']);
+    assert.deepEqual(list.body.replies[0].children.map(r => r.content), ['Answer']);
+    assert.equal(await replyCount(discussion), 3);
+  });
+
+  it('stop nesting at the maximum depth', async () => {
+    const discussion = await createDiscussion();
+    let parentReplyId;
+    for (let depth = 0; depth <= 3; depth++) {
+      const response = await reply(discussion, 'Level ' + depth, { parentReplyId });
+      assert.equal(response.body.depth, depth);
+      parentReplyId = response.body.id;
+    }
+    const tooDeep = await reply(discussion, 'Level 4', { parentReplyId });
+    assert.equal(tooDeep.status, 400);
+  });
+
+  it('only nest under replies of the same discussion', async () => {
+    const first = await createDiscussion();
+    const second = await createDiscussion();
+    const parent = await reply(first, 'Elsewhere');
+    const response = await reply(second, 'Crossed', { parentReplyId: parent.body.id });
+    assert.equal(response.status, 404);
+  });
+
+  it('page top-level threads', async () => {
+    const discussion = await createDiscussion();
+    for (const content of ['a', 'b', 'c']) await reply(discussion, content);
+    const page = await app.request('GET', `/api/discussions/${discussion.id}/replies?limit=2&offset=1`);
+    assert.deepEqual(page.body.replies.map(r => r.content), ['b', 'c']);
+    assert.equal(page.body.total, 3);
+  });
+
+  it('can only be edited by their author', async () => {
+    const discussion = await createDiscussion();
+    const created = await reply(discussion, 'Typo');
+    const path = `/api/discussions/${discussion.id}/replies/${created.body.id}`;
+
+    assert.equal((await app.request('PUT', path, { token: author.token, body: { content: 'Mine now' } })).status, 403);
+    const edited = await app.request('PUT', path, { token: other.token, body: { content: 'Fixed' } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.content, 'Fixed');
+    assert.ok(edited.body.updated);
+  });
+
+  it('take their nested replies with them when deleted', async () => {
+    const discussion = await createDiscussion();
+    const top = await reply(discussion, 'Parent');
+    const child = await reply(discussion, 'Child', { parentReplyId: top.body.id, user: author });
+    await reply(discussion, 'Grandchild', { parentReplyId: child.body.id });
+    await reply(discussion, 'Sibling');
+    const path = `/api/discussions/${discussion.id}/replies/${top.body.id}`;
+
+    assert.equal((await app.request('DELETE', path, { token: author.token })).status, 403);
+    const removed = await app.request('DELETE', path, { token: other.token });
+    assert.equal(removed.body.deleted, 3);
+    assert.equal(removed.body.discussionReplies, 1);
+    assert.equal(await replyCount(discussion), 1);
+  });
+});
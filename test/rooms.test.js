@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Joining and leaving rooms, and what their owner can do.
+describe('rooms', () => {
+  let app;
+  let owner;
+  let members;
+
+  const createRoom = async (body = {}) => {
+    const response = await app.request('POST', '/api/rooms', { token: owner.token, body: { name: 'Study group', ...body } });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  const join = (room, user, body) => app.request('PUT', `/api/rooms/${room.id}/join`, { token: user.token, body });
+
+  before(async () => {
+    app = await startApp();
+    owner = await app.register('owner_room');
+    members = [];
+    for (let i = 0; i < 4; i++) members.push(await app.register('member_room' + i));
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('let members join once and leave', async () => {
+    const room = await createRoom();
+    const [member] = members;
+    assert.equal((await join(room, member)).status, 200);
+    const again = await join(room, member);
+    assert.deepEqual(again.body.participants, [owner.user.id, member.user.id]);
+
+    const left = await app.request('PUT', `/api/rooms/${room.id}/leave`, { token: member.token });
+    assert.deepEqual(left.body.participants, [owner.user.id]);
+  });
+
+  it('refuse joins past capacity, even when they arrive together', async () => {
+    const room = await createRoom({ maxParticipants: 3 });
+    const responses = await Promise.all(members.map(member => join(room, member)));
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 200, 409, 409]);
+
+    const list = await app.request('GET', '/api/rooms?limit=100');
+    assert.equal(list.body.items.find(item => item.id === room.id).participants.length, 3);
+  });
+
+  it('only let people into a private room with its invite code', async () => {
+    const room = await createRoom({ isPrivate: true });
+    assert.match(room.inviteCode, /^[0-9a-f]{8}$/);
+    const [member, other] = members;
+
+    const list = await app.request('GET', '/api/rooms?limit=100', { token: member.token });
+    assert.equal(list.body.items.find(item => item.id === room.id).inviteCode, undefined);
+
+    assert.equal((await join(room, member)).status, 403);
+    assert.equal((await join(room, member, { inviteCode: 'deadbeef' })).status, 403);
+    assert.equal((await join(room, member, { inviteCode: room.inviteCode })).status, 200);
+
+    const regenerated = await app.request('POST', `/api/rooms/${room.id}/invite-code`, { token: owner.token });
+    assert.equal((await join(room, other, { inviteCode: room.inviteCode })).status, 403);
+    assert.equal((await join(room, other, { inviteCode: regenerated.body.inviteCode })).status, 200);
+  });
+
+  it('let the owner remove members and hand the room over', async () => {
+    const room = await createRoom();
+    const [member, other] = members;
+    await join(room, member);
+    await join(room, other);
+
+    const kicked = await app.request('DELETE', `/api/rooms/${room.id}/participants/${member.user.id}`, { token: other.token });
+    assert.equal(kicked.status, 403);
+    const removed = await app.request('DELETE', `/api/rooms/${room.id}/participants/${member.user.id}`, { token: owner.token });
+    assert.deepEqual(removed.body.participants, [owner.user.id, other.user.id]);
+
+    assert.equal((await app.request('PUT', `/api/rooms/${room.id}/leave`, { token: owner.token })).status, 400);
+    const outsider = await app.request('PUT', `/api/rooms/${room.id}/owner`, { token: owner.token, body: { userId: member.user.id } });
+    assert.equal(outsider.status, 400);
+    const transferred = await app.request('PUT', `/api/rooms/${room.id}/owner`, { token: owner.token, body: { userId: other.user.id } });
+    assert.equal(transferred.body.ownerId, other.user.id);
+
+    assert.equal((await app.request('PUT', `/api/rooms/${room.id}/leave`, { token: owner.token })).status, 200);
+  });
+
+  it('take no one in once closed', async () => {
+    const room = await createRoom();
+    const [member] = members;
+    assert.equal((await app.request('PUT', `/api/rooms/${room.id}/close`, { token: member.token })).status, 403);
+    const closed = await app.request('PUT', `/api/rooms/${room.id}/close`, { token: owner.token });
+    assert.equal(closed.body.status, 'closed');
+
+    const response = await join(room, member);
+    assert.equal(response.status, 409);
+    assert.match(response.body.error, /closed/);
+  });
+
+  it('check the capacity given when they are created', async () => {
+    const response = await app.request('POST', '/api/rooms', { token: owner.token, body: { name: 'Huge', maxParticipants: 51 } });
+    assert.equal(response.status, 400);
+  });
+});
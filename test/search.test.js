@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Full-text search over the in-process index used by the memory backend.
+describe('search', () => {
+  let app;
+  let author;
+  let moderator;
+  const created = {};
+
+  const post = async (path, body) => {
+    const response = await app.request('POST', path, { token: author.token, body });
+    assert.ok(response.status < 300, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  const search = (query, token) => app.request('GET', '/api/search?' + query, { token });
+
+  before(async () => {
+    app = await startApp();
+    author = await app.register('author_search');
+    moderator = await app.register('moderator_search');
+    await app.setRole(moderator, 'moderator');
+
+    created.discussion = await post('/api/discussions', {
+      title: 'Transformer attention', content: 'How does attention scale with sequence length?', category: 'help'
+    });
+    created.reply = await post(`/api/discussions/${created.discussion.id}/reply`, { content: 'Attention is quadratic in length' });
+    created.project = await post('/api/projects', { title: 'Tiny transformer', description: 'A <small> model', tech: ['PyTorch'] });
+    created.lesson = await post('/api/lessons', {
+      title: 'Convolutions', content: 'Kernels slide over images, unlike attention', difficulty: 'beginner'
+    });
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  it('finds every content type and ranks title matches first', async () => {
+    const response = await search('q=attention');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.results.map(result => result.type).sort(), ['discussion', 'lesson', 'reply']);
+    assert.equal(response.body.results[0].id, created.discussion.id);
+    assert.equal(response.body.total, 3);
+
+    const reply = response.body.results.find(result => result.type === 'reply');
+    assert.equal(reply.discussionId, created.discussion.id);
+  });
+
+  it('needs every word and matches plurals', async () => {
+    assert.deepEqual((await search('q=attention+length')).body.results.map(r => r.type).sort(), ['discussion', 'reply']);
+    assert.deepEqual((await search('q=transformers')).body.results.map(r => r.id).sort(),
+      [created.discussion.id, created.project.id].sort());
+    assert.deepEqual((await search('q=recurrent')).body.results, []);
+  });
+
+  it('filters by type and limits the results', async () => {
+    const lessons = await search('q=attention&type=lesson');
+    assert.deepEqual(lessons.body.results.map(result => result.id), [created.lesson.id]);
+
+    const limited = await search('q=attention&limit=1');
+    assert.equal(limited.body.results.length, 1);
+    assert.equal(limited.body.total, 3);
+  });
+
+  it('highlights matches in HTML-escaped snippets', async () => {
+    const [project] = (await search('q=model&type=project')).body.results;
+    assert.equal(project.snippet, 'A &lt;small&gt; <mark>model</mark>');
+  });
+
+  it('follows edits and deletes', async () => {
+    await app.request('PUT', `/api/projects/${created.project.id}`, { token: author.token, body: { description: 'Now a diffusion model' } });
+    assert.deepEqual((await search('q=diffusion')).body.results.map(r => r.id), [created.project.id]);
+
+    await app.request('DELETE', `/api/projects/${created.project.id}`, { token: author.token });
+    assert.deepEqual((await search('q=diffusion')).body.results, []);
+  });
+
+  it('only shows hidden content to moderators', async () => {
+    const hidden = await post('/api/discussions', { title: 'Spam about crypto', content: 'Buy now', category: 'general' });
+    await app.request('PUT', `/api/moderation/content/discussion/${hidden.id}/hide`, { token: moderator.token, body: { reason: 'Spam' } });
+
+    assert.deepEqual((await search('q=crypto', author.token)).body.results, []);
+    assert.deepEqual((await search('q=crypto', moderator.token)).body.results.map(r => r.id), [hidden.id]);
+  });
+
+  it('rejects bad queries, types and limits', async () => {
+    assert.equal((await search('q=')).status, 400);
+    assert.equal((await search('q=' + 'a'.repeat(201))).status, 400);
+    assert.equal((await search('q=attention&type=user')).status, 400);
+    assert.equal((await search('q=attention&limit=0')).status, 400);
+  });
+});
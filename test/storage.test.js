@@ -0,0 +1,376 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./support');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileDB } = require('../db-file');
+const { MemoryDB } = require('../db-memory');
+
+// Conformance suite for the storage backends: every adapter must give the same
+// answers to the query language and update operators in query.js.
+//
+// The in-memory and file stores always run. Postgres runs when
+// TEST_DATABASE_URL points at a throwaway database - the suite migrates it and
+// empties the discussions table before each test.
+const BACKENDS = [
+  {
+    name: 'memory',
+    open: async () => {
+      const db = new MemoryDB();
+      await db.init();
+      return { db, close: async () => {} };
+    }
+  },
+  {
+    name: 'file',
+    open: async () => {
+      const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filedb-'));
+      const db = new FileDB({ dataDir });
+      await db.init();
+      return {
+        db,
+        close: async () => {
+          await db.flush();
+          fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+      };
+    }
+  },
+  {
+    name: 'postgres',
+    skip: !process.env.TEST_DATABASE_URL && 'set TEST_DATABASE_URL to run against Postgres',
+    open: async () => {
+      process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+      const postgres = require('../db-postgres');
+      await postgres.connectDB();
+      return { db: postgres.getDB(), close: postgres.closeDB };
+    }
+  }
+];
+
+// Only fields every backend stores: columns of the Postgres discussions table
+const DISCUSSIONS = [
+  {
+    id: 'd1', title: 'Alpha', category: 'news', tags: ['js', 'ml'], views: 10, authorId: 'u1',
+    moderation: { by: 'mod1', reason: 'spam' }, created: '2026-01-01T00:00:00.000Z'
+  },
+  { id: 'd2', title: 'beta', category: 'help', tags: ['js'], views: 5, authorId: 'u2', created: '2026-01-02T00:00:00.000Z' },
+  { id: 'd3', title: 'Gamma', tags: [], views: 5, authorId: 'u1', hidden: true, created: '2026-01-03T00:00:00.000Z' },
+  { id: 'd4', title: 'delta', category: 'news', tags: ['py', 'ml', 'js'], views: 20, authorId: 'u3', created: '2026-01-04T00:00:00.000Z' },
+  { id: 'd5', title: 'Epsilon', tags: ['go'], views: 0, authorId: 'u2', created: '2026-01-05T00:00:00.000Z' }
+];
+
+const ids = (docs) => docs.map(doc => doc.id);
+
+for (const backend of BACKENDS) {
+  describe(`${backend.name} storage`, { skip: backend.skip }, () => {
+    let store;
+    let discussions;
+
+    before(async () => {
+      store = await backend.open();
+    });
+
+    after(async () => {
+      await store.close();
+    });
+
+    beforeEach(async () => {
+      discussions = store.db.collection('discussions');
+      await discussions.deleteMany({});
+      for (const doc of DISCUSSIONS) {
+        await discussions.insertOne({ ...doc, tags: [...doc.tags] });
+      }
+    });
+
+    const findIds = async (query) => ids(await discussions.find(query).sort({ id: 1 }).toArray());
+
+    describe('queries', () => {
+      const CASES = [
+        [{ category: 'news' }, ['d1', 'd4']],
+        [{ category: null }, ['d3', 'd5']],
+        [{ category: { $ne: 'news' } }, ['d2', 'd3', 'd5']],
+        [{ views: { $gte: 5, $lt: 20 } }, ['d1', 'd2', 'd3']],
+        [{ authorId: { $in: ['u1', 'u3'] } }, ['d1', 'd3', 'd4']],
+        [{ authorId: { $nin: ['u1'] } }, ['d2', 'd4', 'd5']],
+        [{ tags: 'js' }, ['d1', 'd2', 'd4']],
+        [{ tags: { $all: ['js', 'ml'] } }, ['d1', 'd4']],
+        [{ tags: { $exists: true } }, ['d1', 'd2', 'd4', 'd5']],
+        [{ tags: null }, ['d3']],
+        [{ tags: { $elemMatch: { $regex: '^p' } } }, ['d4']],
+        [{ 'tags.2': { $exists: true } }, ['d4']],
+        [{ 'tags.1': { $exists: false } }, ['d2', 'd3', 'd5']],
+        [{ title: { $regex: '^[ag]', $options: 'i' } }, ['d1', 'd3']],
+        [{ 'moderation.by': 'mod1' }, ['d1']],
+        [{ 'moderation.by': { $exists: false } }, ['d2', 'd3', 'd4', 'd5']],
+        [{ hidden: { $ne: true } }, ['d1', 'd2', 'd4', 'd5']],
+        [{ views: { $not: { $gt: 5 } } }, ['d2', 'd3', 'd5']],
+        [{ $or: [{ category: 'help' }, { views: { $gt: 15 } }] }, ['d2', 'd4']],
+        [{ $and: [{ tags: 'js' }, { $not: { category: 'news' } }] }, ['d2']]
+      ];
+
+      for (const [query, expected] of CASES) {
+        it(`matches ${JSON.stringify(query)}`, async () => {
+          assert.deepEqual(await findIds(query), expected);
+        });
+      }
+
+      it('finds one document with its fields', async () => {
+        const doc = await discussions.findOne({ id: 'd1' });
+        assert.equal(doc.title, 'Alpha');
+        assert.deepEqual(doc.tags, ['js', 'ml']);
+        assert.equal(doc.moderation.reason, 'spam');
+        assert.equal(doc.created, '2026-01-01T00:00:00.000Z');
+        assert.ok(!(await discussions.findOne({ id: 'nope' })));
+      });
+
+      it('counts matching documents', async () => {
+        assert.equal(await discussions.countDocuments({}), 5);
+        assert.equal(await discussions.countDocuments({ category: 'news' }), 2);
+      });
+
+      it('returns copies that callers can change without touching the store', async () => {
+        const doc = await discussions.findOne({ id: 'd1' });
+        doc.views = 99;
+        doc.tags.push('rust');
+        const [listed] = await discussions.find({ id: 'd1' }).toArray();
+        listed.moderation.by = 'someone';
+
+        const stored = await discussions.findOne({ id: 'd1' });
+        assert.equal(stored.views, 10);
+        assert.deepEqual(stored.tags, ['js', 'ml']);
+        assert.equal(stored.moderation.by, 'mod1');
+      });
+
+      it('rejects unknown operators with a QueryError', async () => {
+        await assert.rejects(discussions.find({ views: { $near: 1 } }).toArray(), { name: 'QueryError' });
+      });
+    });
+
+    describe('sorting', () => {
+      it('sorts by several fields', async () => {
+        const docs = await discussions.find({}).sort({ views: -1, id: 1 }).toArray();
+        assert.deepEqual(ids(docs), ['d4', 'd1', 'd2', 'd3', 'd5']);
+      });
+
+      it('puts missing values first when ascending and last when descending', async () => {
+        assert.deepEqual(ids(await discussions.find({}).sort({ category: 1, id: 1 }).toArray()), ['d3', 'd5', 'd2', 'd1', 'd4']);
+        assert.deepEqual(ids(await discussions.find({}).sort({ category: -1, id: -1 }).toArray()), ['d4', 'd1', 'd2', 'd5', 'd3']);
+      });
+
+      it('applies sort, skip and limit in any order', async () => {
+        const expected = ['d2', 'd3'];
+        assert.deepEqual(ids(await discussions.find({}).sort({ created: 1 }).skip(1).limit(2).toArray()), expected);
+        assert.deepEqual(ids(await discussions.find({}).limit(2).skip(1).sort({ created: 1 }).toArray()), expected);
+      });
+    });
+
+    describe('updates', () => {
+      it('applies $set, $inc and $push together', async () => {
+        const result = await discussions.updateOne({ id: 'd2' }, {
+          $set: { category: 'news', 'moderation.by': 'mod2' },
+          $inc: { views: 3 },
+          $push: { tags: 'ts' }
+        });
+        assert.equal(result.matchedCount, 1);
+
+        const doc = await discussions.findOne({ id: 'd2' });
+        assert.equal(doc.category, 'news');
+        assert.equal(doc.moderation.by, 'mod2');
+        assert.equal(doc.views, 8);
+        assert.deepEqual(doc.tags, ['js', 'ts']);
+      });
+
+      it('adds to a set without duplicates and pulls values', async () => {
+        await discussions.updateOne({ id: 'd1' }, { $addToSet: { tags: { $each: ['js', 'rust'] } } });
+        assert.deepEqual((await discussions.findOne({ id: 'd1' })).tags, ['js', 'ml', 'rust']);
+
+        await discussions.updateOne({ id: 'd1' }, { $pull: { tags: 'js' } });
+        assert.deepEqual((await discussions.findOne({ id: 'd1' })).tags, ['ml', 'rust']);
+      });
+
+      it('unsets fields', async () => {
+        await discussions.updateOne({ id: 'd1' }, { $unset: { category: '' } });
+        assert.deepEqual(await findIds({ category: null }), ['d1', 'd3', 'd5']);
+      });
+
+      it('updates every match with updateMany', async () => {
+        const result = await discussions.updateMany({ authorId: 'u1' }, { $inc: { views: 1 } });
+        assert.equal(result.matchedCount, 2);
+        assert.deepEqual(await findIds({ views: 11 }), ['d1']);
+        assert.deepEqual(await findIds({ views: 6 }), ['d3']);
+      });
+
+      it('inserts with $setOnInsert when an upsert matches nothing', async () => {
+        const update = { $set: { title: 'Zeta' }, $setOnInsert: { views: 1, created: '2026-02-01T00:00:00.000Z' } };
+        const first = await discussions.updateOne({ id: 'd9' }, update, { upsert: true });
+        assert.equal(first.upsertedCount, 1);
+
+        await discussions.updateOne({ id: 'd9' }, { ...update, $inc: { views: 1 } }, { upsert: true });
+        const doc = await discussions.findOne({ id: 'd9' });
+        assert.equal(doc.title, 'Zeta');
+        assert.equal(doc.views, 2);
+      });
+
+      it('returns the document after (or before) findOneAndUpdate, or null', async () => {
+        const after = await discussions.findOneAndUpdate({ id: 'd1' }, { $inc: { views: 1 } });
+        assert.equal(after.views, 11);
+
+        const before = await discussions.findOneAndUpdate({ id: 'd1' }, { $inc: { views: 1 } }, { returnDocument: 'before' });
+        assert.equal(before.views, 11);
+
+        assert.equal(await discussions.findOneAndUpdate({ id: 'nope' }, { $inc: { views: 1 } }), null);
+      });
+
+      it('only applies a conditional findOneAndUpdate while the condition holds', async () => {
+        // At most two tags, the way room joins cap participants
+        const addTag = (tag) => discussions.findOneAndUpdate(
+          { id: 'd2', 'tags.1': { $exists: false } },
+          { $addToSet: { tags: tag } }
+        );
+        assert.deepEqual((await addTag('ts')).tags, ['js', 'ts']);
+        assert.equal(await addTag('css'), null);
+      });
+    });
+
+    describe('deletes', () => {
+      it('deletes one match with deleteOne', async () => {
+        assert.equal((await discussions.deleteOne({ category: 'news' })).deletedCount, 1);
+        assert.equal(await discussions.countDocuments({ category: 'news' }), 1);
+      });
+
+      it('deletes every match with deleteMany', async () => {
+        assert.equal((await discussions.deleteMany({ authorId: 'u2' })).deletedCount, 2);
+        assert.deepEqual(await findIds({}), ['d1', 'd3', 'd4']);
+      });
+    });
+  });
+}
+
+describe('file storage across restarts', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filedb-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  // A second FileDB on the same directory, as after a restart
+  const reopen = async () => {
+    const db = new FileDB({ dataDir });
+    await db.init();
+    return db;
+  };
+
+  it('keeps an update made after changing a document read from the store', async () => {
+    const db = await reopen();
+    const users = db.collection('users');
+    await users.insertOne({ id: 'u1', username: 'ada', lastActive: '2026-01-01T00:00:00.000Z' });
+
+    const user = await users.findOne({ id: 'u1' });
+    user.lastActive = '2026-02-01T00:00:00.000Z';
+    const result = await users.updateOne({ id: 'u1' }, { $set: { lastActive: user.lastActive } });
+    assert.equal(result.modifiedCount, 1);
+
+    const restarted = await reopen();
+    assert.equal((await restarted.collection('users').findOne({ id: 'u1' })).lastActive, '2026-02-01T00:00:00.000Z');
+  });
+
+  it('keeps inserts, updates and deletes from the journal', async () => {
+    const db = await reopen();
+    const rooms = db.collection('rooms');
+    await rooms.insertOne({ id: 'r1', participants: ['u1'] });
+    await rooms.insertOne({ id: 'r2', participants: [] });
+    await rooms.updateOne({ id: 'r1' }, { $addToSet: { participants: 'u2' } });
+    await rooms.deleteOne({ id: 'r2' });
+
+    const restarted = (await reopen()).collection('rooms');
+    assert.deepEqual((await restarted.findOne({ id: 'r1' })).participants, ['u1', 'u2']);
+    assert.equal(await restarted.findOne({ id: 'r2' }), undefined);
+  });
+});
+
+describe('file storage crash safety', () => {
+  const dataDirs = [];
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'filedb-'));
+    dataDirs.push(dataDir);
+  });
+
+  after(() => {
+    dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  const open = async () => {
+    const db = new FileDB({ dataDir });
+    await db.init();
+    return db;
+  };
+
+  const file = (name) => path.join(dataDir, name);
+
+  it('appends writes to the journal and folds it into the snapshot on start', async () => {
+    const db = await open();
+    await db.collection('projects').insertOne({ id: 'p1', title: 'One' });
+    await db.collection('projects').updateOne({ id: 'p1' }, { $set: { title: 'Uno' } });
+    const journal = fs.readFileSync(file('projects.journal'), 'utf8').trim().split('\n');
+    assert.deepEqual(journal.map(line => JSON.parse(line).op), ['insert', 'update']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file('projects.json'), 'utf8')), []);
+
+    await open();
+    assert.equal(fs.readFileSync(file('projects.journal'), 'utf8'), '');
+    const snapshot = JSON.parse(fs.readFileSync(file('projects.json'), 'utf8'));
+    assert.deepEqual(snapshot.map(doc => doc.title), ['Uno']);
+    assert.deepEqual(fs.readdirSync(dataDir).filter(name => name.endsWith('.tmp')), []);
+  });
+
+  it('keeps every one of many simultaneous writes', async () => {
+    const db = await open();
+    const projects = db.collection('projects');
+    await Promise.all(Array.from({ length: 50 }, (_, i) => projects.insertOne({ id: 'p' + i })));
+    await Promise.all(Array.from({ length: 50 }, (_, i) => projects.updateOne({ id: 'p' + i }, { $set: { n: i } })));
+
+    const lines = fs.readFileSync(file('projects.journal'), 'utf8').trim().split('\n');
+    assert.equal(lines.length, 100);
+    lines.forEach(line => JSON.parse(line));
+
+    const restarted = (await open()).collection('projects');
+    const docs = await restarted.find({}).sort({ n: 1 }).toArray();
+    assert.deepEqual(docs.map(doc => doc.n), Array.from({ length: 50 }, (_, i) => i));
+  });
+
+  it('drops a torn last journal entry, which was never acknowledged', async () => {
+    const db = await open();
+    await db.collection('projects').insertOne({ id: 'p1' });
+    fs.appendFileSync(file('projects.journal'), '{"op":"insert","doc":{"_id":"torn","id":"p2"');
+
+    const restarted = (await open()).collection('projects');
+    assert.deepEqual(ids(await restarted.find({}).toArray()), ['p1']);
+  });
+
+  it('refuses a corrupt snapshot and leaves it as it is', async () => {
+    const db = await open();
+    await db.collection('projects').insertOne({ id: 'p1' });
+    await db.flush();
+    fs.writeFileSync(file('projects.json'), '[{"id": "p1"');
+
+    await assert.rejects(open(), { name: 'CorruptCollectionError', message: /projects\.json is corrupt/ });
+    assert.equal(fs.readFileSync(file('projects.json'), 'utf8'), '[{"id": "p1"');
+  });
+
+  it('refuses a journal that is corrupt before its last line', async () => {
+    const db = await open();
+    await db.collection('projects').insertOne({ id: 'p1' });
+    fs.appendFileSync(file('projects.journal'), 'not json\n{"op":"delete","ids":[]}\n');
+    const journal = fs.readFileSync(file('projects.journal'), 'utf8');
+
+    await assert.rejects(open(), { name: 'CorruptCollectionError', message: /line 2/ });
+    assert.equal(fs.readFileSync(file('projects.journal'), 'utf8'), journal);
+  });
+});
@@ -0,0 +1,66 @@
+// Shared setup for the test files, loaded first by each of them, and startApp()
+// for the ones that talk to the server over HTTP.
+//
+// The app logs every request with console.log. Under the Node 20 test runner
+// a worker's stdout also carries its test results, and busy logging can
+// corrupt them, so logs go to stderr instead - and only with TEST_LOGS=1.
+console.log = console.info = (...args) => {
+  if (process.env.TEST_LOGS) console.error(...args);
+};
+
+const { once } = require('events');
+
+// Start the app on a free port with in-memory storage and no rate limits.
+// Returns { baseUrl, server, request, register, setRole, stop }; call stop() in after().
+const startApp = async () => {
+  Object.assign(process.env, {
+    STORAGE: 'memory',
+    PORT: '0',
+    JWT_SECRET: 'test-secret',
+    AUTH_RATE_LIMIT: '0',
+    WRITE_RATE_LIMIT: '0',
+    API_RATE_LIMIT: '0'
+  });
+  const { start } = require('../server');
+  const { getDB, closeDB } = require('../db');
+
+  const server = await start();
+  if (!server.listening) await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON request; resolves to { status, body }
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: 'Bearer ' + token } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  };
+
+  // A new account; resolves to { user, token }
+  const register = async (username) => {
+    const { status, body } = await request('POST', '/api/auth/register', {
+      body: { username, email: username + '@example.com', password: 'Secret123' }
+    });
+    if (status !== 200) throw new Error(`Could not register ${username}: ${JSON.stringify(body)}`);
+    return { user: body.user, token: body.accessToken };
+  };
+
+  // Roles are only granted by admins, so tests set them in the store
+  const setRole = (user, role) => getDB().collection('users').updateOne({ id: user.user.id }, { $set: { role } });
+
+  const stop = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await closeDB();
+  };
+
+  return { baseUrl, server, request, register, setRole, stop };
+};
+
+module.exports = { startApp };
@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support');
+
+// Create and update routes reject bad input with 400 { errors: [...] } and
+// only store the fields their validator knows about.
+describe('request validation', () => {
+  let app;
+  let token;
+
+  before(async () => {
+    app = await startApp();
+    ({ token } = await app.register('validator'));
+  });
+
+  after(async () => {
+    await app.stop();
+  });
+
+  // The paths of the fields a 400 response complains about
+  const rejected = async (method, path, body) => {
+    const response = await app.request(method, path, { body, token });
+    assert.equal(response.status, 400, JSON.stringify(response.body));
+    assert.ok(Array.isArray(response.body.errors), 'expected { errors: [...] }');
+    return [...new Set(response.body.errors.map(error => error.path))];
+  };
+
+  describe('registration', () => {
+    it('rejects short usernames, bad emails and weak passwords', async () => {
+      const fields = await rejected('POST', '/api/auth/register', { username: 'ab', email: 'nope', password: 'short' });
+      assert.deepEqual(fields.sort(), ['email', 'password', 'username']);
+    });
+
+    it('rejects usernames with other characters', async () => {
+      const fields = await rejected('POST', '/api/auth/register', {
+        username: 'bad name!', email: 'bad@example.com', password: 'Secret123'
+      });
+      assert.deepEqual(fields, ['username']);
+    });
+
+    it('never echoes the password back', async () => {
+      const response = await app.request('POST', '/api/auth/register', {
+        body: { username: 'echo_test', email: 'echo@example.com', password: 'weakpass' }
+      });
+      assert.equal(response.status, 400);
+      const passwordError = response.body.errors.find(error => error.path === 'password');
+      assert.ok(passwordError);
+      assert.equal(passwordError.value, undefined);
+    });
+  });
+
+  describe('content', () => {
+    it('rejects a discussion without a title or with an unknown category', async () => {
+      const fields = await rejected('POST', '/api/discussions', { content: 'Body', category: 'gossip' });
+      assert.deepEqual(fields.sort(), ['category', 'title']);
+    });
+
+    it('ignores fields clients may not set', async () => {
+      const response = await app.request('POST', '/api/discussions', {
+        token,
+        body: {
+          title: 'Whitelisted', content: 'Body', category: 'general',
+          id: 'chosen-id', authorId: 'someone-else', likes: 999, created: '2000-01-01T00:00:00.000Z'
+        }
+      });
+      assert.equal(response.status, 200);
+      assert.notEqual(response.body.id, 'chosen-id');
+      assert.notEqual(response.body.authorId, 'someone-else');
+      assert.notEqual(response.body.created, '2000-01-01T00:00:00.000Z');
+      assert.equal(response.body.likes, undefined);
+    });
+
+    it('rejects an empty reply', async () => {
+      const discussion = await app.request('POST', '/api/discussions', {
+        token, body: { title: 'Replies', content: 'Body', category: 'general' }
+      });
+      const fields = await rejected('POST', `/api/discussions/${discussion.body.id}/reply`, { content: '' });
+      assert.deepEqual(fields, ['content']);
+    });
+
+    it('rejects project URLs that are not http(s)', async () => {
+      const fields = await rejected('POST', '/api/projects', {
+        title: 'Project', description: 'About it', githubUrl: 'javascript:alert(1)'
+      });
+      assert.deepEqual(fields, ['githubUrl']);
+    });
+
+    it('only updates whitelisted project fields', async () => {
+      const created = await app.request('POST', '/api/projects', {
+        token, body: { title: 'Counted', description: 'About it' }
+      });
+      const updated = await app.request('PUT', `/api/projects/${created.body.id}`, {
+        token, body: { title: 'Renamed', likes: 500, authorId: 'someone-else' }
+      });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.title, 'Renamed');
+      assert.equal(updated.body.likes, created.body.likes);
+      assert.equal(updated.body.authorId, created.body.authorId);
+    });
+
+    it('rejects a project update with nothing to change', async () => {
+      const created = await app.request('POST', '/api/projects', {
+        token, body: { title: 'Unchanged', description: 'About it' }
+      });
+      const response = await app.request('PUT', `/api/projects/${created.body.id}`, { token, body: { likes: 5 } });
+      assert.equal(response.status, 400);
+    });
+
+    it('rejects lessons with an unknown difficulty or duration', async () => {
+      const fields = await rejected('POST', '/api/lessons', {
+        title: 'Lesson', content: 'Body', difficulty: 'expert', duration: 0
+      });
+      assert.deepEqual(fields.sort(), ['difficulty', 'duration']);
+    });
+
+    it('rejects rooms that are too small', async () => {
+      const fields = await rejected('POST', '/api/rooms', { name: 'Tiny', maxParticipants: 1 });
+      assert.deepEqual(fields, ['maxParticipants']);
+    });
+  });
+
+  describe('quizzes', () => {
+    let lessonId;
+
+    before(async () => {
+      const lesson = await app.request('POST', '/api/lessons', {
+        token, body: { title: 'Quizzed', content: 'Body', difficulty: 'beginner' }
+      });
+      assert.equal(lesson.status, 200);
+      lessonId = lesson.body.id;
+    });
+
+    it('rejects questions that are not objects', async () => {
+      const fields = await rejected('POST', `/api/lessons/${lessonId}/quizzes`, { title: 'Quiz', questions: [null] });
+      assert.ok(fields.includes('questions[0]'), fields.join(', '));
+    });
+
+    it('rejects unknown question types', async () => {
+      const fields = await rejected('POST', `/api/lessons/${lessonId}/quizzes`, {
+        title: 'Quiz', questions: [{ type: 'essay', prompt: 'Why?' }]
+      });
+      assert.ok(fields.includes('questions[0].type'), fields.join(', '));
+    });
+
+    it('rejects short-answer patterns that could backtrack for a long time', async () => {
+      const fields = await rejected('POST', `/api/lessons/${lessonId}/quizzes`, {
+        title: 'Quiz',
+        questions: [{ type: 'short-answer', prompt: 'Pattern?', answer: { mode: 'regex', value: '(a+)+b' } }]
+      });
+      assert.deepEqual(fields, ['questions[0]']);
+    });
+  });
+
+  describe('accounts and moderation', () => {
+    it('rejects API key names that are too long and unknown scopes', async () => {
+      const fields = await rejected('POST', '/api/auth/api-keys', { name: 'k'.repeat(101), scope: 'admin' });
+      assert.deepEqual(fields.sort(), ['name', 'scope']);
+    });
+
+    it('rejects reports with an unknown target type or reason', async () => {
+      const fields = await rejected('POST', '/api/reports', { targetType: 'planet', targetId: 'x', reason: 'boring' });
+      assert.deepEqual(fields.sort(), ['reason', 'targetType']);
+    });
+  });
+});